@@ -0,0 +1,303 @@
+// norns-web Arc module
+// Port of norns lua/core/arc.lua plus an on-page four-ring emulator.
+// Works like grid.js: scripts talk to one of four virtual ports and devices
+// attach to the first free one.
+//
+// Usage:
+//   import arc from '../lib/arc.js';
+//   const a = arc.connect();             // vport 1
+//   a.delta = (n, d) => { ... };
+//   a.segment(1, 0, Math.PI, 15); a.refresh();
+//
+// Page side:
+//   arc.emulator(container);             // four draggable rings + push keys
+//
+// Rings and LEDs are 1-based; LED 1 sits at 12 o'clock, counting clockwise.
+
+import { attachDrag } from "./norns-controls.js";
+
+const NUM_VPORTS = 4;
+const NUM_RINGS  = 4;
+const NUM_LEDS   = 64;
+const TAU        = Math.PI * 2;
+const RING_SIZE  = 96;   // emulator ring canvas (css px)
+
+function _clampLevel(l) {
+  return Math.max(0, Math.min(15, Math.round(l)));
+}
+
+// ---------------------------------------------------------------------------
+// Device — LED state for one arc
+
+let _nextDeviceId = 1;
+
+class ArcDevice {
+  constructor(name = null) {
+    this.id = _nextDeviceId++;
+    this.serial = `m${String(1000 + this.id).padStart(7, "0")}`;
+    this.name = name ?? "monome arc 4";
+    this.port = null;
+    this._leds = new Uint8Array(NUM_RINGS * NUM_LEDS);    // pending
+    this._frame = new Uint8Array(NUM_RINGS * NUM_LEDS);   // shown
+    this.onrefresh = null;
+  }
+
+  led(ring, x, level) {
+    ring = Math.floor(ring);
+    if (ring < 1 || ring > NUM_RINGS) return;
+    const i = ((Math.floor(x) - 1) % NUM_LEDS + NUM_LEDS) % NUM_LEDS;
+    this._leds[(ring - 1) * NUM_LEDS + i] = _clampLevel(level);
+  }
+
+  all(level) {
+    this._leds.fill(_clampLevel(level));
+  }
+
+  // Light the arc between two angles (radians, clockwise from 12 o'clock),
+  // anti-aliased at both ends — same algorithm as norns arc:segment.
+  segment(ring, from, to, level) {
+    const overlap = (a, b, c, d) => {
+      if (a > b) return overlap(a, TAU, c, d) + overlap(0, b, c, d);
+      if (c > d) return overlap(a, b, c, TAU) + overlap(a, b, 0, d);
+      return Math.max(0, Math.min(b, d) - Math.max(a, c));
+    };
+    const mod = (v) => ((v % TAU) + TAU) % TAU;
+    const sl = TAU / NUM_LEDS;
+    for (let i = 1; i <= NUM_LEDS; i++) {
+      const o = overlap(mod(from), mod(to), mod(sl * (i - 1)), mod(sl * i));
+      this.led(ring, i, Math.round((o / sl) * level));
+    }
+  }
+
+  refresh() {
+    this._frame.set(this._leds);
+    if (this.onrefresh) this.onrefresh();
+  }
+
+  // Input from the physical surface → script callbacks
+  _delta(n, d) {
+    const cb = this.port?.delta;
+    if (!cb) return;
+    try {
+      cb(n, d);
+    } catch (err) {
+      console.error("[arc] delta error:", err);
+    }
+  }
+
+  _key(n, z) {
+    const cb = this.port?.key;
+    if (!cb) return;
+    try {
+      cb(n, z);
+    } catch (err) {
+      console.error("[arc] key error:", err);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Virtual port — what arc.connect() returns. Safe to use with no device.
+
+class ArcPort {
+  constructor(index) {
+    this.index = index;
+    this.name = "none";
+    this.device = null;
+    this.delta = null;   // user-settable callback: fn(n, d)
+    this.key = null;     // user-settable callback: fn(n, z)
+  }
+
+  led(ring, x, level)               { this.device?.led(ring, x, level); }
+  all(level)                        { this.device?.all(level); }
+  segment(ring, from, to, level)    { this.device?.segment(ring, from, to, level); }
+  refresh()                         { this.device?.refresh(); }
+}
+
+const _vports = [];
+for (let i = 1; i <= NUM_VPORTS; i++) _vports[i] = new ArcPort(i);
+
+// ---------------------------------------------------------------------------
+// Emulator — one canvas per ring. Drag/scroll turns a ring (one delta per
+// step, via the encoder drag logic); the button under it is the push key.
+
+function _levelColor(level) {
+  const t = level / 15;
+  const r = Math.round(30 + t * (255 - 30));
+  const g = Math.round(30 + t * (236 - 30));
+  const b = Math.round(30 + t * (190 - 30));
+  return `rgb(${r},${g},${b})`;
+}
+
+function _drawRing(canvas, frame, ring, active) {
+  const dpr = window.devicePixelRatio || 1;
+  const ctx = canvas.getContext("2d");
+  const c = RING_SIZE / 2;
+  const r = c - 8;
+
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, RING_SIZE, RING_SIZE);
+
+  // body
+  ctx.beginPath();
+  ctx.arc(c, c, r - 8, 0, TAU);
+  ctx.fillStyle = active ? "#2a2a2a" : "#1c1c1c";
+  ctx.fill();
+
+  // 64 LEDs, LED 1 at 12 o'clock
+  for (let i = 0; i < NUM_LEDS; i++) {
+    const a = (i / NUM_LEDS) * TAU - Math.PI / 2;
+    ctx.beginPath();
+    ctx.arc(c + r * Math.cos(a), c + r * Math.sin(a), 2, 0, TAU);
+    ctx.fillStyle = _levelColor(frame[(ring - 1) * NUM_LEDS + i]);
+    ctx.fill();
+  }
+}
+
+function _attachEmulator(container, dev) {
+  const dpr = window.devicePixelRatio || 1;
+  const canvases = [];
+  const detachDrags = [];
+  const active = [false, false, false, false];
+  let rafId = null;
+
+  function draw() {
+    rafId = null;
+    canvases.forEach((cv, i) => _drawRing(cv, dev._frame, i + 1, active[i]));
+  }
+
+  function schedule() {
+    if (rafId === null) rafId = requestAnimationFrame(draw);
+  }
+
+  const wrap = document.createElement("div");
+  wrap.className = "arc-rings";
+
+  for (let i = 0; i < NUM_RINGS; i++) {
+    const n = i + 1;
+    const ring = document.createElement("div");
+    ring.className = "arc-ring";
+
+    const canvas = document.createElement("canvas");
+    canvas.width = RING_SIZE * dpr;
+    canvas.height = RING_SIZE * dpr;
+    canvas.style.width = `${RING_SIZE}px`;
+    canvas.style.height = `${RING_SIZE}px`;
+    canvas.title = `ring ${n} — drag vertically or scroll`;
+    detachDrags.push(attachDrag(canvas, (d, isActive) => {
+      active[i] = isActive;
+      dev._delta(n, d);
+      schedule();
+    }, () => {
+      active[i] = false;
+      schedule();
+    }));
+
+    const key = document.createElement("button");
+    key.className = "arc-key";
+    key.textContent = `${n}`;
+    key.title = `ring ${n} push`;
+    let held = false;
+    const release = () => {
+      if (!held) return;
+      held = false;
+      dev._key(n, 0);
+    };
+    key.addEventListener("pointerdown", () => {
+      held = true;
+      dev._key(n, 1);
+    });
+    key.addEventListener("pointerup", release);
+    key.addEventListener("pointerleave", release);
+
+    ring.appendChild(canvas);
+    ring.appendChild(key);
+    wrap.appendChild(ring);
+    canvases.push(canvas);
+  }
+
+  container.appendChild(wrap);
+  dev.onrefresh = schedule;
+  schedule();
+
+  return () => {
+    if (rafId !== null) cancelAnimationFrame(rafId);
+    for (const detach of detachDrags) detach();
+    dev.onrefresh = null;
+    wrap.remove();
+  };
+}
+
+// ---------------------------------------------------------------------------
+// public API
+
+const arc = {
+  // Global callbacks fired when a device is attached / detached: fn(dev)
+  add: null,
+  remove: null,
+
+  vports: _vports,
+
+  // Return virtual port n (1–4, default 1)
+  connect(n = 1) {
+    const idx = Math.trunc(n);
+    if (idx < 1 || idx > NUM_VPORTS) {
+      throw new RangeError(`Arc port index must be 1–${NUM_VPORTS}`);
+    }
+    return _vports[idx];
+  },
+
+  // Attach a device to the first free port
+  attach(dev) {
+    const port = _vports.find((p) => p && !p.device);
+    if (!port) {
+      console.warn("[arc] no free port for", dev.name);
+      return null;
+    }
+    port.device = dev;
+    port.name = dev.name;
+    dev.port = port;
+    if (arc.add) arc.add(dev);
+    return port;
+  },
+
+  detach(dev) {
+    const port = dev.port;
+    if (!port) return;
+    port.device = null;
+    port.name = "none";
+    dev.port = null;
+    if (arc.remove) arc.remove(dev);
+  },
+
+  // Build an emulated arc inside `container` and attach it.
+  // Returns the device; call device.destroy() to unplug it.
+  emulator(container) {
+    const dev = new ArcDevice();
+    const detachUi = _attachEmulator(container, dev);
+    dev.destroy = () => {
+      detachUi();
+      arc.detach(dev);
+    };
+    arc.attach(dev);
+    return dev;
+  },
+
+  // Reset script-facing state: callbacks and LEDs
+  cleanup() {
+    arc.add = null;
+    arc.remove = null;
+    for (let i = 1; i <= NUM_VPORTS; i++) {
+      const port = _vports[i];
+      port.delta = null;
+      port.key = null;
+      if (port.device) {
+        port.device.all(0);
+        port.device.refresh();
+      }
+    }
+  },
+};
+
+export { arc, ArcDevice, ArcPort };
+export default arc;
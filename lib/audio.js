@@ -0,0 +1,515 @@
+// norns-web Audio module
+// The norns mixer: one shared audio input, and levels between the input
+// (adc), engines (eng), softcut (cut) and the output (dac), as in
+// norns lua/core/audio.lua. Levels are linear amplitudes.
+//
+//   mic ─ level_adc ─┬─ level_monitor ─────────────┐
+//                    └─ level_adc_cut ─┐           │
+//   engines ─────────┬─ level_eng_cut ─┴─ softcut ─ level_cut ─┤
+//                    └─ level_eng ─────────────────────────────┤
+//   level_monitor_rev / level_eng_rev / level_cut_rev          │
+//     → reverb ─ level_rev_dac ────────────────────────────────┤
+//                                master ─ compressor ─ level_dac ─ out
+//
+// The reverb (reverb-processor.js) and compressor take the norns
+// rev_param / comp_param settings, and audio.add_params() puts them in the
+// params menu like norns' SYSTEM > AUDIO page.
+//
+// Usage:
+//   import audio from '../lib/audio.js';
+//   await audio.init(audioCtx);        // after a user gesture
+//   await audio.open_input();          // shared mic; asks for permission once
+//   audio.level_adc_cut(1);            // softcut records the input
+//   audio.level_monitor(0.5);          // hear it
+//
+// Engines hand their output node to audio.connect_engine(node); a script
+// inserting effects after softcut ends its chain with audio.connect_cut(node).
+// audio.pitch_on() starts input pitch tracking, read with audio.pitch_in(ch).
+// audio.amp_in(ch) / audio.amp_out(ch) read the input and output peak levels.
+
+import softcut from "./softcut.js";
+import params, { ControlSpec } from "./params.js";
+
+const LEVEL_SLEW = 0.01;          // level change smoothing (seconds)
+const PITCH_MIN = 50;             // pitch tracking range (Hz)
+const PITCH_MAX = 2000;
+const PITCH_CLARITY = 0.9;        // normalized autocorrelation needed for a pitch
+const MIN_DB = -60;               // send and return params treat this as off
+
+const dbamp = (db) => Math.pow(10, db / 20);
+const ampdb = (a) => (a > 0 ? Math.max(MIN_DB, 20 * Math.log10(a)) : MIN_DB);
+
+// norns defaults; monitoring starts off so an open mic doesn't feed back
+const DEFAULT_LEVELS = {
+  adc: 1,
+  monitor: 0,
+  adc_cut: 1,
+  eng: 1,
+  eng_cut: 0,
+  cut: 1,
+  monitor_rev: 0,
+  eng_rev: dbamp(-9),
+  cut_rev: dbamp(-9),
+  rev_dac: 1,
+  dac: 1,
+};
+
+// norns reverb and compressor settings. Both start off here (norns boots
+// with them on) so scripts sound as they did before the master bus.
+const DEFAULT_REV = { pre_del: 60, lf_fc: 200, low_rt60: 6, mid_rt60: 6, hf_damp: 6000 };
+const DEFAULT_COMP = { ratio: 4, threshold: -18, attack: 0.005, release: 0.05, gain_pre: 0, gain_post: 9 };
+const DEFAULT_COMP_MIX = 0.5;
+
+let _ctx = null;
+let _initPromise = null;
+let _nodes = null;                // GainNodes by level name, plus buses and the compressor
+let _monoMonitor = false;
+
+let _stream = null;               // MediaStream from getUserMedia
+let _source = null;               // MediaStreamAudioSourceNode
+let _deviceId = null;
+let _inputPromise = null;
+
+let _reverb = null;               // reverb-processor AudioWorkletNode
+let _revOn = false;
+let _rev = { ...DEFAULT_REV };
+let _compOn = false;
+let _comp = { ...DEFAULT_COMP };
+let _compMix = DEFAULT_COMP_MIX;
+
+let _pitchOn = false;
+let _analysers = null;            // [left, right] AnalyserNodes on the adc
+let _outAnalysers = null;         // [left, right] AnalyserNodes after level_dac
+let _pitchData = null;
+
+function _gain(channels = 2) {
+  return new GainNode(_ctx, { channelCount: channels, channelCountMode: "explicit" });
+}
+
+function _setLevel(name, value) {
+  const v = Math.max(0, Number(value) || 0);
+  audio.levels[name] = v;
+  if (_nodes) _nodes[name].gain.setTargetAtTime(v, _ctx.currentTime, LEVEL_SLEW);
+}
+
+function _buildGraph() {
+  const n = {};
+  for (const name of Object.keys(DEFAULT_LEVELS)) {
+    n[name] = _gain();
+    n[name].gain.value = audio.levels[name];
+  }
+  n.engIn = _gain();
+  n.cutIn = _gain();
+  n.monoSum = _gain(1);   // downmixes L+R; the monitor gain spreads it back out
+  n.master = _gain();
+
+  n.adc.connect(n.adc_cut);
+  n.adc.connect(_monoMonitor ? n.monoSum : n.monitor);
+  n.adc.connect(n.monitor_rev);
+  n.monoSum.connect(n.monitor);
+  n.adc_cut.connect(softcut.node);
+
+  n.engIn.connect(n.eng);
+  n.engIn.connect(n.eng_cut);
+  n.engIn.connect(n.eng_rev);
+  n.eng_cut.connect(softcut.node);
+
+  // softcut.init() connects the worklet straight to the output
+  softcut.node.disconnect();
+  softcut.node.connect(n.cutIn);
+  n.cutIn.connect(n.cut);
+  n.cutIn.connect(n.cut_rev);
+
+  // Reverb sends and return
+  _reverb = new AudioWorkletNode(_ctx, "reverb-processor", {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+  });
+  n.monitor_rev.connect(_reverb);
+  n.eng_rev.connect(_reverb);
+  n.cut_rev.connect(_reverb);
+  _reverb.connect(n.rev_dac);
+
+  n.monitor.connect(n.master);
+  n.eng.connect(n.master);
+  n.cut.connect(n.master);
+  n.rev_dac.connect(n.master);
+
+  // Compressor in parallel with the dry master: comp_mix sets the balance
+  n.compPre = _gain();
+  n.compressor = new DynamicsCompressorNode(_ctx, { knee: 6 });
+  n.compPost = _gain();
+  n.compWet = _gain();
+  n.compDry = _gain();
+  n.master.connect(n.compPre);
+  n.compPre.connect(n.compressor);
+  n.compressor.connect(n.compPost);
+  n.compPost.connect(n.compWet);
+  n.master.connect(n.compDry);
+  n.compWet.connect(n.dac);
+  n.compDry.connect(n.dac);
+  n.dac.connect(_ctx.destination);
+
+  // Per-channel analysers for pitch tracking and amplitude
+  _analysers = _splitAnalysers(n.adc);
+  _outAnalysers = _splitAnalysers(n.dac);
+  _pitchData = new Float32Array(2048);
+
+  _nodes = n;
+  _applyRev();
+  _applyComp();
+}
+
+function _splitAnalysers(node) {
+  const split = new ChannelSplitterNode(_ctx, { numberOfOutputs: 2 });
+  node.connect(split);
+  return [0, 1].map((ch) => {
+    const a = new AnalyserNode(_ctx, { fftSize: 2048 });
+    split.connect(a, ch);
+    return a;
+  });
+}
+
+// Peak absolute sample in one analyser's current window (~43 ms)
+function _peak(analyser) {
+  const buf = _pitchData;
+  analyser.getFloatTimeDomainData(buf);
+  let peak = 0;
+  for (let i = 0; i < buf.length; i++) {
+    const a = Math.abs(buf[i]);
+    if (a > peak) peak = a;
+  }
+  return peak;
+}
+
+function _applyRev() {
+  if (!_reverb) return;
+  _reverb.port.postMessage({ cmd: "enable", value: _revOn ? 1 : 0 });
+  for (const [name, value] of Object.entries(_rev)) {
+    _reverb.port.postMessage({ cmd: "param", name, value });
+  }
+}
+
+function _applyComp() {
+  if (!_nodes) return;
+  const n = _nodes;
+  const t = _ctx.currentTime;
+  n.compressor.ratio.value = Math.max(1, Math.min(20, _comp.ratio));
+  n.compressor.threshold.value = Math.max(-100, Math.min(0, _comp.threshold));
+  n.compressor.attack.value = Math.max(0, Math.min(1, _comp.attack));
+  n.compressor.release.value = Math.max(0, Math.min(1, _comp.release));
+  n.compPre.gain.setTargetAtTime(dbamp(_comp.gain_pre), t, LEVEL_SLEW);
+  n.compPost.gain.setTargetAtTime(dbamp(_comp.gain_post), t, LEVEL_SLEW);
+  n.compWet.gain.setTargetAtTime(_compOn ? _compMix : 0, t, LEVEL_SLEW);
+  n.compDry.gain.setTargetAtTime(_compOn ? 1 - _compMix : 1, t, LEVEL_SLEW);
+}
+
+// Autocorrelation pitch estimate (Hz) of one analyser's current window,
+// or 0 when the signal is too quiet or not periodic enough
+function _detectPitch(analyser) {
+  const buf = _pitchData;
+  analyser.getFloatTimeDomainData(buf);
+  const size = buf.length;
+
+  let energy = 0;
+  for (let i = 0; i < size; i++) energy += buf[i] * buf[i];
+  if (Math.sqrt(energy / size) < 0.01) return 0;
+
+  const sr = _ctx.sampleRate;
+  const minLag = Math.floor(sr / PITCH_MAX);
+  const maxLag = Math.min(size >> 1, Math.ceil(sr / PITCH_MIN));
+  const corr = (lag) => {
+    let c = 0, e0 = 0, e1 = 0;
+    for (let i = 0; i < size - lag; i++) {
+      c += buf[i] * buf[i + lag];
+      e0 += buf[i] * buf[i];
+      e1 += buf[i + lag] * buf[i + lag];
+    }
+    return c / (Math.sqrt(e0 * e1) || 1);
+  };
+
+  // First peak above the clarity threshold, past the initial fall-off
+  let prev = corr(minLag - 1);
+  let cur = corr(minLag);
+  for (let lag = minLag; lag < maxLag; lag++) {
+    const next = corr(lag + 1);
+    if (cur > PITCH_CLARITY && cur >= prev && cur >= next) {
+      // Parabolic interpolation between neighbouring lags
+      const d = prev - 2 * cur + next;
+      const shift = d !== 0 ? 0.5 * (prev - next) / d : 0;
+      return sr / (lag + shift);
+    }
+    prev = cur;
+    cur = next;
+  }
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// public API
+
+const audio = {
+  // Current levels by name (adc, monitor, adc_cut, eng, eng_cut, cut, dac)
+  levels: { ...DEFAULT_LEVELS },
+
+  get context() {
+    return _ctx;
+  },
+
+  get input_open() {
+    return _source !== null;
+  },
+
+  // Build the mixer on `ctx` (starting softcut if needed). Idempotent.
+  async init(ctx) {
+    if (_ctx === ctx && _initPromise) return _initPromise;
+    _ctx = ctx;
+    _initPromise = (async () => {
+      await softcut.init(ctx);
+      await ctx.audioWorklet.addModule(new URL("./reverb-processor.js", import.meta.url).href);
+      _buildGraph();
+    })();
+    return _initPromise;
+  },
+
+  // Open the shared input. Later calls reuse it; passing a different
+  // deviceId switches devices. Browser voice processing is turned off.
+  async open_input(deviceId = null) {
+    if (!_ctx) throw new Error("audio: call init() first");
+    await _initPromise;
+    if (_source && (deviceId === null || deviceId === _deviceId)) return;
+    if (_inputPromise) return _inputPromise;
+
+    _inputPromise = (async () => {
+      const constraints = { echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+      if (deviceId) constraints.deviceId = { exact: deviceId };
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+      audio.close_input();
+      _stream = stream;
+      _deviceId = deviceId;
+      _source = _ctx.createMediaStreamSource(stream);
+      _source.connect(_nodes.adc);
+    })();
+
+    try {
+      await _inputPromise;
+    } finally {
+      _inputPromise = null;
+    }
+  },
+
+  close_input() {
+    if (_source) _source.disconnect();
+    if (_stream) _stream.getTracks().forEach((t) => t.stop());
+    _source = null;
+    _stream = null;
+    _deviceId = null;
+  },
+
+  // Route an engine's output node through the mixer. Nodes from another
+  // context (or before init) go straight to their own output.
+  connect_engine(node) {
+    if (_nodes && node.context === _ctx) node.connect(_nodes.engIn);
+    else node.connect(node.context.destination);
+  },
+
+  // Feed `node` into the softcut level in place of (or as well as) the
+  // softcut worklet itself, e.g. the end of an effect chain
+  connect_cut(node) {
+    if (_nodes && node.context === _ctx) node.connect(_nodes.cutIn);
+    else node.connect(node.context.destination);
+  },
+
+  // --- Levels ---
+
+  level_adc(v)     { _setLevel("adc", v); },
+  level_monitor(v) { _setLevel("monitor", v); },
+  level_adc_cut(v) { _setLevel("adc_cut", v); },
+  level_eng(v)     { _setLevel("eng", v); },
+  level_eng_cut(v) { _setLevel("eng_cut", v); },
+  level_cut(v)     { _setLevel("cut", v); },
+  level_dac(v)     { _setLevel("dac", v); },
+
+  // Reverb sends and return
+  level_monitor_rev(v) { _setLevel("monitor_rev", v); },
+  level_eng_rev(v)     { _setLevel("eng_rev", v); },
+  level_cut_rev(v)     { _setLevel("cut_rev", v); },
+  level_rev_dac(v)     { _setLevel("rev_dac", v); },
+
+  // Monitor the input summed to mono (e.g. a mic on one channel), or as is
+  monitor_mono() {
+    if (_monoMonitor) return;
+    _monoMonitor = true;
+    if (!_nodes) return;
+    _nodes.adc.disconnect(_nodes.monitor);
+    _nodes.adc.connect(_nodes.monoSum);
+  },
+
+  monitor_stereo() {
+    if (!_monoMonitor) return;
+    _monoMonitor = false;
+    if (!_nodes) return;
+    _nodes.adc.disconnect(_nodes.monoSum);
+    _nodes.adc.connect(_nodes.monitor);
+  },
+
+  // --- Reverb and compressor ---
+
+  get rev_enabled() {
+    return _revOn;
+  },
+
+  get comp_enabled() {
+    return _compOn;
+  },
+
+  rev_on() {
+    _revOn = true;
+    _applyRev();
+  },
+
+  rev_off() {
+    _revOn = false;
+    _applyRev();
+  },
+
+  // name: pre_del (ms), lf_fc (Hz), low_rt60 (s), mid_rt60 (s), hf_damp (Hz)
+  rev_param(name, value) {
+    if (!(name in _rev)) {
+      console.warn(`[audio] unknown reverb param "${name}"`);
+      return;
+    }
+    _rev[name] = Number(value);
+    _reverb?.port.postMessage({ cmd: "param", name, value: _rev[name] });
+  },
+
+  comp_on() {
+    _compOn = true;
+    _applyComp();
+  },
+
+  comp_off() {
+    _compOn = false;
+    _applyComp();
+  },
+
+  // Balance between the compressed and the dry master (0–1)
+  comp_mix(value) {
+    _compMix = Math.max(0, Math.min(1, Number(value) || 0));
+    _applyComp();
+  },
+
+  // name: ratio, threshold (dB), attack (s), release (s), gain_pre (dB), gain_post (dB)
+  comp_param(name, value) {
+    if (!(name in _comp)) {
+      console.warn(`[audio] unknown compressor param "${name}"`);
+      return;
+    }
+    _comp[name] = Number(value);
+    _applyComp();
+  },
+
+  // Add the reverb and compressor settings to the params menu (norns keeps
+  // them under SYSTEM > AUDIO). They start from the current state and are
+  // left out of PSETs. Ids are prefixed audio_ so they can't clash with a
+  // script's own params (norns keeps them in a separate system paramset).
+  add_params() {
+    if (params.lookup.audio_reverb_group != null) return;
+    const onOff = ["OFF", "ON"];
+    const add = (p, action) => {
+      if (!p) return;
+      p.save = false;
+      p.action = action;
+    };
+    const dbSpec = (def, max = 12) => new ControlSpec(MIN_DB, max, "lin", 0, def, "dB");
+    const send = (id, name, level) => add(
+      params.add_control(id, name, dbSpec(ampdb(audio.levels[level]))),
+      (db) => _setLevel(level, db <= MIN_DB ? 0 : dbamp(db)),
+    );
+
+    params.add_group("audio_reverb_group", "REVERB", 10);
+    add(params.add_option("audio_reverb", "reverb", onOff, _revOn ? 2 : 1),
+      (v) => (v === 2 ? audio.rev_on() : audio.rev_off()));
+    send("audio_rev_eng_input", "input engine", "eng_rev");
+    send("audio_rev_cut_input", "input softcut", "cut_rev");
+    send("audio_rev_monitor_input", "input monitor", "monitor_rev");
+    send("audio_rev_return_level", "return level", "rev_dac");
+    add(params.add_control("audio_rev_pre_delay", "pre delay", new ControlSpec(0, 500, "lin", 1, _rev.pre_del, "ms")),
+      (v) => audio.rev_param("pre_del", v));
+    add(params.add_control("audio_rev_lf_fc", "lf fc", new ControlSpec(50, 1000, "exp", 1, _rev.lf_fc, "Hz")),
+      (v) => audio.rev_param("lf_fc", v));
+    add(params.add_control("audio_rev_low_time", "low time", new ControlSpec(0.1, 16, "lin", 0, _rev.low_rt60, "s")),
+      (v) => audio.rev_param("low_rt60", v));
+    add(params.add_control("audio_rev_mid_time", "mid time", new ControlSpec(0.1, 16, "lin", 0, _rev.mid_rt60, "s")),
+      (v) => audio.rev_param("mid_rt60", v));
+    add(params.add_control("audio_rev_hf_damping", "hf damping", new ControlSpec(1500, 20000, "exp", 1, _rev.hf_damp, "Hz")),
+      (v) => audio.rev_param("hf_damp", v));
+
+    params.add_group("audio_compressor_group", "COMPRESSOR", 8);
+    add(params.add_option("audio_compressor", "compressor", onOff, _compOn ? 2 : 1),
+      (v) => (v === 2 ? audio.comp_on() : audio.comp_off()));
+    add(params.add_control("audio_comp_mix", "mix", new ControlSpec(0, 1, "lin", 0, _compMix)),
+      (v) => audio.comp_mix(v));
+    add(params.add_control("audio_comp_ratio", "ratio", new ControlSpec(1, 20, "lin", 0, _comp.ratio)),
+      (v) => audio.comp_param("ratio", v));
+    add(params.add_control("audio_comp_threshold", "threshold", new ControlSpec(-100, 0, "lin", 0, _comp.threshold, "dB")),
+      (v) => audio.comp_param("threshold", v));
+    add(params.add_control("audio_comp_attack", "attack", new ControlSpec(1, 1000, "exp", 0, _comp.attack * 1000, "ms")),
+      (v) => audio.comp_param("attack", v * 0.001));
+    add(params.add_control("audio_comp_release", "release", new ControlSpec(1, 1000, "exp", 0, _comp.release * 1000, "ms")),
+      (v) => audio.comp_param("release", v * 0.001));
+    add(params.add_control("audio_comp_pre_gain", "pre gain", dbSpec(_comp.gain_pre, 60)),
+      (v) => audio.comp_param("gain_pre", v));
+    add(params.add_control("audio_comp_post_gain", "post gain", dbSpec(_comp.gain_post, 60)),
+      (v) => audio.comp_param("gain_post", v));
+  },
+
+  // --- Pitch tracking ---
+
+  pitch_on() {
+    _pitchOn = true;
+  },
+
+  pitch_off() {
+    _pitchOn = false;
+  },
+
+  // Input pitch in Hz for channel 1 or 2; 0 when off, silent or unpitched
+  pitch_in(ch = 1) {
+    if (!_pitchOn || !_analysers || !_source) return 0;
+    return _detectPitch(_analysers[ch === 2 ? 1 : 0]);
+  },
+
+  // --- Amplitude ---
+
+  // Input peak level (0–1) for channel 1 or 2, after level_adc
+  amp_in(ch = 1) {
+    if (!_analysers || !_source) return 0;
+    return _peak(_analysers[ch === 2 ? 1 : 0]);
+  },
+
+  // Output peak level (0–1) for channel 1 or 2, after level_dac
+  amp_out(ch = 1) {
+    if (!_outAnalysers) return 0;
+    return _peak(_outAnalysers[ch === 2 ? 1 : 0]);
+  },
+
+  // Restore default levels, stereo monitoring and the reverb and
+  // compressor settings; the input stays open
+  reset() {
+    for (const [name, v] of Object.entries(DEFAULT_LEVELS)) _setLevel(name, v);
+    audio.monitor_stereo();
+    _pitchOn = false;
+    _revOn = false;
+    _rev = { ...DEFAULT_REV };
+    _compOn = false;
+    _comp = { ...DEFAULT_COMP };
+    _compMix = DEFAULT_COMP_MIX;
+    _applyRev();
+    _applyComp();
+  },
+};
+
+export { audio };
+export default audio;
@@ -2,6 +2,18 @@
 // Coroutine-based clock system matching the norns Lua API.
 // Provides tempo-synced scheduling via clock.run() / clock.sync() / clock.sleep().
 // Local-only implementation (no network Link peers).
+// With set_source("midi") the beat follows 24 PPQ clock from a hardware
+// MIDI input (midi.clock_input); start/continue/stop drive the transport.
+// While that clock is stopped, or its ticks stop arriving, sync() waits for
+// it to run again instead of free-running at the last tempo.
+//
+// Scheduling: once clock.set_audio_context(ctx) is called the clock runs on
+// ctx.currentTime. sleep() / sync() wake their coroutine LOOKAHEAD seconds
+// early and nothing spins; instead, while the woken code runs,
+// clock.event_time() holds the exact target time, and softcut, the engine,
+// oilcan and MIDI output timestamp what they send with it.
+
+import midi, { STATUS } from "./midi.js";
 
 // -- internal state --
 let _tempo = 120;
@@ -22,29 +34,84 @@ const _coroutines = new Map(); // id → { abort: AbortController, promise }
 let _midiOutPort = null;
 let _midiClockCoroId = null;
 
+// MIDI clock input
+const MIDI_PPQN = 24;
+const MIDI_TIMEOUT = 0.5;     // seconds without a tick before the clock pauses
+let _internalTempo = 120;     // tempo to return to when leaving the midi source
+let _internalRunning = false; // whether the clock ran before switching to midi
+let _midiTicks = 0;           // ticks since the last start
+let _midiLastTick = null;     // time (s) of the previous tick
+const _midiIntervals = [];    // last MIDI_PPQN tick intervals (s)
+let _reportedTempo = 120;     // last tempo passed to tempo_change_handler
+let _midiStopped = false;     // STOP received; ticks don't advance until START/CONTINUE
+let _midiWatchdog = null;     // timer that pauses the clock when ticks go silent
+const _midiWaiters = new Set(); // syncs waiting for the next MIDI tick
+
+// Bumped when the beat count jumps (MIDI start) so waiting syncs re-aim
+let _epoch = 0;
+
 // Per-coroutine signal tracking for sleep/sync cancellation.
 // Set before each user function call and restored after each await.
 let _currentSignal = null;
 
+// Audio-clock scheduling
+const LOOKAHEAD = 0.02;       // wake this many seconds before the target
+let _audioCtx = null;
+let _audioBase = false;       // true while _now() reads _audioCtx.currentTime
+let _eventTime = null;        // target time of the coroutine running right now
+
 // -- timing helpers --
 
 function _now() {
-  return performance.now() / 1000;
+  return _audioBase ? _audioCtx.currentTime : performance.now() / 1000;
 }
 
-function _getBeats() {
+// Beat position at clock time t (default: the current event, else now)
+function _getBeats(t = _eventTime ?? _now()) {
   if (!_running) return _refBeats;
-  return (_now() - _refTime) * (_tempo / 60) + _refBeats;
+  return (t - _refTime) * (_tempo / 60) + _refBeats;
+}
+
+// Switch the clock between performance and audio time, keeping the beat
+function _rebase(audio) {
+  if (audio === _audioBase) return;
+  const beats = _getBeats(_now());
+  _audioBase = audio;
+  _refBeats = beats;
+  _refTime = _now();
+}
+
+// Clock time ↔ performance.now() milliseconds (Web MIDI timestamps).
+// getOutputTimestamp() pairs the two clocks at the same instant;
+// currentTime alone only moves once per render quantum.
+function _toPerformance(t) {
+  if (!_audioBase) return t * 1000;
+  const ts = _audioCtx.getOutputTimestamp?.();
+  if (ts && ts.performanceTime > 0) {
+    return ts.performanceTime + (t - ts.contextTime) * 1000;
+  }
+  return performance.now() + (t - _audioCtx.currentTime) * 1000;
+}
+
+function _fromPerformance(ms) {
+  if (!_audioBase) return ms / 1000;
+  const ts = _audioCtx.getOutputTimestamp?.();
+  if (ts && ts.performanceTime > 0) {
+    return ts.contextTime + (ms - ts.performanceTime) / 1000;
+  }
+  return _audioCtx.currentTime + (ms - performance.now()) / 1000;
 }
 
 function _setTempo(bpm) {
   bpm = Math.max(1, Math.min(300, bpm));
-  if (bpm === _tempo) return;
-
-  // Preserve current beat position across tempo change
-  const currentBeats = _getBeats();
-  _refBeats = currentBeats;
-  _refTime = _now();
+  _internalTempo = bpm;
+  if (_source === "midi" || bpm === _tempo) return;
+
+  // Preserve the beat position across the change; inside a clock event
+  // the new tempo starts exactly at the event's time
+  const t = _eventTime ?? _now();
+  _refBeats = _getBeats(t);
+  _refTime = t;
   _tempo = bpm;
 
   if (clock.tempo_change_handler) {
@@ -52,40 +119,167 @@ function _setTempo(bpm) {
   }
 }
 
-// High-accuracy sleep: setTimeout for the bulk, spin loop for final ~3ms
-function _accurateSleep(seconds, signal) {
+function _onAudioState() {
+  _rebase(_audioCtx.state === "running");
+}
+
+// Resolve LOOKAHEAD seconds ahead of clock time `target`. The caller then
+// stamps _eventTime = target, so the coroutine's output lands on time
+// without busy-waiting for the last few milliseconds.
+function _wait(target, signal) {
   return new Promise((resolve, reject) => {
     if (signal && signal.aborted) {
       reject(new DOMException("Aborted", "AbortError"));
       return;
     }
 
-    if (seconds <= 0) {
+    const ms = (target - LOOKAHEAD - _now()) * 1000;
+    if (ms <= 0) {
       resolve();
       return;
     }
 
-    const targetTime = _now() + seconds;
-
-    if (seconds <= 0.004) {
-      while (_now() < targetTime) { /* spin */ }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
       resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Next grid position after the beat at clock time t
+function _nextBeat(beat, offset, t) {
+  const currentBeats = _getBeats(t);
+  let nextBeat = Math.ceil((currentBeats - offset) / beat) * beat + offset;
+  if (nextBeat <= currentBeats + 0.0001) {
+    nextBeat += beat;
+  }
+  return nextBeat;
+}
+
+// -- MIDI clock input --
+
+function _resetMidiTempo() {
+  _midiLastTick = null;
+  _midiIntervals.length = 0;
+}
+
+// Resolve on the next MIDI tick, start/continue/stop, silence or source
+// change
+function _midiNext(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
       return;
     }
-
-    const coarseMs = Math.max(0, (seconds - 0.003) * 1000);
-    const timer = setTimeout(() => {
-      while (_now() < targetTime) { /* spin */ }
+    const onAbort = () => {
+      _midiWaiters.delete(done);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    const done = () => {
+      _midiWaiters.delete(done);
+      signal?.removeEventListener("abort", onAbort);
       resolve();
-    }, coarseMs);
+    };
+    _midiWaiters.add(done);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function _wakeMidiWaiters() {
+  for (const done of [..._midiWaiters]) done();
+}
+
+function _clearMidiWatchdog() {
+  clearTimeout(_midiWatchdog);
+  _midiWatchdog = null;
+}
 
-    if (signal) {
-      signal.addEventListener("abort", () => {
-        clearTimeout(timer);
-        reject(new DOMException("Aborted", "AbortError"));
-      }, { once: true });
+// Ticks stopped arriving without a STOP (cable pulled, device off): hold
+// the beat where the last tick left it until they come back
+function _onMidiSilent() {
+  _midiWatchdog = null;
+  if (_source !== "midi" || !_running) return;
+  _refBeats = _midiTicks / MIDI_PPQN;
+  _running = false;
+  _resetMidiTempo();
+  _wakeMidiWaiters();
+}
+
+// Real-time byte from the chosen hardware input (see midi.on_realtime).
+// Every tick re-anchors the beat at ticks / 24, so get_beats() interpolates
+// between ticks at the smoothed tempo and never drifts from the device.
+// Tempo comes from the raw performance-time intervals; anchors are converted
+// to clock time.
+function _onMidiRealtime(status, perfTime) {
+  const time = _fromPerformance(perfTime * 1000);
+  switch (status) {
+    case STATUS.CLOCK: {
+      if (_midiLastTick !== null) {
+        const dt = perfTime - _midiLastTick;
+        // A long gap means the device paused — start a fresh estimate
+        if (dt > 0.25) _resetMidiTempo();
+        else if (dt > 0) {
+          _midiIntervals.push(dt);
+          if (_midiIntervals.length > MIDI_PPQN) _midiIntervals.shift();
+        }
+      }
+      _midiLastTick = perfTime;
+
+      if (_midiIntervals.length > 0) {
+        // Moving average over the last beat of ticks
+        const avg = _midiIntervals.reduce((a, b) => a + b, 0) / _midiIntervals.length;
+        _tempo = Math.max(1, Math.min(300, 60 / (avg * MIDI_PPQN)));
+        if (Math.abs(_tempo - _reportedTempo) >= 0.1) {
+          _reportedTempo = _tempo;
+          if (clock.tempo_change_handler) clock.tempo_change_handler(_tempo);
+        }
+      }
+      // Devices keep ticking while stopped; only a running clock advances
+      if (_midiStopped) break;
+      _midiTicks++;
+      _refBeats = _midiTicks / MIDI_PPQN;
+      _refTime = time;
+      _clearMidiWatchdog();
+      _midiWatchdog = setTimeout(_onMidiSilent, MIDI_TIMEOUT * 1000);
+      _running = true;
+      _wakeMidiWaiters();
+      break;
     }
-  });
+
+    case STATUS.START:
+      _midiStopped = false;
+      _midiTicks = 0;
+      _refBeats = 0;
+      _refTime = time;
+      _running = true;
+      _epoch++;
+      _wakeMidiWaiters();
+      if (clock.transport.start) clock.transport.start();
+      break;
+
+    case STATUS.CONTINUE:
+      _midiStopped = false;
+      _refTime = time;
+      _running = true;
+      _wakeMidiWaiters();
+      if (clock.transport.start) clock.transport.start();
+      break;
+
+    case STATUS.STOP:
+      _midiStopped = true;
+      _clearMidiWatchdog();
+      _refBeats = _midiTicks / MIDI_PPQN;
+      _running = false;
+      _resetMidiTempo();
+      _wakeMidiWaiters();
+      if (clock.transport.stop) clock.transport.stop();
+      break;
+  }
 }
 
 // -- MIDI clock output --
@@ -119,6 +313,8 @@ const clock = {
   run(fn, ...args) {
     const id = _nextId++;
     const abort = new AbortController();
+    const callerSignal = _currentSignal;
+    const callerTime = _eventTime;
 
     const promise = (async () => {
       _currentSignal = abort.signal;
@@ -130,9 +326,16 @@ const clock = {
         }
       } finally {
         _coroutines.delete(id);
+        _eventTime = null;
       }
     })();
 
+    // fn has run up to its first await (inheriting the caller's event time,
+    // so play_note's note-off is timed from the note-on); give the caller
+    // back its own context
+    _currentSignal = callerSignal;
+    _eventTime = callerTime;
+
     _coroutines.set(id, { abort, promise });
     return id;
   },
@@ -147,39 +350,65 @@ const clock = {
   },
 
   // Sleep for `seconds`. Must be awaited inside clock.run().
+  // Counted from the current event time, so chained sleeps don't drift.
   async sleep(seconds) {
     const signal = _currentSignal;
-    await _accurateSleep(seconds, signal);
+    const target = (_eventTime ?? _now()) + Math.max(0, seconds);
+    _eventTime = null;
+    await _wait(target, signal);
     // Restore signal after await so the next call in this coroutine sees it
     _currentSignal = signal;
+    _eventTime = target;
   },
 
   // Sync to the next beat grid position.
   // beat=1 → every beat, beat=1/4 → every sixteenth note, etc.
   async sync(beat, offset = 0) {
     const signal = _currentSignal;
+    const from = _eventTime ?? _now();
+    _eventTime = null;
 
-    if (!_running) {
+    if (!_running && _source !== "midi") {
       // If clock not running, just sleep for the beat duration
-      const sleepTime = beat * (60 / _tempo);
-      await _accurateSleep(sleepTime, signal);
+      const target = from + beat * (60 / _tempo);
+      await _wait(target, signal);
       _currentSignal = signal;
+      _eventTime = target;
       return;
     }
 
-    const currentBeats = _getBeats();
-    let nextBeat = Math.ceil((currentBeats - offset) / beat) * beat + offset;
-    if (nextBeat <= currentBeats + 0.0001) {
-      nextBeat += beat;
-    }
-
-    const beatsToWait = nextBeat - currentBeats;
-    const secondsToWait = beatsToWait * (60 / _tempo);
-
-    if (secondsToWait > 0) {
-      await _accurateSleep(secondsToWait, signal);
+    // Re-check on waking: an external clock can slow down, restart the beat
+    // count, or stop while we sleep. A stopped MIDI clock is waited for, and
+    // a MIDI beat only fires once the tick before it has arrived, so a clock
+    // that goes silent doesn't play on.
+    const tickBeats = 1 / MIDI_PPQN;
+    let epoch = _epoch;
+    let nextBeat = _running ? _nextBeat(beat, offset, from) : null;
+    let target = from;
+    for (;;) {
+      if (!_running) {
+        if (_source !== "midi") break;
+        await _midiNext(signal);
+        nextBeat = null;
+        target = _now();
+        continue;
+      }
+      if (nextBeat === null || epoch !== _epoch) {
+        epoch = _epoch;
+        nextBeat = _nextBeat(beat, offset, _now());
+      }
+      target = _refTime + (nextBeat - _refBeats) * (60 / _tempo);
+      if (_source === "midi" && nextBeat - _refBeats > tickBeats + 1e-9) {
+        const tickTime = target - tickBeats * (60 / _tempo);
+        if (tickTime - _now() > LOOKAHEAD) await _wait(tickTime, signal);
+        else await _midiNext(signal);
+        continue;
+      }
+      if (target - _now() <= LOOKAHEAD) break;
+      await _wait(target, signal);
     }
     _currentSignal = signal;
+    _eventTime = target;
   },
 
   // Cancel all running coroutines
@@ -189,6 +418,7 @@ const clock = {
       coro.abort.abort();
     }
     _coroutines.clear();
+    _eventTime = null;
     clock.transport.start = null;
     clock.transport.stop = null;
     clock.tempo_change_handler = null;
@@ -208,10 +438,62 @@ const clock = {
     return 60 / _tempo;
   },
 
+  // -- Scheduling --
+
+  // Run the clock on an AudioContext's currentTime (call once audio starts).
+  // Falls back to performance time while the context is suspended.
+  set_audio_context(ctx) {
+    if (ctx === _audioCtx) return;
+    if (_audioCtx) _audioCtx.removeEventListener("statechange", _onAudioState);
+    _rebase(false);
+    _audioCtx = ctx;
+    if (ctx) {
+      ctx.addEventListener("statechange", _onAudioState);
+      _onAudioState();
+    }
+  },
+
+  // Audio time (AudioContext seconds) the running clock event is due at,
+  // or null outside a clock event — schedule at this time, not "now"
+  event_time() {
+    if (_eventTime === null || !_audioBase) return null;
+    return _eventTime;
+  },
+
+  // The same moment as a performance.now() timestamp (ms), for Web MIDI
+  // send(); null outside a clock event
+  event_timestamp() {
+    return _eventTime === null ? null : _toPerformance(_eventTime);
+  },
+
   // -- Source --
 
+  // "internal" | "midi" | "link". "midi" follows midi.clock_input; the
+  // internal tempo and running state are restored when switching back.
   set_source(source) {
+    if (source === _source) return;
+    const wasMidi = _source === "midi";
     _source = source;
+
+    if (source === "midi") {
+      // The beat holds until the device's clock arrives
+      _resetMidiTempo();
+      _refBeats = _getBeats(_now());
+      _refTime = _now();
+      _internalRunning = _running;
+      _running = false;
+      _midiStopped = false;
+      midi.on_realtime = _onMidiRealtime;
+    } else if (wasMidi) {
+      midi.on_realtime = null;
+      _clearMidiWatchdog();
+      _wakeMidiWaiters();
+      _refBeats = _getBeats(_now());
+      _refTime = _now();
+      _running = _internalRunning;
+      _tempo = _internalTempo;
+      if (clock.tempo_change_handler) clock.tempo_change_handler(_tempo);
+    }
   },
 
   get_source() {
@@ -242,13 +524,14 @@ const clock = {
   },
 
   // -- Internal clock sub-API --
+  // (start/stop and tempo changes are ignored while following MIDI clock)
   internal: {
     set_tempo(bpm) {
       _setTempo(bpm);
     },
 
     start() {
-      if (_running) return;
+      if (_running || _source === "midi") return;
       _refTime = _now();
       _running = true;
 
@@ -257,8 +540,8 @@ const clock = {
     },
 
     stop() {
-      if (!_running) return;
-      _refBeats = _getBeats();
+      if (!_running || _source === "midi") return;
+      _refBeats = _getBeats(_now());
       _running = false;
 
       _stopMidiClock();
@@ -310,11 +593,21 @@ const clock = {
     _coroutines.clear();
 
     _tempo = 120;
+    _internalTempo = 120;
+    _internalRunning = false;
+    _reportedTempo = 120;
     _running = false;
+    if (_source === "midi") midi.on_realtime = null;
     _source = "internal";
+    _midiTicks = 0;
+    _midiStopped = false;
+    _clearMidiWatchdog();
+    _resetMidiTempo();
+    _wakeMidiWaiters();
     _quantum = 4;
     _refTime = _now();
     _refBeats = 0;
+    _eventTime = null;
     _midiOutPort = null;
 
     clock.transport.start = null;
@@ -323,5 +616,8 @@ const clock = {
   },
 };
 
+// MIDI output sent from inside a clock event carries the event's timestamp
+midi.event_timestamp = () => clock.event_timestamp();
+
 export { clock };
 export default clock;
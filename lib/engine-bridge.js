@@ -3,17 +3,45 @@
 //
 // Norns engine API:
 //   engine.name = "PolySub"    — declare engine (fires async init)
+//   engine.load(name, fn)      — same, calling fn once the engine is ready
+//   engine.commands            — { name: { name, fmt } } once loaded
+//   engine.list_commands()     — print them
 //   engine.start(voice, freq)  — start a persistent voice (poly engines)
 //   engine.stop(voice)         — release a persistent voice
 //   engine.hz(freq)            — trigger a self-releasing note (PolyPerc etc.)
 //   engine.someParam(value)    — set a synthesis parameter
 //
-// Engine approximations use Sonic Pi SynthDefs (128 built-ins, loaded from CDN).
-// For full-fidelity playback, compile the engine's .sc file to a .scsyndef binary
-// and place it at:  engines/{EngineName}.scsyndef
-// It will be loaded instead of the approximation.
+// Every engine is described by engines/{EngineName}.json (see "JSON engine
+// descriptors" below): its commands, their argument formats, synth param
+// mappings, voice model and polls. Calls are checked against the engine's
+// commands, and unknown commands or wrong arguments are warned about.
+//
+// The built-in engines (PolySub, PolyPerc, MollyThePoly) are descriptors
+// that approximate them with Sonic Pi SynthDefs (128 built-ins, loaded from
+// the local supersonic-scsynth-synthdefs package or the CDN; see
+// supersonic.js). For full-fidelity playback, compile the engine's .sc file to
+// a .scsyndef binary and place it at:  engines/{EngineName}.scsyndef
+// It will be loaded before the approximation. Each engine load checks its
+// SynthDef is available, so an offline page without the synthdefs says so
+// instead of failing inside scsynth.
+//
+// PolyPerc and PolySub also have native Web Audio versions
+// (native-engines.js), used when scsynth can't boot or the approximation's
+// SynthDef can't be loaded. Timber is native only. Native engines' replies
+// (Timber's /engineSampleLoaded etc.) go to the handler set with
+// setReplyHandler().
+//
+// Commands issued from a clock coroutine are sent as time-tagged bundles for
+// the clock event's time (clock.event_timestamp()).
+//
+// An engine's polls (norns addPoll) read scsynth control buses: list them in
+// the descriptor as `polls: { pollName: busIndex }` and the SynthDef writes the
+// value with Out.kr. They appear in poll.js while the engine is loaded.
 
 import supersonic from "./supersonic.js";
+import clock from "./clock.js";
+import poll from "./poll.js";
+import nativeEngines from "./native-engines.js";
 
 // ── helpers ──────────────────────────────────────────────────────────────────
 
@@ -21,91 +49,162 @@ function hzToMidi(hz) {
   return Math.max(0, Math.min(127, Math.round(69 + 12 * Math.log2(Math.max(hz, 1) / 440))));
 }
 
-// ── engine configs ────────────────────────────────────────────────────────────
-//
-// voiceModel:
-//   "persistent" — voices are started/stopped explicitly (engine.start/stop)
-//   "trigger"    — each note auto-releases (engine.hz)
+// ── built-in engines ──────────────────────────────────────────────────────────
 //
-// base — default synth params used when spawning each node
-// map  — { engineCommandName: (value) => { synthParam: mappedValue } }
-//         Return null to silently ignore a command.
-
-const ENGINE_CONFIGS = {
-  PolySub: {
-    synthName: "sonic-pi-prophet",
-    voiceModel: "persistent",
-    base: { amp: 0.7, attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.3, cutoff: 80, res: 0.3 },
-    map: {
-      cut:        v => ({ cutoff: Math.round(Math.max(0, Math.min(1, v)) * 130) }),
-      fgain:      v => ({ res: Math.max(0, Math.min(1, v)) }),
-      ampAtk:     v => ({ attack: v }),
-      ampDec:     v => ({ decay: v }),
-      ampSus:     v => ({ sustain: v }),
-      ampRel:     v => ({ release: v }),
-      cutAtk:     v => ({ cutoff_attack: v }),
-      cutDec:     v => ({ cutoff_decay: v }),
-      cutSus:     v => ({ cutoff_sustain: v }),
-      cutRel:     v => ({ cutoff_release: v }),
-      cutEnvAmt:  v => ({ cutoff_attack: Math.abs(v) }),
-      timbre:     v => ({ lfo_rate: v * 8 }),
-      shape:      v => ({ pulse_width: Math.max(0.05, Math.min(0.95, v)) }),
-      hzLag:      _v => null,  // no direct mapping
-      noise:      _v => null,
-      detune:     _v => null,
-    },
-  },
+// Sonic Pi approximations of norns engines, described like any other engine
+// by engines/{Name}.json. Listed here only so engine.names can report them.
 
-  PolyPerc: {
-    synthName: "sonic-pi-beep",
-    voiceModel: "trigger",
-    base: { amp: 0.7, attack: 0.001, release: 1.0, cutoff: 100 },
-    map: {
-      attack:  v => ({ attack: v }),
-      release: v => ({ release: v }),
-      gain:    v => ({ amp: v }),
-      // PolyPerc cutoff is in Hz; beep's cutoff is a MIDI note (0-130)
-      cutoff:  v => ({ cutoff: v > 20 ? hzToMidi(v) : Math.round(v * 130) }),
-      pan:     v => ({ pan: v }),
-    },
-  },
+const BUILTIN_ENGINES = ["MollyThePoly", "PolyPerc", "PolySub"];
 
-  MollyThePoly: {
-    synthName: "sonic-pi-prophet",
-    voiceModel: "persistent",
-    base: { amp: 0.5, attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.5, cutoff: 90, res: 0.2 },
-    map: {
-      // MollyThePoly shares a similar parameter set to PolySub
-      cut:        v => ({ cutoff: Math.round(Math.max(0, Math.min(1, v)) * 130) }),
-      res:        v => ({ res: Math.max(0, Math.min(1, v)) }),
-      attack:     v => ({ attack: v }),
-      decay:      v => ({ decay: v }),
-      sustain:    v => ({ sustain: v }),
-      release:    v => ({ release: v }),
-      amp_atk:    v => ({ attack: v }),
-      amp_rel:    v => ({ release: v }),
-      pw:         v => ({ pulse_width: Math.max(0.05, Math.min(0.95, v)) }),
-    },
+// ── JSON engine descriptors ───────────────────────────────────────────────────
+//
+// engines/{Name}.json, next to {Name}.scsyndef:
+//
+//   {
+//     "synth": "Boing",                 SynthDef to spawn (default: the engine
+//                                       name); a Sonic Pi name loads the built-in
+//     "voice_model": "trigger",         or "persistent"
+//     "base": { "amp": 0.5 },           params for every new node
+//     "pitch": { "param": "freq" },     how start / hz pass the frequency
+//                                       (default: "note" with "hz_to_midi")
+//     "commands": {
+//       "cutoff": { "fmt": "f", "param": "cutoff", "min": 50, "max": 5000 },
+//       "gain":   { "fmt": "f", "param": "amp", "mul": 0.5 },
+//       "noise":  { "fmt": "f" },       accepted but ignored
+//       "play":   { "fmt": "f", "action": "trigger" }
+//     },
+//     "polls": { "amp_out": 0 }         poll name → control bus
+//   }
+//
+// fmt is the norns argument format, one letter per argument: f (float),
+// i (int) or s (string). Actions are "start" (voice, hz), "stop" (voice),
+// "stop_all" and "trigger" (hz); the voice model adds start/stop
+// ("persistent") or hz ("trigger") unless the descriptor declares them. Param
+// mappings apply "abs": true, then min/max, then "scale": "hz_to_midi", then
+// mul, add and "round": true.
+
+const ACTIONS = ["start", "stop", "stop_all", "trigger"];
+
+const VOICE_COMMANDS = {
+  persistent: {
+    start: { fmt: "if", action: "start" },
+    stop:  { fmt: "i",  action: "stop" },
+  },
+  trigger: {
+    hz: { fmt: "f", action: "trigger" },
   },
 };
 
+// Build a value mapping from a descriptor's { abs, min, max, scale, mul, add, round }
+function _transform(spec, label) {
+  if (spec.scale != null && spec.scale !== "hz_to_midi") {
+    console.warn(`[engine] ${label}: unknown scale "${spec.scale}"`);
+  }
+  return (v) => {
+    let x = Number(v);
+    if (spec.abs) x = Math.abs(x);
+    if (spec.min != null) x = Math.max(spec.min, x);
+    if (spec.max != null) x = Math.min(spec.max, x);
+    if (spec.scale === "hz_to_midi") x = hzToMidi(x);
+    x = x * (spec.mul ?? 1) + (spec.add ?? 0);
+    return spec.round ? Math.round(x) : x;
+  };
+}
+
+// Commands shared by every config: the voice model's, then the engine's own
+function _withVoiceCommands(voiceModel, commands) {
+  return { ...VOICE_COMMANDS[voiceModel], ...commands };
+}
+
+// Parsed engines/{name}.json → the shape _dispatch uses. Malformed commands
+// are skipped with a warning.
+function _descriptorConfig(name, d) {
+  const label = `engines/${name}.json`;
+  const voiceModel = d.voice_model ?? "trigger";
+  if (!VOICE_COMMANDS[voiceModel]) {
+    console.warn(`[engine] ${label}: unknown voice_model "${voiceModel}"`);
+  }
+
+  const commands = {};
+  for (const [cmd, spec] of Object.entries(d.commands ?? {})) {
+    if (typeof spec?.fmt !== "string" || !/^[fis]*$/.test(spec.fmt)) {
+      console.warn(`[engine] ${label}: command "${cmd}" needs a fmt of f/i/s letters`);
+      continue;
+    }
+    if (spec.action != null && !ACTIONS.includes(spec.action)) {
+      console.warn(`[engine] ${label}: command "${cmd}" has unknown action "${spec.action}"`);
+      continue;
+    }
+    let map = null;
+    if (spec.param) {
+      const transform = _transform(spec, `${label} ${cmd}`);
+      map = (v) => ({ [spec.param]: transform(v) });
+    }
+    commands[cmd] = { fmt: spec.fmt, action: spec.action ?? null, map };
+  }
+
+  const pitch = d.pitch ?? { param: "note", scale: "hz_to_midi" };
+  const pitchTransform = _transform(pitch, `${label} pitch`);
+  return {
+    synthName: d.synth ?? name,
+    voiceModel,
+    base: d.base ?? {},
+    pitch: (hz) => ({ [pitch.param ?? "freq"]: pitchTransform(hz) }),
+    commands: _withVoiceCommands(voiceModel, commands),
+    polls: d.polls ?? {},
+  };
+}
+
+async function _fetchDescriptor(name) {
+  let resp;
+  try {
+    resp = await fetch(`./engines/${name}.json`);
+  } catch {
+    return null;
+  }
+  if (!resp.ok) return null;
+  try {
+    return await resp.json();
+  } catch (err) {
+    console.error(`[engine] engines/${name}.json is not valid JSON:`, err.message);
+    return null;
+  }
+}
+
 // ── state ─────────────────────────────────────────────────────────────────────
 
 let _name    = null;
 let _config  = null;
 let _ready   = false;
 let _promise = null;
-let _queue   = [];              // buffered commands before engine is ready
+let _queue   = [];              // buffered [cmd, args, time, when] before engine is ready
+let _native  = null;            // NativeEngine when running without scsynth
+let _onReply = null;            // fn(path, args) for native engine replies
 const _voices = new Map();     // voice number → scsynth node ID
 let _gParams  = {};            // current global param accumulator
+let _polls    = [];            // poll names added for the current engine
+const _warned = new Set();     // commands already reported as unknown
 
 // ── init ──────────────────────────────────────────────────────────────────────
 
 async function _initEngine(name) {
-  const config = ENGINE_CONFIGS[name] ?? null;
+  // An engine with only a native version has no descriptor and doesn't need
+  // scsynth
+  if (!BUILTIN_ENGINES.includes(name) && await _startNative(name, "no scsynth version")) return;
+
+  const descriptor = await _fetchDescriptor(name);
+  const config = descriptor ? _descriptorConfig(name, descriptor) : null;
+  if (config) {
+    console.log(`[engine] ${name}: ${Object.keys(config.commands).length} commands from engines/${name}.json`);
+  }
 
   // Boot scsynth (idempotent if already running)
-  await supersonic.init();
+  try {
+    await supersonic.init();
+  } catch (err) {
+    if (await _startNative(name, `scsynth unavailable: ${err.message ?? err}`)) return;
+    throw err;
+  }
 
   // Try a pre-compiled custom .scsyndef first
   let usedCustom = false;
@@ -119,66 +218,149 @@ async function _initEngine(name) {
     }
   } catch { /* no custom file — fall through */ }
 
+  // Check the engine's SynthDef can load (logged the first time, cached)
+  const available = !usedCustom && config?.synthName
+    ? await supersonic.checkSynthDefs([config.synthName])
+    : {};
+
   if (!usedCustom) {
-    if (config?.synthName) {
+    if (config?.synthName && available[config.synthName]) {
       await supersonic.loadSynthDef(config.synthName);
       console.log(`[engine] ${name} → approximated by ${config.synthName}`);
+    } else if (await _startNative(name, `${config?.synthName ?? "no SynthDef"} unavailable`)) {
+      return;
+    } else if (config?.synthName) {
+      console.warn(`[engine] SynthDef ${config.synthName} for "${name}" is unavailable (offline without local synthdefs?) — audio will be silent`);
     } else {
       console.warn(`[engine] no SynthDef for engine "${name}" — audio will be silent`);
     }
   }
 
+  if (usedCustom && !config) {
+    console.warn(`[engine] ${name} has no engines/${name}.json — its commands will be ignored`);
+  }
+
+  // Another engine was chosen (or cleanup ran) while this one loaded
+  if (_name !== name) return;
+  _start(config);
+}
+
+// Switch to the native Web Audio version of the engine, if there is one
+async function _startNative(name, reason) {
+  if (!nativeEngines.has(name)) return false;
+  const engine = await nativeEngines.load(name);
+  if (!engine) return false;
+  if (_name !== name) {
+    // Another engine was chosen while this one loaded
+    engine.free();
+    return true;
+  }
+
+  console.log(`[engine] ${name} → native Web Audio engine (${reason})`);
+  const commands = {};
+  for (const [cmd, fmt] of Object.entries(engine.commands)) {
+    commands[cmd] = { fmt, action: null, map: null };
+  }
+  engine.onreply = (path, args) => _onReply?.(path, args);
+  _native = engine;
+  _start({ commands, native: engine, polls: {} });
+  return true;
+}
+
+function _start(config) {
   _config = config;
   _ready  = true;
 
+  for (const [pollName, bus] of Object.entries(config?.polls ?? {})) {
+    if (poll.add_source(pollName, () => supersonic.getControlBus(bus))) _polls.push(pollName);
+  }
+
   // Replay any commands buffered during init
   const pending = _queue.splice(0);
-  for (const [cmd, args] of pending) _dispatch(cmd, args);
+  for (const [cmd, args, time, when] of pending) _dispatch(cmd, args, time, when);
 }
 
 // ── dispatch ──────────────────────────────────────────────────────────────────
 
-function _dispatch(cmd, args) {
+// Check args against a norns fmt string ("if", "f", …); warns and returns
+// false on a mismatch. Extra args are ignored as on norns.
+function _checkArgs(cmd, fmt, args) {
+  for (let i = 0; i < fmt.length; i++) {
+    const ok = fmt[i] === "s"
+      ? args[i] != null
+      : typeof args[i] === "number" && Number.isFinite(args[i]);
+    if (!ok) {
+      console.warn(`[engine] ${_name}.${cmd} expects (${fmt}), got (${args.map(String).join(", ")})`);
+      return false;
+    }
+  }
+  return true;
+}
+
+// `time` is a performance.now() timestamp (ms) and `when` the same moment in
+// AudioContext seconds (for native engines); null for "now"
+function _dispatch(cmd, args, time = null, when = null) {
   if (!_config) return;
 
-  const { synthName, voiceModel, base, map } = _config;
+  const spec = Object.prototype.hasOwnProperty.call(_config.commands, cmd) ? _config.commands[cmd] : null;
+  if (!spec) {
+    if (!_warned.has(cmd)) {
+      _warned.add(cmd);
+      console.warn(`[engine] ${_name} has no command "${cmd}"`);
+    }
+    return;
+  }
+  if (!_checkArgs(cmd, spec.fmt, args)) return;
+
+  if (_config.native) {
+    _config.native.command(cmd, args, when);
+    return;
+  }
+
+  const { synthName, base, pitch } = _config;
 
   // ── voice commands ──
-  if (cmd === "start" && voiceModel === "persistent") {
+  if (spec.action === "start") {
     const [voice, freq] = args;
-    if (_voices.has(voice)) supersonic.freeNode(_voices.get(voice));
-    const nodeId = supersonic.newNode(synthName, { ...base, ..._gParams, note: hzToMidi(freq) });
+    if (_voices.has(voice)) supersonic.freeNode(_voices.get(voice), time);
+    const nodeId = supersonic.newNode(synthName, { ...base, ..._gParams, ...pitch(freq) }, time);
     _voices.set(voice, nodeId);
     return;
   }
 
-  if (cmd === "stop") {
+  if (spec.action === "stop") {
     const [voice] = args;
     const id = _voices.get(voice);
-    if (id != null) { supersonic.freeNode(id); _voices.delete(voice); }
+    if (id != null) { supersonic.freeNode(id, time); _voices.delete(voice); }
     return;
   }
 
-  if (cmd === "hz") {
+  if (spec.action === "stop_all") {
+    for (const id of _voices.values()) supersonic.freeNode(id, time);
+    _voices.clear();
+    return;
+  }
+
+  if (spec.action === "trigger") {
     // Self-releasing trigger: sustain drives the note length
     const [freq] = args;
     const rel = _gParams.release ?? base.release ?? 1.0;
-    supersonic.newNode(synthName, { ...base, ..._gParams, note: hzToMidi(freq), sustain: rel });
+    supersonic.newNode(synthName, { ...base, ..._gParams, ...pitch(freq), sustain: rel }, time);
     return;
   }
 
   // ── parameter commands ──
-  if (map && Object.prototype.hasOwnProperty.call(map, cmd)) {
-    const [value] = args;
-    const result = map[cmd](value);
-    if (!result) return;  // null = explicitly ignored
-    _gParams = { ..._gParams, ...result };
-    // Push param update to all active voices
-    for (const id of _voices.values()) supersonic.setNode(id, result);
-    return;
-  }
+  if (!spec.map) return;  // declared without a mapping
+  const result = spec.map(args[0]);
+  if (!result) return;  // null = explicitly ignored
+  _gParams = { ..._gParams, ...result };
+  // Push param update to all active voices
+  for (const id of _voices.values()) supersonic.setNode(id, result, time);
+}
 
-  // Unknown command — silently ignore (degrade gracefully)
+function _removePolls() {
+  for (const name of _polls) poll.remove_source(name);
+  _polls = [];
 }
 
 // ── public API ────────────────────────────────────────────────────────────────
@@ -187,10 +369,29 @@ const engineBridge = {
   get engineName() { return _name; },
   get ready()      { return _ready; },
 
-  // Called when Lua does: engine.name = "X"
+  // The loaded engine's commands: { name: fmt }, or null before it's ready
+  get commands() {
+    if (!_config) return null;
+    return Object.fromEntries(Object.entries(_config.commands).map(([cmd, spec]) => [cmd, spec.fmt]));
+  },
+
+  // Whether the loaded engine takes command `cmd`. Until it's ready every
+  // command is accepted and queued.
+  has(cmd) {
+    return !_config || Object.prototype.hasOwnProperty.call(_config.commands, cmd);
+  },
+
+  // Built-in and native engines (other engines in engines/ load by name but
+  // can't be listed without a directory index)
+  get names() {
+    return [...new Set([...BUILTIN_ENGINES, ...nativeEngines.names])].sort();
+  },
+
+  // Called when Lua does: engine.name = "X". Resolves once the engine has
+  // loaded (or failed to).
   setEngine(name) {
-    // No-op if already initialised for this engine
-    if (_name === name && _ready) return Promise.resolve();
+    // Same engine loading or loaded: share its init
+    if (_name === name && _promise) return _promise;
 
     // Reset for the new engine
     _name    = name;
@@ -198,11 +399,15 @@ const engineBridge = {
     _ready   = false;
     _promise = null;
     _queue   = [];
+    _native?.free();
+    _native  = null;
     for (const id of _voices.values()) {
       try { supersonic.freeNode(id); } catch { /* supersonic might not be ready yet */ }
     }
     _voices.clear();
     _gParams = {};
+    _removePolls();
+    _warned.clear();
 
     _promise = _initEngine(name).catch(err => {
       console.error(`[engine] failed to init "${name}":`, err);
@@ -213,19 +418,31 @@ const engineBridge = {
   // Called for any engine.X(...) call from Lua
   command(name, args) {
     if (!_name) return;
+    const time = clock.event_timestamp();
+    const when = clock.event_time();
     if (_ready) {
-      _dispatch(name, args);
+      _dispatch(name, args, time, when);
     } else {
-      _queue.push([name, args]);
+      _queue.push([name, args, time, when]);
     }
   },
 
+  // fn(path, args) receives native engines' replies, or null
+  setReplyHandler(fn) {
+    _onReply = fn;
+  },
+
   // Called when the script is stopped
   cleanup() {
     if (_ready) {
       try { supersonic.freeAll(); } catch { /* ignore */ }
     }
     _voices.clear();
+    _native?.free();
+    _native   = null;
+    _onReply  = null;
+    _removePolls();
+    _warned.clear();
     _gParams  = {};
     _name     = null;
     _config   = null;
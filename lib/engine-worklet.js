@@ -0,0 +1,122 @@
+// engine-worklet — shared by the native engine AudioWorkletProcessors
+// (poly-processor.js, timber-processor.js), which import it.
+//
+// TimedProcessor queues messages that carry a `when` (AudioContext seconds)
+// and applies each on its sample: subclasses implement handle(cmd, args)
+// and render(L, R, from, to), and set `freed` on free_all.
+
+// Shape of an envelope segment at position 0–1 for a SuperCollider curve value
+export function curveShape(pos, curve) {
+  if (Math.abs(curve) < 0.001) return pos;
+  return (1 - Math.exp(curve * pos)) / (1 - Math.exp(curve));
+}
+
+// Env.adsr with a curve; gate off starts the release from the current level
+export class ADSR {
+  constructor() {
+    this.stage = "off";
+    this.t = 0;
+    this.level = 0;
+    this.from = 0;
+  }
+
+  get done() {
+    return this.stage === "off";
+  }
+
+  gate(on) {
+    if (on) {
+      this.stage = "attack";
+    } else if (this.stage !== "off") {
+      this.stage = "release";
+    }
+    this.t = 0;
+    this.from = this.level;
+  }
+
+  next(atk, dec, sus, rel, curve, dt) {
+    this.t += dt;
+    switch (this.stage) {
+      case "attack":
+        if (this.t >= atk) {
+          this.stage = "decay";
+          this.t = 0;
+          this.level = 1;
+        } else {
+          this.level = this.from + (1 - this.from) * curveShape(this.t / atk, curve);
+        }
+        break;
+      case "decay":
+        if (this.t >= dec) {
+          this.stage = "sustain";
+          this.level = sus;
+        } else {
+          this.level = 1 + (sus - 1) * curveShape(this.t / dec, curve);
+        }
+        break;
+      case "sustain":
+        this.level = sus;
+        break;
+      case "release":
+        if (this.t >= rel) {
+          this.stage = "off";
+          this.level = 0;
+        } else {
+          this.level = this.from * (1 - curveShape(this.t / rel, curve));
+        }
+        break;
+      default:
+        this.level = 0;
+    }
+    return this.level;
+  }
+}
+
+export class TimedProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.pending = [];
+    this.freed = false;  // set by free_all; process() then lets the node go
+    this.port.onmessage = ({ data }) => this.receive(data);
+  }
+
+  // Apply a message now, or queue it for its `when`
+  receive(data) {
+    const frame = data.when != null ? Math.round(data.when * sampleRate) : 0;
+    if (frame <= currentFrame) {
+      this.handle(data.cmd, data.args ?? []);
+      return;
+    }
+    data.frame = frame;
+    let i = this.pending.length;
+    while (i > 0 && this.pending[i - 1].frame > frame) i--;
+    this.pending.splice(i, 0, data);
+  }
+
+  // Apply messages due at or before frame `f`
+  runDue(f) {
+    while (this.pending.length && this.pending[0].frame <= f) {
+      const m = this.pending.shift();
+      this.handle(m.cmd, m.args ?? []);
+    }
+  }
+
+  // Render the block in runs split at pending message frames
+  process(_inputs, outputs) {
+    const out = outputs[0];
+    const L = out[0];
+    const R = out[1] || out[0];
+    L.fill(0);
+    if (R !== L) R.fill(0);
+
+    let i = 0;
+    while (i < L.length) {
+      this.runDue(currentFrame + i);
+      let end = L.length;
+      if (this.pending.length) end = Math.min(end, Math.max(i + 1, this.pending[0].frame - currentFrame));
+      this.render(L, R, i, end);
+      i = end;
+    }
+    return !this.freed;
+  }
+}
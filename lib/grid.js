@@ -0,0 +1,313 @@
+// norns-web Grid module
+// Port of norns lua/core/grid.lua plus an on-page varibright emulator.
+// Scripts talk to one of four virtual ports; devices (the emulator) attach
+// to the first free port, as on hardware.
+//
+// Usage:
+//   import grid from '../lib/grid.js';
+//   const g = grid.connect();            // vport 1
+//   g.key = (x, y, z) => { g.led(x, y, z * 15); g.refresh(); };
+//   g.all(0); g.led(1, 1, 8); g.refresh();
+//
+// Page side:
+//   grid.emulator(canvas, { cols: 16, rows: 8 });   // attach a virtual device
+//
+// Coordinates are 1-based and follow the port's rotation (0–3 = 0/90/180/270°).
+
+const NUM_VPORTS = 4;
+const CELL = 24;   // emulator key size (css px), including the gap
+const GAP  = 4;
+
+// ---------------------------------------------------------------------------
+// Device — LED state for one physical (or emulated) grid
+
+let _nextDeviceId = 1;
+
+class GridDevice {
+  constructor(cols = 16, rows = 8, name = null) {
+    this.id = _nextDeviceId++;
+    this.cols = cols;   // physical size, before rotation
+    this.rows = rows;
+    this.serial = `m${String(this.id).padStart(7, "0")}`;
+    this.name = name ?? `monome ${cols * rows}`;
+    this.port = null;   // attached GridPort
+    this.rot = 0;
+    this.brightness = 15;
+    this._leds = new Uint8Array(cols * rows);    // pending (led/all)
+    this._frame = new Uint8Array(cols * rows);   // shown (after refresh)
+    this.onrefresh = null;                       // emulator redraw hook
+  }
+
+  // Logical (rotated, 1-based) → physical 0-based cell index, or -1
+  _index(x, y) {
+    const { cols: C, rows: R } = this;
+    x -= 1; y -= 1;
+    let px, py;
+    switch (this.rot) {
+      case 1:  px = y;         py = R - 1 - x; break;
+      case 2:  px = C - 1 - x; py = R - 1 - y; break;
+      case 3:  px = C - 1 - y; py = x;         break;
+      default: px = x;         py = y;
+    }
+    if (px < 0 || px >= C || py < 0 || py >= R) return -1;
+    return py * C + px;
+  }
+
+  // Physical 0-based cell → logical 1-based { x, y }
+  _logical(px, py) {
+    const { cols: C, rows: R } = this;
+    switch (this.rot) {
+      case 1:  return { x: R - py,  y: px + 1 };
+      case 2:  return { x: C - px,  y: R - py };
+      case 3:  return { x: py + 1,  y: C - px };
+      default: return { x: px + 1,  y: py + 1 };
+    }
+  }
+
+  get logical_cols() { return this.rot % 2 ? this.rows : this.cols; }
+  get logical_rows() { return this.rot % 2 ? this.cols : this.rows; }
+
+  led(x, y, level) {
+    const i = this._index(Math.floor(x), Math.floor(y));
+    if (i >= 0) this._leds[i] = Math.max(0, Math.min(15, Math.round(level)));
+  }
+
+  all(level) {
+    this._leds.fill(Math.max(0, Math.min(15, Math.round(level))));
+  }
+
+  refresh() {
+    this._frame.set(this._leds);
+    if (this.onrefresh) this.onrefresh();
+  }
+
+  rotation(r) {
+    this.rot = ((Math.trunc(r) % 4) + 4) % 4;
+  }
+
+  intensity(i) {
+    this.brightness = Math.max(0, Math.min(15, Math.round(i)));
+    if (this.onrefresh) this.onrefresh();
+  }
+
+  // Key from the physical surface → script callback
+  _key(px, py, z) {
+    const cb = this.port?.key;
+    if (!cb) return;
+    const { x, y } = this._logical(px, py);
+    try {
+      cb(x, y, z);
+    } catch (err) {
+      console.error("[grid] key error:", err);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Virtual port — what grid.connect() returns. Safe to use with no device.
+
+class GridPort {
+  constructor(index) {
+    this.index = index;
+    this.name = "none";
+    this.device = null;
+    this.key = null;   // user-settable callback: fn(x, y, z)
+  }
+
+  get cols() { return this.device ? this.device.logical_cols : 0; }
+  get rows() { return this.device ? this.device.logical_rows : 0; }
+
+  led(x, y, level)   { this.device?.led(x, y, level); }
+  all(level)         { this.device?.all(level); }
+  refresh()          { this.device?.refresh(); }
+  rotation(r)        { this.device?.rotation(r); }
+  intensity(i)       { this.device?.intensity(i); }
+}
+
+const _vports = [];
+for (let i = 1; i <= NUM_VPORTS; i++) _vports[i] = new GridPort(i);
+
+// ---------------------------------------------------------------------------
+// Emulator — draws a device on a canvas and turns pointer input into keys.
+// Every touch point is its own key press; shift-click latches a key down so
+// several keys can be held with a mouse (click it again to release).
+
+function _levelColor(level, brightness) {
+  const t = (level / 15) * (brightness / 15);
+  // unlit keys stay visible as dark rubber; lit keys go toward warm white
+  const r = Math.round(34 + t * (255 - 34));
+  const g = Math.round(34 + t * (236 - 34));
+  const b = Math.round(34 + t * (190 - 34));
+  return `rgb(${r},${g},${b})`;
+}
+
+function _attachEmulator(canvas, dev) {
+  const dpr = window.devicePixelRatio || 1;
+  const W = dev.cols * CELL + GAP;
+  const H = dev.rows * CELL + GAP;
+  canvas.style.width = `${W}px`;
+  canvas.style.height = `${H}px`;
+  canvas.width = Math.round(W * dpr);
+  canvas.height = Math.round(H * dpr);
+  canvas.style.touchAction = "none";
+  const ctx = canvas.getContext("2d");
+
+  const pointers = new Map();   // pointerId → cell index
+  const latched = new Set();    // cell indices held by shift-click
+  let rafId = null;
+
+  function draw() {
+    rafId = null;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = "#111";
+    ctx.fillRect(0, 0, W, H);
+    const held = new Set([...pointers.values(), ...latched]);
+    for (let py = 0; py < dev.rows; py++) {
+      for (let px = 0; px < dev.cols; px++) {
+        const i = py * dev.cols + px;
+        ctx.fillStyle = _levelColor(dev._frame[i], dev.brightness);
+        ctx.fillRect(GAP + px * CELL, GAP + py * CELL, CELL - GAP, CELL - GAP);
+        if (held.has(i)) {
+          ctx.strokeStyle = "#8cf";
+          ctx.lineWidth = 1.5;
+          ctx.strokeRect(GAP + px * CELL + 0.75, GAP + py * CELL + 0.75, CELL - GAP - 1.5, CELL - GAP - 1.5);
+        }
+      }
+    }
+  }
+
+  function schedule() {
+    if (rafId === null) rafId = requestAnimationFrame(draw);
+  }
+
+  function cellAt(e) {
+    const rect = canvas.getBoundingClientRect();
+    const px = Math.floor((e.clientX - rect.left - GAP / 2) / CELL);
+    const py = Math.floor((e.clientY - rect.top - GAP / 2) / CELL);
+    if (px < 0 || px >= dev.cols || py < 0 || py >= dev.rows) return -1;
+    return py * dev.cols + px;
+  }
+
+  const press = (i, z) => {
+    dev._key(i % dev.cols, Math.floor(i / dev.cols), z);
+    schedule();
+  };
+
+  function onDown(e) {
+    const i = cellAt(e);
+    if (i < 0) return;
+    e.preventDefault();
+    if (e.shiftKey && e.pointerType === "mouse") {
+      if (latched.delete(i)) press(i, 0);
+      else { latched.add(i); press(i, 1); }
+      return;
+    }
+    if (latched.has(i)) return;
+    canvas.setPointerCapture?.(e.pointerId);
+    pointers.set(e.pointerId, i);
+    press(i, 1);
+  }
+
+  function onUp(e) {
+    const i = pointers.get(e.pointerId);
+    if (i === undefined) return;
+    pointers.delete(e.pointerId);
+    press(i, 0);
+  }
+
+  canvas.addEventListener("pointerdown", onDown);
+  canvas.addEventListener("pointerup", onUp);
+  canvas.addEventListener("pointercancel", onUp);
+  canvas.addEventListener("contextmenu", (e) => e.preventDefault());
+
+  dev.onrefresh = schedule;
+  schedule();
+
+  // Detach: release anything still held so the script sees key-ups
+  return () => {
+    for (const i of pointers.values()) press(i, 0);
+    for (const i of latched) press(i, 0);
+    pointers.clear();
+    latched.clear();
+    canvas.removeEventListener("pointerdown", onDown);
+    canvas.removeEventListener("pointerup", onUp);
+    canvas.removeEventListener("pointercancel", onUp);
+    if (rafId !== null) cancelAnimationFrame(rafId);
+    dev.onrefresh = null;
+  };
+}
+
+// ---------------------------------------------------------------------------
+// public API
+
+const grid = {
+  // Global callbacks fired when a device is attached / detached: fn(dev)
+  add: null,
+  remove: null,
+
+  vports: _vports,
+
+  // Return virtual port n (1–4, default 1)
+  connect(n = 1) {
+    const idx = Math.trunc(n);
+    if (idx < 1 || idx > NUM_VPORTS) {
+      throw new RangeError(`Grid port index must be 1–${NUM_VPORTS}`);
+    }
+    return _vports[idx];
+  },
+
+  // Attach a device to the first free port (norns device hot-plug)
+  attach(dev) {
+    const port = _vports.find((p) => p && !p.device);
+    if (!port) {
+      console.warn("[grid] no free port for", dev.name);
+      return null;
+    }
+    port.device = dev;
+    port.name = dev.name;
+    dev.port = port;
+    if (grid.add) grid.add(dev);
+    return port;
+  },
+
+  detach(dev) {
+    const port = dev.port;
+    if (!port) return;
+    port.device = null;
+    port.name = "none";
+    dev.port = null;
+    if (grid.remove) grid.remove(dev);
+  },
+
+  // Create an emulated grid drawn on `canvas` and attach it.
+  // Returns the device; call device.destroy() to unplug it.
+  emulator(canvas, { cols = 16, rows = 8 } = {}) {
+    const dev = new GridDevice(cols, rows);
+    const detachUi = _attachEmulator(canvas, dev);
+    dev.destroy = () => {
+      detachUi();
+      grid.detach(dev);
+    };
+    grid.attach(dev);
+    return dev;
+  },
+
+  // Reset script-facing state: callbacks, LEDs and rotation
+  cleanup() {
+    grid.add = null;
+    grid.remove = null;
+    for (let i = 1; i <= NUM_VPORTS; i++) {
+      const port = _vports[i];
+      port.key = null;
+      if (port.device) {
+        port.device.rotation(0);
+        port.device.intensity(15);
+        port.device.all(0);
+        port.device.refresh();
+      }
+    }
+  },
+};
+
+export { grid, GridDevice, GridPort };
+export default grid;
@@ -10,12 +10,24 @@
 //   enc(n, d)    — encoder events
 //
 // Coroutines fully supported — idiomatic clock.run / clock.sync / clock.sleep works.
+// metro.init / m:start / m:stop behave as on norns (see metro.js).
+// poll.set / p:start / p:stop behave as on norns (see poll.js).
+// include() / require() resolve against the script's dir in vfs.js.
 
 import screen from "./screen.js";
 import midi from "./midi.js";
 import clock from "./clock.js";
+import metro from "./metro.js";
+import grid from "./grid.js";
+import arc from "./arc.js";
 import softcut from "./softcut.js";
+import audio from "./audio.js";
+import poll from "./poll.js";
 import engineBridge from "./engine-bridge.js";
+import vfs from "./vfs.js";
+import LUA_LIBS from "./lua-stdlib.js";
+import params, { Param, ControlSpec, SPEC_PRESETS } from "./params.js";
+import pset from "./pset.js";
 
 // ---------------------------------------------------------------------------
 // helpers
@@ -62,37 +74,110 @@ end
 package.preload['core/mods'] = function() return mod end
 `;
 
-export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] } = {}) {
+// Lua bootstrap: loadfile/dofile, include() and a require() searcher that read
+// from the virtual filesystem (vfs.js) instead of the network. Needs _path,
+// norns.state and the _vfs_read / _vfs_exists functions installed first.
+const FS_BOOTSTRAP_LUA = `
+function loadfile(filename, mode, env)
+  local src = _vfs_read(filename)
+  if src == nil then return nil, "cannot open " .. tostring(filename) end
+  if env == nil then return load(src, "@" .. filename, mode) end
+  return load(src, "@" .. filename, mode, env)
+end
+
+function dofile(filename)
+  local f, err = loadfile(filename)
+  if not f then error(err, 2) end
+  return f()
+end
+
+-- norns lua/core/startup.lua: script dir first, then dust/code
+function include(file)
+  for _, dir in ipairs({ norns.state.path, _path.code }) do
+    local p = dir .. file .. ".lua"
+    if _vfs_exists(p) then return dofile(p) end
+  end
+  print("### MISSING INCLUDE: " .. file)
+  error("MISSING INCLUDE: " .. file, 2)
+end
+
+package.path = norns.state.path .. "?.lua;" .. _path.code .. "?.lua;" .. _path.code .. "?/init.lua"
+
+-- keep the preload searcher; the stock file searchers would fetch over the network
+package.cpath = ""
+package.searchers = { package.searchers[1], function(name)
+  local file = name:gsub("%.", "/")
+  local tried = {}
+  for template in package.path:gmatch("[^;]+") do
+    local p = template:gsub("%?", file)
+    if _vfs_exists(p) then
+      local f, err = loadfile(p)
+      if not f then error("error loading module '" .. name .. "' from file '" .. p .. "':\\n\\t" .. err, 2) end
+      return f, p
+    end
+    tried[#tried + 1] = "\\n\\tno file '" .. p .. "'"
+  end
+  return table.concat(tried)
+end }
+`;
+
+// Lua bootstrap: the bundled norns libraries, loaded on first require() like
+// core/mods. `util` is the JS-backed global; `tab` is global as on norns.
+const STDLIB_BOOTSTRAP_LUA = `
+for name, src in pairs(_stdlib_sources) do
+  package.preload[name] = function(...)
+    return assert(load(src, "@lib/" .. name .. ".lua"))(...)
+  end
+end
+_stdlib_sources = nil
+
+package.preload['util'] = function() return util end
+tab = require 'tabutil'
+`;
+
+export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [], dir = null } = {}) {
   screen.init(canvas);
 
-  // Initialize softcut if an AudioContext is available
+  // Initialize softcut and the mixer if an AudioContext is available, and
+  // run the clock on it
   if (audioCtx) {
-    await softcut.init(audioCtx);
+    await audio.init(audioCtx);
+    clock.set_audio_context(audioCtx);
+  }
+
+  // Load the script's PSETs up front so params:read() in init() applies them
+  // before returning, and params:read(); params:bang() works as on norns
+  try {
+    await pset.preload();
+  } catch (err) {
+    console.warn("[params] couldn't preload psets; params:read() will finish later:", err?.message ?? err);
   }
 
   const { lua: luaApi, lauxlib, lualib, to_luastring } = getFengari();
 
   const {
     LUA_OK, LUA_YIELD, LUA_MULTRET,
-    LUA_TFUNCTION, LUA_TNUMBER, LUA_TSTRING, LUA_TBOOLEAN, LUA_TNIL,
+    LUA_TFUNCTION, LUA_TNUMBER, LUA_TSTRING, LUA_TBOOLEAN, LUA_TNIL, LUA_TTABLE,
     LUA_REGISTRYINDEX,
     lua_newthread, lua_resume, lua_yield,
     lua_pushnumber, lua_pushinteger, lua_pushstring, lua_pushboolean, lua_pushnil,
     lua_pushjsfunction, lua_setglobal, lua_getglobal,
-    lua_newtable, lua_setfield, lua_setmetatable, lua_createtable,
+    lua_newtable, lua_setfield, lua_getfield, lua_setmetatable, lua_createtable,
     lua_rawset, lua_rawgeti, lua_rawseti,
     lua_tonumber, lua_tojsstring, lua_toboolean,
     lua_gettop, lua_settop, lua_pop, lua_pushvalue,
     lua_isfunction, lua_type, lua_xmove, lua_pcall,
+    lua_next, lua_rawequal, lua_rawlen, lua_absindex, lua_isnoneornil,
   } = luaApi;
 
-  const { luaL_newstate, luaL_loadstring, luaL_ref, luaL_unref, LUA_NOREF } = lauxlib;
+  const { luaL_newstate, luaL_loadstring, luaL_ref, luaL_unref, luaL_error, LUA_NOREF } = lauxlib;
   const { luaL_openlibs } = lualib;
   const ls = to_luastring;
 
   // Shorthand stack readers
-  const N = (L, idx, def = 0) => { const v = lua_tonumber(L, idx); return v == null ? def : v; };
-  const S = (L, idx, def = "") => { const v = lua_tojsstring(L, idx); return v == null ? def : String(def); };
+  // (fengari's lua_tonumber returns 0 for missing args, so check for nil first)
+  const N = (L, idx, def = 0) => lua_isnoneornil(L, idx) ? def : lua_tonumber(L, idx);
+  const S = (L, idx, def = "") => { const v = lua_tojsstring(L, idx); return v == null ? def : v; };
 
   // ---------------------------------------------------------------------------
   // Create Lua state
@@ -118,6 +203,118 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   // Install the mod system (hooks, package.preload['core/mods'])
   execLua(MOD_BOOTSTRAP_LUA, "mod-bootstrap");
 
+  // ---------------------------------------------------------------------------
+  // Value conversion helpers for the table-style APIs (params, controlspec, …)
+
+  // Registry refs held for Lua functions handed to JS (actions, formatters…);
+  // released together in cleanup().
+  const _fnRefs = new Set();
+
+  // Call an anchored Lua function on the main state; returns its first result.
+  function callRef(ref, label, args) {
+    if (!_fnRefs.has(ref)) return undefined;
+    lua_rawgeti(L, LUA_REGISTRYINDEX, ref);
+    for (const a of args) pushValue(L, a);
+    const status = lua_pcall(L, args.length, 1, 0);
+    if (status !== LUA_OK) {
+      console.error(`[lua] ${label} error:`, lua_tojsstring(L, -1));
+      lua_pop(L, 1);
+      return undefined;
+    }
+    const result = toValue(L, -1);
+    lua_pop(L, 1);
+    return result;
+  }
+
+  // Anchor the Lua function at idx; returns a JS function that calls it.
+  // fn.release() drops the registry reference.
+  function luaFunction(L, idx, label = "callback") {
+    lua_pushvalue(L, idx);
+    const ref = luaL_ref(L, LUA_REGISTRYINDEX);
+    _fnRefs.add(ref);
+    const fn = (...args) => callRef(ref, label, args);
+    fn.release = () => {
+      if (_fnRefs.delete(ref)) luaL_unref(L, LUA_REGISTRYINDEX, ref);
+    };
+    return fn;
+  }
+
+  // Push a JS value: numbers, strings, booleans, arrays, plain objects,
+  // params.js Param / ControlSpec instances.
+  function pushValue(L, v) {
+    if (v == null) {
+      lua_pushnil(L);
+    } else if (typeof v === "number") {
+      if (Number.isSafeInteger(v)) lua_pushinteger(L, v);
+      else lua_pushnumber(L, v);
+    } else if (typeof v === "boolean") {
+      lua_pushboolean(L, v);
+    } else if (typeof v === "string") {
+      lua_pushstring(L, ls(v));
+    } else if (v instanceof Param) {
+      pushParam(L, v);
+    } else if (v instanceof ControlSpec) {
+      pushControlSpec(L, v);
+    } else if (Array.isArray(v)) {
+      lua_createtable(L, v.length, 0);
+      v.forEach((x, i) => { pushValue(L, x); lua_rawseti(L, -2, i + 1); });
+    } else if (typeof v === "object") {
+      lua_newtable(L);
+      for (const [k, x] of Object.entries(v)) {
+        if (typeof x === "function") continue;
+        pushValue(L, x);
+        lua_setfield(L, -2, ls(k));
+      }
+    } else {
+      lua_pushnil(L);
+    }
+  }
+
+  // Read the Lua value at idx. Sequences become arrays, other tables become
+  // objects (string keys only), functions become anchored JS callbacks.
+  function toValue(L, idx, depth = 0) {
+    idx = lua_absindex(L, idx);
+    switch (lua_type(L, idx)) {
+      case LUA_TNUMBER:   return lua_tonumber(L, idx);
+      case LUA_TSTRING:   return lua_tojsstring(L, idx);
+      case LUA_TBOOLEAN:  return lua_toboolean(L, idx);
+      case LUA_TFUNCTION: return luaFunction(L, idx);
+      case LUA_TTABLE: {
+        if (depth > 8) return null;
+        const len = lua_rawlen(L, idx);
+        if (len > 0) {
+          const arr = [];
+          for (let i = 1; i <= len; i++) {
+            lua_rawgeti(L, idx, i);
+            arr.push(toValue(L, -1, depth + 1));
+            lua_pop(L, 1);
+          }
+          return arr;
+        }
+        const obj = {};
+        lua_pushnil(L);
+        while (lua_next(L, idx) !== 0) {
+          if (lua_type(L, -2) === LUA_TSTRING) {
+            obj[lua_tojsstring(L, -2)] = toValue(L, -1, depth + 1);
+          }
+          lua_pop(L, 1);
+        }
+        return obj;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  // Run fn, turning a thrown JS error into a Lua error (e.g. unknown param id)
+  function guard(L, fn) {
+    try {
+      return fn();
+    } catch (err) {
+      return luaL_error(L, ls("%s"), ls(err.message ?? String(err)));
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // ── screen ──────────────────────────────────────────────────────────────────
 
@@ -182,6 +379,8 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   // clock.get_beats()  — returns current beat position
   // clock.get_beat_sec() — seconds per beat
   // clock.internal.set_tempo(bpm) / .start() / .stop()
+  // clock.set_source(src) / clock.get_source()
+  // clock.transport.start / .stop, clock.tempo_change_handler — script callbacks
 
   lua_newtable(L);
 
@@ -288,8 +487,149 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   lua_setfield(L, -2, ls("stop"));
   lua_setfield(L, -2, ls("internal"));
 
+  // clock.set_source("internal" | "midi" | "link") — numbers 1–3 as in the
+  // norns clock_source param
+  const CLOCK_SOURCES = ["internal", "midi", "link"];
+  lua_pushjsfunction(L, (L) => {
+    const src = lua_type(L, 1) === LUA_TNUMBER ? CLOCK_SOURCES[N(L, 1) - 1] : S(L, 1);
+    if (CLOCK_SOURCES.includes(src)) clock.set_source(src);
+    else console.warn("[lua] clock.set_source: unknown source", src);
+    return 0;
+  });
+  lua_setfield(L, -2, ls("set_source"));
+  lua_pushjsfunction(L, (L) => { lua_pushstring(L, ls(clock.get_source())); return 1; });
+  lua_setfield(L, -2, ls("get_source"));
+
+  // clock.transport.start / .stop and clock.tempo_change_handler are plain
+  // Lua fields the script assigns; the JS clock calls them through here
+  lua_newtable(L);
+  lua_setfield(L, -2, ls("transport"));
+
   lua_setglobal(L, ls("clock"));
 
+  execLua(`
+    function _clock_event(name, ...)
+      local fn
+      if name == "tempo" then fn = clock.tempo_change_handler
+      else fn = clock.transport and clock.transport[name] end
+      if type(fn) == "function" then fn(...) end
+    end
+  `, "clock-events");
+
+  function clockEvent(name, ...args) {
+    lua_getglobal(L, ls("_clock_event"));
+    lua_pushstring(L, ls(name));
+    for (const a of args) lua_pushnumber(L, a);
+    if (lua_pcall(L, 1 + args.length, 0, 0) !== LUA_OK) {
+      console.warn(`[lua] clock ${name} callback error:`, lua_tojsstring(L, -1));
+      lua_pop(L, 1);
+    }
+  }
+  clock.transport.start = () => clockEvent("start");
+  clock.transport.stop = () => clockEvent("stop");
+  clock.tempo_change_handler = (bpm) => clockEvent("tempo", bpm);
+
+  // ---------------------------------------------------------------------------
+  // ── metro ───────────────────────────────────────────────────────────────────
+  //
+  // m = metro.init(event, time, count)   or   metro.init{ event = fn, time = t, count = n }
+  // m:start(time?, count?, stage?)  m:stop()
+  // m.time = t  (applies while running)   m.count   m.init_stage   m.event = fn
+  // m.id  m.is_running
+  // metro.free(id)  metro.free_all()
+
+  // Metro proxy tables, one per slot so `m` stays the same table across inits
+  const _metroRefs = new Map(); // Metro → registry ref
+
+  function pushMetro(L, m) {
+    if (_metroRefs.has(m)) {
+      lua_rawgeti(L, LUA_REGISTRYINDEX, _metroRefs.get(m));
+      return;
+    }
+
+    lua_newtable(L);
+    lua_newtable(L); // metatable
+
+    // Arguments after self — supports m:start() and m.start()
+    function metroArgs(L) {
+      lua_rawgeti(L, LUA_REGISTRYINDEX, _metroRefs.get(m));
+      const base = lua_rawequal(L, 1, -1) ? 2 : 1;
+      lua_pop(L, 1);
+      const args = [];
+      for (let i = base; i <= lua_gettop(L); i++) args.push(toValue(L, i));
+      return args;
+    }
+
+    const methods = {
+      start: (L) => { m.start(...metroArgs(L)); return 0; },
+      stop:  (L) => { m.stop(); return 0; },
+    };
+
+    lua_pushjsfunction(L, (L) => {
+      const key = lua_tojsstring(L, 2);
+      if (methods[key]) lua_pushjsfunction(L, methods[key]);
+      else if (key === "props") pushValue(L, { ...m.props, event: null });
+      else if (["id", "time", "count", "init_stage", "is_running"].includes(key)) pushValue(L, m[key]);
+      else lua_pushnil(L);
+      return 1;
+    });
+    lua_setfield(L, -2, ls("__index"));
+
+    lua_pushjsfunction(L, (L) => {
+      const key = lua_type(L, 2) === LUA_TSTRING ? lua_tojsstring(L, 2) : null;
+      if (key === "event") {
+        setCallback(m, "event", lua_type(L, 3) === LUA_TFUNCTION
+          ? luaFunction(L, 3, `metro ${m.id} event`)
+          : null);
+      } else if (key === "time" || key === "count" || key === "init_stage") {
+        m[key] = N(L, 3);
+      } else {
+        lua_rawset(L, 1);
+      }
+      return 0;
+    });
+    lua_setfield(L, -2, ls("__newindex"));
+
+    lua_setmetatable(L, -2);
+    lua_pushvalue(L, -1);
+    _metroRefs.set(m, luaL_ref(L, LUA_REGISTRYINDEX));
+  }
+
+  // Release a slot's Lua event callback before the slot is reused
+  function freeMetro(id) {
+    const m = metro.metros[id];
+    if (m) setCallback(m, "event", null);
+    metro.free(id);
+  }
+
+  lua_newtable(L);
+
+  lua_pushjsfunction(L, (L) => {
+    const args = [];
+    for (let i = 1; i <= Math.min(3, lua_gettop(L)); i++) args.push(toValue(L, i));
+    const m = metro.init(...args);
+    if (m) pushMetro(L, m);
+    else lua_pushnil(L);
+    return 1;
+  });
+  lua_setfield(L, -2, ls("init"));
+
+  lua_pushjsfunction(L, (L) => { freeMetro(N(L, 1)); return 0; });
+  lua_setfield(L, -2, ls("free"));
+
+  lua_pushjsfunction(L, (L) => {
+    for (let i = 1; i <= metro.num_script_metros; i++) freeMetro(i);
+    return 0;
+  });
+  lua_setfield(L, -2, ls("free_all"));
+
+  lua_pushinteger(L, metro.num_metros);
+  lua_setfield(L, -2, ls("num_metros"));
+  lua_pushinteger(L, metro.num_script_metros);
+  lua_setfield(L, -2, ls("num_script_metros"));
+
+  lua_setglobal(L, ls("metro"));
+
   // ---------------------------------------------------------------------------
   // ── midi ────────────────────────────────────────────────────────────────────
   //
@@ -400,11 +740,143 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
 
   lua_setglobal(L, ls("midi"));
 
+  // ---------------------------------------------------------------------------
+  // ── grid / arc ──────────────────────────────────────────────────────────────
+  //
+  // g = grid.connect(n)               — virtual port 1–4 (default 1)
+  // g.key = function(x, y, z) … end
+  // g:led(x, y, level)  g:all(level)  g:refresh()  g:rotation(r)  g:intensity(i)
+  // g.cols  g.rows  g.name  g.device
+  // grid.add = function(dev) … end    grid.remove = function(dev) … end
+  //
+  // a = arc.connect(n)
+  // a.delta = function(n, d) … end    a.key = function(n, z) … end
+  // a:led(ring, x, level)  a:all(level)  a:segment(ring, from, to, level)  a:refresh()
+  // arc.add / arc.remove
+
+  // Plain description of a device for Lua (norns dev table)
+  const deviceInfo = (dev) => dev && {
+    id: dev.id, serial: dev.serial, name: dev.name,
+    cols: dev.logical_cols, rows: dev.logical_rows, port: dev.port?.index ?? null,
+  };
+
+  const _portRefs = new Map(); // GridPort / ArcPort → registry ref
+
+  // Proxy table for a device vport: methods (colon or dot calls, numeric
+  // args), read-only fields, and callback fields set by assignment.
+  function pushPort(L, port, { label, methods, fields, callbacks }) {
+    if (_portRefs.has(port)) {
+      lua_rawgeti(L, LUA_REGISTRYINDEX, _portRefs.get(port));
+      return;
+    }
+
+    lua_newtable(L);
+    lua_newtable(L); // metatable
+
+    const wrapped = {};
+    for (const name of methods) {
+      wrapped[name] = (L) => {
+        lua_rawgeti(L, LUA_REGISTRYINDEX, _portRefs.get(port));
+        const base = lua_rawequal(L, 1, -1) ? 2 : 1;
+        lua_pop(L, 1);
+        const args = [];
+        for (let i = base; i <= lua_gettop(L); i++) args.push(N(L, i));
+        port[name](...args);
+        return 0;
+      };
+    }
+
+    lua_pushjsfunction(L, (L) => {
+      const key = lua_tojsstring(L, 2);
+      if (wrapped[key]) lua_pushjsfunction(L, wrapped[key]);
+      else if (fields.includes(key)) pushValue(L, port[key]);
+      else if (key === "device") pushValue(L, deviceInfo(port.device));
+      else lua_pushnil(L);
+      return 1;
+    });
+    lua_setfield(L, -2, ls("__index"));
+
+    lua_pushjsfunction(L, (L) => {
+      const key = lua_type(L, 2) === LUA_TSTRING ? lua_tojsstring(L, 2) : null;
+      if (callbacks.includes(key)) {
+        setCallback(port, key, lua_type(L, 3) === LUA_TFUNCTION
+          ? luaFunction(L, 3, `${label} ${port.index} ${key}`)
+          : null);
+      } else {
+        lua_rawset(L, 1);
+      }
+      return 0;
+    });
+    lua_setfield(L, -2, ls("__newindex"));
+
+    lua_setmetatable(L, -2);
+    lua_pushvalue(L, -1);
+    _portRefs.set(port, luaL_ref(L, LUA_REGISTRYINDEX));
+  }
+
+  // grid / arc global: connect(n) plus add/remove hot-plug callbacks
+  function setDeviceGlobal(name, mod, spec) {
+    lua_newtable(L);
+
+    lua_pushjsfunction(L, (L) => guard(L, () => {
+      pushPort(L, mod.connect(N(L, 1, 1)), { label: name, ...spec });
+      return 1;
+    }));
+    lua_setfield(L, -2, ls("connect"));
+
+    lua_newtable(L);
+    lua_pushjsfunction(L, (L) => {
+      const key = lua_type(L, 2) === LUA_TSTRING ? lua_tojsstring(L, 2) : null;
+      if (key === "add" || key === "remove") {
+        let cb = null;
+        if (lua_type(L, 3) === LUA_TFUNCTION) {
+          const fn = luaFunction(L, 3, `${name}.${key}`);
+          cb = (dev) => fn(deviceInfo(dev));
+          cb.release = fn.release;
+        }
+        setCallback(mod, key, cb);
+      } else {
+        lua_rawset(L, 1);
+      }
+      return 0;
+    });
+    lua_setfield(L, -2, ls("__newindex"));
+    lua_setmetatable(L, -2);
+
+    lua_setglobal(L, ls(name));
+  }
+
+  setDeviceGlobal("grid", grid, {
+    methods: ["led", "all", "refresh", "rotation", "intensity"],
+    fields: ["cols", "rows", "name"],
+    callbacks: ["key"],
+  });
+
+  setDeviceGlobal("arc", arc, {
+    methods: ["led", "all", "segment", "refresh"],
+    fields: ["name"],
+    callbacks: ["delta", "key"],
+  });
+
   // ---------------------------------------------------------------------------
   // ── util ────────────────────────────────────────────────────────────────────
 
   lua_newtable(L);
 
+  // Position of f in [slo, shi] (0–1, linear or exponential) mapped onto
+  // [dlo, dhi] by `out`; ends return dlo / dhi exactly
+  const linPos = (f, lo, hi) => (f - lo) / (hi - lo);
+  const logPos = (f, lo, hi) => Math.log(f / lo) / Math.log(hi / lo);
+  function mapRange(L, pos, out) {
+    const slo = N(L,1), shi = N(L,2), dlo = N(L,3), dhi = N(L,4), f = N(L,5);
+    let v;
+    if (f <= slo) v = dlo;
+    else if (f >= shi) v = dhi;
+    else v = out(pos(f, slo, shi), dlo, dhi);
+    lua_pushnumber(L, v);
+    return 1;
+  }
+
   const utilMethods = {
     time:   (L) => { lua_pushnumber(L, performance.now() / 1000); return 1; },
     wrap:   (L) => {
@@ -417,17 +889,30 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
       lua_pushnumber(L, Math.max(N(L,2), Math.min(N(L,3), N(L,1))));
       return 1;
     },
-    linlin: (L) => {
-      const n = N(L,1), l1 = N(L,2), h1 = N(L,3), l2 = N(L,4), h2 = N(L,5);
-      const t = (n - l1) / (h1 - l1);
-      lua_pushnumber(L, l2 + t * (h2 - l2));
-      return 1;
-    },
     round:  (L) => {
       const q = N(L, 2, 1) || 1;
       lua_pushnumber(L, Math.round(N(L,1) / q) * q);
       return 1;
     },
+    // Range mapping, norns argument order: (slo, shi, dlo, dhi, f).
+    // The input is clamped to [slo, shi] as on norns.
+    linlin: (L) => mapRange(L, linPos, (t, lo, hi) => lo + t * (hi - lo)),
+    linexp: (L) => mapRange(L, linPos, (t, lo, hi) => lo * Math.pow(hi / lo, t)),
+    explin: (L) => mapRange(L, logPos, (t, lo, hi) => lo + t * (hi - lo)),
+    expexp: (L) => mapRange(L, logPos, (t, lo, hi) => lo * Math.pow(hi / lo, t)),
+    file_exists: (L) => {
+      lua_pushboolean(L, vfs.exists(S(L, 1)));
+      return 1;
+    },
+    // seconds → "h:mm:ss"
+    s_to_hms: (L) => {
+      const total = Math.max(0, Math.floor(N(L, 1)));
+      const pad = (v) => String(v).padStart(2, "0");
+      const h = Math.floor(total / 3600);
+      const m = Math.floor(total / 60) % 60;
+      lua_pushstring(L, ls(`${h}:${pad(m)}:${pad(total % 60)}`));
+      return 1;
+    },
   };
 
   for (const [name, fn] of Object.entries(utilMethods)) {
@@ -436,6 +921,327 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   }
   lua_setglobal(L, ls("util"));
 
+  // ---------------------------------------------------------------------------
+  // ── filesystem: _path, norns.state, include / require ─────────────────────
+
+  // Script dir as mounted by script-loader.js, e.g. /home/we/dust/code/awake/
+  const scriptDir = dir ?? vfs.CODE + "untitled/";
+  const scriptName = scriptDir.slice(vfs.CODE.length).replace(/\/$/, "");
+
+  pushValue(L, {
+    home:  vfs.HOME,
+    dust:  vfs.DUST,
+    code:  vfs.CODE,
+    data:  vfs.DATA,
+    audio: vfs.DUST + "audio/",
+    tape:  vfs.DUST + "audio/tape/",
+  });
+  lua_setglobal(L, ls("_path"));
+
+  pushValue(L, {
+    state: {
+      name: scriptName,
+      shortname: scriptName.split("/").pop(),
+      path: scriptDir,
+      lib: scriptDir + "lib/",
+      data: vfs.DATA + scriptName + "/",
+    },
+  });
+  lua_setglobal(L, ls("norns"));
+
+  lua_pushjsfunction(L, (L) => {
+    const text = vfs.read(S(L, 1));
+    if (text == null) lua_pushnil(L);
+    else lua_pushstring(L, ls(text));
+    return 1;
+  });
+  lua_setglobal(L, ls("_vfs_read"));
+
+  lua_pushjsfunction(L, (L) => {
+    lua_pushboolean(L, vfs.exists(S(L, 1)));
+    return 1;
+  });
+  lua_setglobal(L, ls("_vfs_exists"));
+
+  lua_pushjsfunction(L, (L) => {
+    vfs.write(S(L, 1), S(L, 2));
+    return 0;
+  });
+  lua_setglobal(L, ls("_vfs_write"));
+
+  execLua(FS_BOOTSTRAP_LUA, "fs-bootstrap");
+
+  // ---------------------------------------------------------------------------
+  // ── stdlib: tabutil, musicutil, lattice, sequins (see lua-stdlib.js) ───────
+
+  pushValue(L, LUA_LIBS);
+  lua_setglobal(L, ls("_stdlib_sources"));
+  execLua(STDLIB_BOOTSTRAP_LUA, "stdlib-bootstrap");
+
+  // ---------------------------------------------------------------------------
+  // ── params / controlspec ────────────────────────────────────────────────────
+  //
+  // Backed by lib/params.js — the same paramset JS scripts import.
+  //
+  // params:add_number(id, name, min, max, default, formatter, wrap)
+  // params:add_option(id, name, options, default)
+  // params:add_control(id, name, controlspec, formatter)
+  // params:add_taper(id, name, min, max, default, k, units)
+  // params:add_binary(id, name, behavior, default)
+  // params:add_trigger(id, name)      params:add_text(id, name, text)
+  // params:add_separator(id, name)    params:add_group(id, name, n)
+  // params:add{ type = "...", id = ..., action = fn, ... }
+  // params:set(id, v, silent)  params:get(id)  params:delta(id, d)  params:string(id)
+  // params:set_action(id, fn)  params:bang()   params:lookup_param(id)
+  // controlspec.new(min, max, warp, step, default, units, quantum, wrap)
+  // controlspec.def{ ... }     controlspec.FREQ, controlspec.AMP, …
+
+  // Param proxy tables, one per Param so identity is stable across lookups
+  const _paramRefs = new Map(); // Param → registry ref
+
+  // Replace a Lua-backed callback, releasing the previous registry ref
+  function setCallback(p, field, fn) {
+    if (typeof p[field]?.release === "function") p[field].release();
+    p[field] = fn;
+  }
+
+  function pushParam(L, p) {
+    if (_paramRefs.has(p)) {
+      lua_rawgeti(L, LUA_REGISTRYINDEX, _paramRefs.get(p));
+      return;
+    }
+
+    lua_newtable(L);
+    lua_newtable(L); // metatable
+
+    // p:get(), p:set(v), … — methods ignore the self argument
+    const methods = ["get", "set", "get_raw", "set_raw", "delta", "string", "bang", "get_range", "set_default"];
+
+    lua_pushjsfunction(L, (L) => {
+      const key = lua_tojsstring(L, 2);
+      if (methods.includes(key) && typeof p[key] === "function") {
+        lua_pushjsfunction(L, (L) => {
+          const args = [];
+          for (let i = 2; i <= lua_gettop(L); i++) args.push(toValue(L, i));
+          return guard(L, () => {
+            pushValue(L, p[key](...args));
+            return 1;
+          });
+        });
+      } else if (key === "controlspec" && p.controlspec) {
+        pushControlSpec(L, p.controlspec);
+      } else if (key === "action" || key === "formatter") {
+        lua_pushnil(L);
+      } else {
+        pushValue(L, typeof p[key] === "function" ? null : p[key]);
+      }
+      return 1;
+    });
+    lua_setfield(L, -2, ls("__index"));
+
+    lua_pushjsfunction(L, (L) => {
+      const key = lua_tojsstring(L, 2);
+      if (key === "action" || key === "formatter") {
+        setCallback(p, key, lua_type(L, 3) === LUA_TFUNCTION
+          ? luaFunction(L, 3, `param ${key} [${p.id}]`)
+          : (key === "action" ? () => {} : null));
+      } else if (key === "controlspec" && lua_type(L, 3) === LUA_TTABLE) {
+        p.controlspec = ControlSpec.from(toValue(L, 3));
+      } else if (key != null && typeof p[key] !== "function") {
+        p[key] = toValue(L, 3);
+      }
+      return 0;
+    });
+    lua_setfield(L, -2, ls("__newindex"));
+
+    lua_setmetatable(L, -2);
+    lua_pushvalue(L, -1);
+    _paramRefs.set(p, luaL_ref(L, LUA_REGISTRYINDEX));
+  }
+
+  // controlspec objects are plain data tables (like norns) sharing one metatable
+  let _specMetaRef = LUA_NOREF;
+
+  function pushControlSpec(L, spec) {
+    lua_newtable(L);
+    for (const k of ["minval", "maxval", "warp", "step", "default", "units", "quantum", "wrap"]) {
+      pushValue(L, spec[k]);
+      lua_setfield(L, -2, ls(k));
+    }
+    lua_rawgeti(L, LUA_REGISTRYINDEX, _specMetaRef);
+    lua_setmetatable(L, -2);
+  }
+
+  // Build the shared controlspec metatable: cs:map(x), cs:unmap(v), …
+  lua_newtable(L);
+  lua_newtable(L); // __index table
+  const specMethods = {
+    map:       (L) => { lua_pushnumber(L, ControlSpec.from(toValue(L, 1)).map(N(L, 2))); return 1; },
+    unmap:     (L) => { lua_pushnumber(L, ControlSpec.from(toValue(L, 1)).unmap(N(L, 2))); return 1; },
+    constrain: (L) => { lua_pushnumber(L, ControlSpec.from(toValue(L, 1)).constrain(N(L, 2))); return 1; },
+    copy:      (L) => { pushControlSpec(L, ControlSpec.from(toValue(L, 1)).copy()); return 1; },
+    print:     (L) => { console.log(String(ControlSpec.from(toValue(L, 1)))); return 0; },
+  };
+  for (const [name, fn] of Object.entries(specMethods)) {
+    lua_pushjsfunction(L, fn);
+    lua_setfield(L, -2, ls(name));
+  }
+  lua_setfield(L, -2, ls("__index"));
+  _specMetaRef = luaL_ref(L, LUA_REGISTRYINDEX);
+
+  // controlspec global
+  lua_newtable(L);
+  lua_pushjsfunction(L, (L) => {
+    const a = [];
+    for (let i = 1; i <= 8; i++) a.push(toValue(L, i));
+    pushControlSpec(L, ControlSpec.new(...a));
+    return 1;
+  });
+  lua_setfield(L, -2, ls("new"));
+  lua_pushjsfunction(L, (L) => {
+    pushControlSpec(L, ControlSpec.def(toValue(L, 1) ?? {}));
+    return 1;
+  });
+  lua_setfield(L, -2, ls("def"));
+  for (const name of SPEC_PRESETS) {
+    pushControlSpec(L, ControlSpec[name]);
+    lua_setfield(L, -2, ls(name));
+  }
+  lua_setglobal(L, ls("controlspec"));
+
+  // params global
+  lua_newtable(L);
+  lua_pushvalue(L, -1);
+  const paramsRef = luaL_ref(L, LUA_REGISTRYINDEX);
+
+  // First argument index after `self` — supports both params:fn() and params.fn()
+  function argBase(L) {
+    lua_rawgeti(L, LUA_REGISTRYINDEX, paramsRef);
+    const isSelf = lua_rawequal(L, 1, -1);
+    lua_pop(L, 1);
+    return isSelf ? 2 : 1;
+  }
+
+  // Collect the call's arguments (after self) as JS values
+  function paramArgs(L) {
+    const args = [];
+    for (let i = argBase(L); i <= lua_gettop(L); i++) args.push(toValue(L, i));
+    return args;
+  }
+
+  const paramsMethods = {
+    // -- adders --
+    add:           (L) => guard(L, () => { params.add(paramArgs(L)[0] ?? {}); return 0; }),
+    add_number:    (L) => guard(L, () => { params.add_number(...paramArgs(L)); return 0; }),
+    add_option:    (L) => guard(L, () => { params.add_option(...paramArgs(L)); return 0; }),
+    add_control:   (L) => guard(L, () => { params.add_control(...paramArgs(L)); return 0; }),
+    add_taper:     (L) => guard(L, () => { params.add_taper(...paramArgs(L)); return 0; }),
+    add_binary:    (L) => guard(L, () => { params.add_binary(...paramArgs(L)); return 0; }),
+    add_trigger:   (L) => guard(L, () => { params.add_trigger(...paramArgs(L)); return 0; }),
+    add_text:      (L) => guard(L, () => { params.add_text(...paramArgs(L)); return 0; }),
+    add_file:      (L) => guard(L, () => { params.add_file(...paramArgs(L)); return 0; }),
+    add_separator: (L) => guard(L, () => { params.add_separator(...paramArgs(L)); return 0; }),
+    add_group:     (L) => guard(L, () => { params.add_group(...paramArgs(L)); return 0; }),
+
+    // -- values --
+    get:       (L) => guard(L, () => { pushValue(L, params.get(...paramArgs(L))); return 1; }),
+    set:       (L) => guard(L, () => { params.set(...paramArgs(L)); return 0; }),
+    get_raw:   (L) => guard(L, () => { pushValue(L, params.get_raw(...paramArgs(L))); return 1; }),
+    set_raw:   (L) => guard(L, () => { params.set_raw(...paramArgs(L)); return 0; }),
+    delta:     (L) => guard(L, () => { params.delta(...paramArgs(L)); return 0; }),
+    string:    (L) => guard(L, () => { pushValue(L, params.string(...paramArgs(L))); return 1; }),
+    t:         (L) => guard(L, () => { pushValue(L, params.t(...paramArgs(L))); return 1; }),
+    get_id:    (L) => guard(L, () => { pushValue(L, params.get_id(...paramArgs(L))); return 1; }),
+    get_name:  (L) => guard(L, () => { pushValue(L, params.get_name(...paramArgs(L))); return 1; }),
+    get_range: (L) => guard(L, () => { pushValue(L, params.get_range(...paramArgs(L))); return 1; }),
+
+    set_action: (L) => guard(L, () => {
+      const [index, fn] = paramArgs(L);
+      setCallback(params.lookup_param(index), "action",
+        typeof fn === "function" ? fn : () => {});
+      return 0;
+    }),
+    set_save:     (L) => guard(L, () => { params.set_save(...paramArgs(L)); return 0; }),
+    lookup_param: (L) => guard(L, () => { pushParam(L, params.lookup_param(paramArgs(L)[0])); return 1; }),
+
+    // -- visibility --
+    hide:    (L) => guard(L, () => { params.hide(...paramArgs(L)); return 0; }),
+    show:    (L) => guard(L, () => { params.show(...paramArgs(L)); return 0; }),
+    visible: (L) => guard(L, () => { lua_pushboolean(L, params.visible(...paramArgs(L))); return 1; }),
+
+    // -- bulk --
+    bang:    (L) => { params.bang(); return 0; },
+    default: (L) => { params.default(); return 0; },
+    clear:   (L) => { params.clear(); return 0; },
+    list:    (L) => { params.list(); return 0; },
+    print:   (L) => { params.print(); return 0; },
+
+    // -- psets: read applies the preloaded PSET at once; write and delete
+    // finish in IndexedDB after the call returns --
+    write: (L) => {
+      const [n, name] = paramArgs(L);
+      params.write(n ?? 1, name).catch((err) => console.error("[params] write error:", err));
+      return 0;
+    },
+    read: (L) => {
+      const [n, silent] = paramArgs(L);
+      params.read(n, silent).catch((err) => console.error("[params] read error:", err));
+      return 0;
+    },
+    delete: (L) => {
+      const [n, name] = paramArgs(L);
+      params.delete(n ?? 1, name).catch((err) => console.error("[params] delete error:", err));
+      return 0;
+    },
+  };
+
+  for (const [name, fn] of Object.entries(paramsMethods)) {
+    lua_pushjsfunction(L, fn);
+    lua_setfield(L, -2, ls(name));
+  }
+  for (const t of ["tSEPARATOR", "tNUMBER", "tOPTION", "tCONTROL", "tFILE",
+                   "tTAPER", "tTRIGGER", "tGROUP", "tTEXT", "tBINARY"]) {
+    lua_pushinteger(L, params[t]);
+    lua_setfield(L, -2, ls(t));
+  }
+
+  // Metatable: live read-only views of params.count / params.lookup / params.params,
+  // and params.action_write / action_read / action_delete assignment
+  const PSET_ACTIONS = ["action_write", "action_read", "action_delete"];
+  lua_newtable(L);
+  lua_pushjsfunction(L, (L) => {
+    const key = lua_tojsstring(L, 2);
+    if (key === "count") pushValue(L, params.count);
+    else if (key === "lookup") pushValue(L, params.lookup);
+    else if (key === "params") pushValue(L, params.params);
+    else if (key === "name") pushValue(L, params.name);
+    else lua_pushnil(L);
+    return 1;
+  });
+  lua_setfield(L, -2, ls("__index"));
+  lua_pushjsfunction(L, (L) => {
+    const key = lua_type(L, 2) === LUA_TSTRING ? lua_tojsstring(L, 2) : null;
+    if (PSET_ACTIONS.includes(key)) {
+      setCallback(params, key, lua_type(L, 3) === LUA_TFUNCTION
+        ? luaFunction(L, 3, `params.${key}`)
+        : null);
+    } else {
+      lua_rawset(L, 1);
+    }
+    return 0;
+  });
+  lua_setfield(L, -2, ls("__newindex"));
+  lua_setmetatable(L, -2);
+
+  lua_setglobal(L, ls("params"));
+
+  // Open the shared audio input in the background, as norns' input is always
+  // live. The first call asks for microphone permission.
+  function openInput() {
+    if (!audioCtx || audio.input_open) return;
+    audio.open_input().catch((e) => console.warn("[lua] audio input unavailable:", e.message));
+  }
+
   // ---------------------------------------------------------------------------
   // ── softcut ─────────────────────────────────────────────────────────────────
   //
@@ -445,17 +1251,36 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   // softcut.loop(v, state)            softcut.loop_start(v, pos)
   // softcut.loop_end(v, pos)          softcut.fade_time(v, t)
   // softcut.level_slew_time(v, t)     softcut.buffer(v, buf)
+  // softcut.rate_slew_time(v, t)      softcut.pan_slew_time(v, t)
+  // softcut.recpre_slew_time(v, t)    softcut.rec_offset(v, samples)
   // softcut.rec(v, state)             softcut.rec_level(v, amp)
   // softcut.pre_level(v, amp)
+  // softcut.level_input_cut(ch, v, amp)  softcut.level_cut_cut(src, dst, amp)
+  // softcut.voice_sync(dst, src, offset)
+  // softcut.pre_filter_fc / fc_mod / rq / lp / hp / bp / br / dry (v, x)
+  // softcut.post_filter_fc / rq / lp / hp / bp / br / dry (v, x)
   // softcut.buffer_clear()            softcut.buffer_clear_channel(ch)
   // softcut.buffer_clear_region(s,d)
   // softcut.buffer_read_mono(url, start_src, start_dst, dur, ch_src, ch_dst)
+  // softcut.buffer_read_stereo(url, start_src, start_dst, dur)
+  // softcut.buffer_write_mono(file, start, dur, ch)
+  // softcut.buffer_write_stereo(file, start, dur)
   //   — async fire-and-forget; Lua continues immediately
+  // softcut.buffer_copy_mono(src_ch, dst_ch, start_src, start_dst, dur, fade_time, preserve, reverse)
+  // softcut.buffer_copy_stereo(start_src, start_dst, dur, fade_time, preserve, reverse)
   // softcut.phase_quant(v, q)
   // softcut.poll_start_phase()        softcut.poll_stop_phase()
   // softcut.event_phase(fn)           — fn(voice, phase) called on each phase event
+  // softcut.render_buffer(ch, start, dur, samples)
+  // softcut.event_render(fn)          — fn(ch, start, sec_per_sample, samples)
+  // softcut.query_position(v)         softcut.event_position(fn) — fn(voice, pos)
+  // softcut.poll_start_vu(interval)   softcut.poll_stop_vu()
+  // softcut.event_vu(fn)              — fn(in_l, in_r, out_l, out_r, voices)
 
   let phaseRef = LUA_NOREF;
+  let renderRef = LUA_NOREF;
+  let positionRef = LUA_NOREF;
+  let vuRef = LUA_NOREF;
 
   lua_newtable(L);
 
@@ -472,18 +1297,42 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
     ["loop_end",         (v, p) => softcut.loop_end(v, p)],
     ["fade_time",        (v, t) => softcut.fade_time(v, t)],
     ["level_slew_time",  (v, t) => softcut.level_slew_time(v, t)],
+    ["rate_slew_time",   (v, t) => softcut.rate_slew_time(v, t)],
+    ["pan_slew_time",    (v, t) => softcut.pan_slew_time(v, t)],
+    ["recpre_slew_time", (v, t) => softcut.recpre_slew_time(v, t)],
+    ["rec_offset",       (v, o) => softcut.rec_offset(v, o)],
     ["buffer",           (v, b) => softcut.buffer(v, b)],
-    ["rec",              (v, s) => softcut.rec(v, s)],
+    ["rec",              (v, s) => { if (s) openInput(); softcut.rec(v, s); }],
     ["rec_level",        (v, a) => softcut.rec_level(v, a)],
     ["pre_level",        (v, a) => softcut.pre_level(v, a)],
     ["phase_quant",      (v, q) => softcut.phase_quant(v, q)],
   ];
 
+  // Filters — pre_filter_* / post_filter_*, same (voice, value) shape
+  for (const name of [
+    "pre_filter_fc", "pre_filter_fc_mod", "pre_filter_rq", "pre_filter_lp",
+    "pre_filter_hp", "pre_filter_bp", "pre_filter_br", "pre_filter_dry",
+    "post_filter_fc", "post_filter_rq", "post_filter_lp", "post_filter_hp",
+    "post_filter_bp", "post_filter_br", "post_filter_dry",
+  ]) {
+    voiceMethods.push([name, (v, x) => softcut[name](v, x)]);
+  }
+
   for (const [name, jsfn] of voiceMethods) {
     lua_pushjsfunction(L, (L) => { jsfn(N(L, 1), N(L, 2)); return 0; });
     lua_setfield(L, -2, ls(name));
   }
 
+  // Routing — three-argument calls
+  lua_pushjsfunction(L, (L) => { softcut.level_input_cut(N(L, 1, 1), N(L, 2, 1), N(L, 3, 0)); return 0; });
+  lua_setfield(L, -2, ls("level_input_cut"));
+
+  lua_pushjsfunction(L, (L) => { softcut.level_cut_cut(N(L, 1, 1), N(L, 2, 1), N(L, 3, 0)); return 0; });
+  lua_setfield(L, -2, ls("level_cut_cut"));
+
+  lua_pushjsfunction(L, (L) => { softcut.voice_sync(N(L, 1, 1), N(L, 2, 1), N(L, 3, 0)); return 0; });
+  lua_setfield(L, -2, ls("voice_sync"));
+
   // Buffer operations
   lua_pushjsfunction(L, (L) => { softcut.buffer_clear(); return 0; });
   lua_setfield(L, -2, ls("buffer_clear"));
@@ -513,6 +1362,52 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   });
   lua_setfield(L, -2, ls("buffer_read_mono"));
 
+  // buffer_read_stereo(url, start_src, start_dst, dur) — same as above
+  lua_pushjsfunction(L, (L) => {
+    const url = S(L, 1);
+    if (!audioCtx) {
+      console.warn("[lua] softcut.buffer_read_stereo: no AudioContext — start audio first");
+      return 0;
+    }
+    softcut.buffer_read_stereo(url, N(L, 2, 0), N(L, 3, 0), N(L, 4, -1))
+      .catch((e) => console.error("[lua] softcut.buffer_read_stereo error:", e));
+    return 0;
+  });
+  lua_setfield(L, -2, ls("buffer_read_stereo"));
+
+  // buffer_write_mono(file, start, dur, ch) / buffer_write_stereo(file, start, dur)
+  // Fire-and-forget; the file is offered as a browser download under its basename.
+  lua_pushjsfunction(L, (L) => {
+    const name = S(L, 1).split("/").pop();
+    softcut.buffer_write_mono(name, N(L, 2, 0), N(L, 3, -1), N(L, 4, 1))
+      .catch((e) => console.error("[lua] softcut.buffer_write_mono error:", e));
+    return 0;
+  });
+  lua_setfield(L, -2, ls("buffer_write_mono"));
+
+  lua_pushjsfunction(L, (L) => {
+    const name = S(L, 1).split("/").pop();
+    softcut.buffer_write_stereo(name, N(L, 2, 0), N(L, 3, -1))
+      .catch((e) => console.error("[lua] softcut.buffer_write_stereo error:", e));
+    return 0;
+  });
+  lua_setfield(L, -2, ls("buffer_write_stereo"));
+
+  // buffer_copy_mono(src_ch, dst_ch, start_src, start_dst, dur, fade_time, preserve, reverse)
+  lua_pushjsfunction(L, (L) => {
+    softcut.buffer_copy_mono(N(L, 1, 1), N(L, 2, 1), N(L, 3, 0), N(L, 4, 0), N(L, 5, -1),
+      N(L, 6, 0), N(L, 7, 0), N(L, 8, 0));
+    return 0;
+  });
+  lua_setfield(L, -2, ls("buffer_copy_mono"));
+
+  // buffer_copy_stereo(start_src, start_dst, dur, fade_time, preserve, reverse)
+  lua_pushjsfunction(L, (L) => {
+    softcut.buffer_copy_stereo(N(L, 1, 0), N(L, 2, 0), N(L, 3, -1), N(L, 4, 0), N(L, 5, 0), N(L, 6, 0));
+    return 0;
+  });
+  lua_setfield(L, -2, ls("buffer_copy_stereo"));
+
   // Phase polling
   lua_pushjsfunction(L, (L) => { softcut.poll_start_phase(); return 0; });
   lua_setfield(L, -2, ls("poll_start_phase"));
@@ -543,21 +1438,280 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   });
   lua_setfield(L, -2, ls("event_phase"));
 
+  // Waveform rendering
+  lua_pushjsfunction(L, (L) => {
+    softcut.render_buffer(N(L, 1, 1), N(L, 2, 0), N(L, 3, -1), N(L, 4, 128));
+    return 0;
+  });
+  lua_setfield(L, -2, ls("render_buffer"));
+
+  // event_render(fn) — fn(ch, start, sec_per_sample, samples), samples a 1-based table
+  lua_pushjsfunction(L, (L) => {
+    if (lua_type(L, 1) !== LUA_TFUNCTION) return 0;
+    if (renderRef !== LUA_NOREF) luaL_unref(L, LUA_REGISTRYINDEX, renderRef);
+    lua_pushvalue(L, 1);
+    renderRef = luaL_ref(L, LUA_REGISTRYINDEX);
+
+    softcut.event_render((ch, start, secPerSample, samples) => {
+      if (renderRef === LUA_NOREF) return;
+      lua_rawgeti(L, LUA_REGISTRYINDEX, renderRef);
+      if (!lua_isfunction(L, -1)) { lua_pop(L, 1); return; }
+      lua_pushinteger(L, ch);
+      lua_pushnumber(L, start);
+      lua_pushnumber(L, secPerSample);
+      lua_createtable(L, samples.length, 0);
+      for (let i = 0; i < samples.length; i++) {
+        lua_pushnumber(L, samples[i]);
+        lua_rawseti(L, -2, i + 1);
+      }
+      const status = lua_pcall(L, 4, 0, 0);
+      if (status !== LUA_OK) {
+        console.error("[lua] softcut.event_render callback error:", lua_tojsstring(L, -1));
+        lua_pop(L, 1);
+      }
+    });
+    return 0;
+  });
+  lua_setfield(L, -2, ls("event_render"));
+
+  // Position and amplitude
+  lua_pushjsfunction(L, (L) => { softcut.query_position(N(L, 1, 1)); return 0; });
+  lua_setfield(L, -2, ls("query_position"));
+
+  // event_position(fn) — fn(voice, pos)
+  lua_pushjsfunction(L, (L) => {
+    if (lua_type(L, 1) !== LUA_TFUNCTION) return 0;
+    if (positionRef !== LUA_NOREF) luaL_unref(L, LUA_REGISTRYINDEX, positionRef);
+    lua_pushvalue(L, 1);
+    positionRef = luaL_ref(L, LUA_REGISTRYINDEX);
+
+    softcut.event_position((voice, pos) => {
+      if (positionRef === LUA_NOREF) return;
+      lua_rawgeti(L, LUA_REGISTRYINDEX, positionRef);
+      if (!lua_isfunction(L, -1)) { lua_pop(L, 1); return; }
+      lua_pushinteger(L, voice);
+      lua_pushnumber(L, pos);
+      const status = lua_pcall(L, 2, 0, 0);
+      if (status !== LUA_OK) {
+        console.error("[lua] softcut.event_position callback error:", lua_tojsstring(L, -1));
+        lua_pop(L, 1);
+      }
+    });
+    return 0;
+  });
+  lua_setfield(L, -2, ls("event_position"));
+
+  lua_pushjsfunction(L, (L) => { softcut.poll_start_vu(N(L, 1, 0.05)); return 0; });
+  lua_setfield(L, -2, ls("poll_start_vu"));
+
+  lua_pushjsfunction(L, (L) => { softcut.poll_stop_vu(); return 0; });
+  lua_setfield(L, -2, ls("poll_stop_vu"));
+
+  // event_vu(fn) — fn(in_l, in_r, out_l, out_r, voices), voices a 1-based table
+  lua_pushjsfunction(L, (L) => {
+    if (lua_type(L, 1) !== LUA_TFUNCTION) return 0;
+    if (vuRef !== LUA_NOREF) luaL_unref(L, LUA_REGISTRYINDEX, vuRef);
+    lua_pushvalue(L, 1);
+    vuRef = luaL_ref(L, LUA_REGISTRYINDEX);
+
+    softcut.event_vu((inL, inR, outL, outR, voices) => {
+      if (vuRef === LUA_NOREF) return;
+      lua_rawgeti(L, LUA_REGISTRYINDEX, vuRef);
+      if (!lua_isfunction(L, -1)) { lua_pop(L, 1); return; }
+      lua_pushnumber(L, inL);
+      lua_pushnumber(L, inR);
+      lua_pushnumber(L, outL);
+      lua_pushnumber(L, outR);
+      lua_createtable(L, voices.length, 0);
+      for (let i = 0; i < voices.length; i++) {
+        lua_pushnumber(L, voices[i]);
+        lua_rawseti(L, -2, i + 1);
+      }
+      const status = lua_pcall(L, 5, 0, 0);
+      if (status !== LUA_OK) {
+        console.error("[lua] softcut.event_vu callback error:", lua_tojsstring(L, -1));
+        lua_pop(L, 1);
+      }
+    });
+    return 0;
+  });
+  lua_setfield(L, -2, ls("event_vu"));
+
   lua_setglobal(L, ls("softcut"));
 
+  // ---------------------------------------------------------------------------
+  // ── audio ───────────────────────────────────────────────────────────────────
+  //
+  // audio.level_adc(l)      audio.level_monitor(l)   audio.level_dac(l)
+  // audio.level_eng(l)      audio.level_cut(l)
+  // audio.level_adc_cut(l)  audio.level_eng_cut(l)
+  // audio.monitor_mono()    audio.monitor_stereo()
+  // audio.pitch_on()        audio.pitch_off()
+  // audio.rev_on()          audio.rev_off()          audio.rev_param(name, v)
+  // audio.comp_on()         audio.comp_off()         audio.comp_param(name, v)
+  // audio.comp_mix(v)
+  // audio.level_monitor_rev(l)  audio.level_eng_rev(l)
+  // audio.level_cut_rev(l)      audio.level_rev_dac(l)
+  //
+  // The shared input opens on first use: softcut.rec on, pitch_on, or a
+  // monitor level above 0.
+
+  lua_newtable(L);
+
+  for (const name of [
+    "level_adc", "level_monitor", "level_adc_cut", "level_eng",
+    "level_eng_cut", "level_cut", "level_dac", "level_monitor_rev",
+    "level_eng_rev", "level_cut_rev", "level_rev_dac",
+  ]) {
+    lua_pushjsfunction(L, (L) => {
+      const v = N(L, 1, 1);
+      if (name === "level_monitor" && v > 0) openInput();
+      audio[name](v);
+      return 0;
+    });
+    lua_setfield(L, -2, ls(name));
+  }
+
+  lua_pushjsfunction(L, (L) => { audio.monitor_mono(); return 0; });
+  lua_setfield(L, -2, ls("monitor_mono"));
+
+  lua_pushjsfunction(L, (L) => { audio.monitor_stereo(); return 0; });
+  lua_setfield(L, -2, ls("monitor_stereo"));
+
+  lua_pushjsfunction(L, (L) => { openInput(); audio.pitch_on(); return 0; });
+  lua_setfield(L, -2, ls("pitch_on"));
+
+  lua_pushjsfunction(L, (L) => { audio.pitch_off(); return 0; });
+  lua_setfield(L, -2, ls("pitch_off"));
+
+  for (const name of ["rev_on", "rev_off", "comp_on", "comp_off"]) {
+    lua_pushjsfunction(L, (L) => { audio[name](); return 0; });
+    lua_setfield(L, -2, ls(name));
+  }
+
+  for (const name of ["rev_param", "comp_param"]) {
+    lua_pushjsfunction(L, (L) => { audio[name](S(L, 1), N(L, 2, 0)); return 0; });
+    lua_setfield(L, -2, ls(name));
+  }
+
+  lua_pushjsfunction(L, (L) => { audio.comp_mix(N(L, 1, 0.5)); return 0; });
+  lua_setfield(L, -2, ls("comp_mix"));
+
+  lua_setglobal(L, ls("audio"));
+
+  // ---------------------------------------------------------------------------
+  // ── poll ────────────────────────────────────────────────────────────────────
+  //
+  // p = poll.set(name, callback?)   p.callback = fn(value)   p.time = t
+  // p:start()  p:stop()  p:update()  p.name  p.is_running
+  // poll.list_names()  poll.clear_all()
+  //
+  // Starting an amp_in or pitch_in poll opens the shared input.
+
+  const _pollRefs = new Map(); // Poll → registry ref
+
+  function pushPoll(L, p) {
+    if (_pollRefs.has(p)) {
+      lua_rawgeti(L, LUA_REGISTRYINDEX, _pollRefs.get(p));
+      return;
+    }
+
+    lua_newtable(L);
+    lua_newtable(L); // metatable
+
+    const methods = {
+      start: (L) => {
+        if (/^(amp|pitch)_in_/.test(p.name)) openInput();
+        p.start();
+        return 0;
+      },
+      stop:   (L) => { p.stop(); return 0; },
+      update: (L) => { p.update(); return 0; },
+    };
+
+    lua_pushjsfunction(L, (L) => {
+      const key = lua_tojsstring(L, 2);
+      if (methods[key]) lua_pushjsfunction(L, methods[key]);
+      else if (key === "props") pushValue(L, { ...p.props, callback: null });
+      else if (["name", "time", "is_running"].includes(key)) pushValue(L, p[key]);
+      else lua_pushnil(L);
+      return 1;
+    });
+    lua_setfield(L, -2, ls("__index"));
+
+    lua_pushjsfunction(L, (L) => {
+      const key = lua_type(L, 2) === LUA_TSTRING ? lua_tojsstring(L, 2) : null;
+      if (key === "callback") {
+        setCallback(p, "callback", lua_type(L, 3) === LUA_TFUNCTION
+          ? luaFunction(L, 3, `poll ${p.name} callback`)
+          : null);
+      } else if (key === "time") {
+        p.time = N(L, 3);
+      } else {
+        lua_rawset(L, 1);
+      }
+      return 0;
+    });
+    lua_setfield(L, -2, ls("__newindex"));
+
+    lua_setmetatable(L, -2);
+    lua_pushvalue(L, -1);
+    _pollRefs.set(p, luaL_ref(L, LUA_REGISTRYINDEX));
+  }
+
+  function clearPolls() {
+    for (const p of poll.polls.values()) setCallback(p, "callback", null);
+    poll.clear_all();
+  }
+
+  lua_newtable(L);
+
+  lua_pushjsfunction(L, (L) => {
+    const p = poll.set(S(L, 1));
+    if (!p) {
+      lua_pushnil(L);
+      return 1;
+    }
+    if (lua_type(L, 2) === LUA_TFUNCTION) {
+      setCallback(p, "callback", luaFunction(L, 2, `poll ${p.name} callback`));
+    }
+    pushPoll(L, p);
+    return 1;
+  });
+  lua_setfield(L, -2, ls("set"));
+
+  lua_pushjsfunction(L, (L) => { pushValue(L, poll.list_names()); return 1; });
+  lua_setfield(L, -2, ls("list_names"));
+
+  lua_pushjsfunction(L, (L) => { clearPolls(); return 0; });
+  lua_setfield(L, -2, ls("clear_all"));
+
+  lua_setglobal(L, ls("poll"));
+
   // ---------------------------------------------------------------------------
   // ── engine ──────────────────────────────────────────────────────────────────
   //
   // engine.name = "X"       — declare engine; triggers async SynthDef load
-  // engine.someCmd(args)    — any engine command dispatched to engine-bridge
+  // engine.load("X", fn)    — same, calling fn() once the engine is ready
+  // engine.someCmd(args)    — engine command dispatched to engine-bridge
+  // engine.commands         — { cmd = { name, fmt } } once the engine is ready
+  // engine.list_commands()  engine.names  engine.name
+  //
+  // Until the engine is ready any command is accepted and queued; after
+  // that, unknown commands are nil, so a typo errors when it's called.
   //
   // Supported engines (Sonic Pi approximations):
   //   PolySub       → sonic-pi-prophet   (subtractive poly, persistent voices)
   //   PolyPerc      → sonic-pi-beep      (percussive, self-releasing triggers)
   //   MollyThePoly  → sonic-pi-prophet   (paraphonic synth, persistent voices)
+  // PolyPerc and PolySub fall back to native Web Audio versions
+  // (native-engines.js) when scsynth or their approximation is unavailable.
+  // Timber is a native Web Audio sample player; its replies arrive on
+  // osc.event as on norns.
   //
   // For full-fidelity, compile the engine's .sc file to a binary .scsyndef and
   // place it at engines/{EngineName}.scsyndef — it will be preferred automatically.
+  // engines/{EngineName}.json describes its commands (see engine-bridge.js).
 
   lua_newtable(L);  // engine table (stays empty; all access goes through metatable)
 
@@ -579,15 +1733,47 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   });
   lua_setfield(L, -2, ls("__newindex"));
 
-  // __index — returns a callable for any engine command name
+  const engineFields = {
+    name: (L) => pushValue(L, engineBridge.engineName),
+    names: (L) => pushValue(L, engineBridge.names),
+    commands: (L) => {
+      const cmds = engineBridge.commands ?? {};
+      pushValue(L, Object.fromEntries(Object.entries(cmds).map(([name, fmt]) => [name, { name, fmt }])));
+    },
+    list_commands: (L) => lua_pushjsfunction(L, () => {
+      const cmds = engineBridge.commands ?? {};
+      console.log("___ engine commands ___");
+      for (const name of Object.keys(cmds).sort()) console.log(`${name}  ${cmds[name]}`);
+      return 0;
+    }),
+    load: (L) => lua_pushjsfunction(L, (L) => {
+      const name = lua_tojsstring(L, 1);
+      if (!name) return 0;
+      const cb = lua_type(L, 2) === LUA_TFUNCTION ? luaFunction(L, 2, "engine.load callback") : null;
+      engineBridge.setEngine(name).then(() => {
+        if (cb && _running && engineBridge.ready && engineBridge.engineName === name) cb();
+        cb?.release();
+      });
+      return 0;
+    }),
+  };
+
+  // __index — engine fields, or a callable for an engine command
   lua_pushjsfunction(L, (L) => {
     const key = lua_tojsstring(L, 2);
+    if (engineFields[key]) {
+      engineFields[key](L);
+      return 1;
+    }
+    if (!engineBridge.engineName || !engineBridge.has(key)) {
+      lua_pushnil(L);
+      return 1;
+    }
     lua_pushjsfunction(L, (innerL) => {
       const nargs = lua_gettop(innerL);
       const args = [];
       for (let i = 1; i <= nargs; i++) {
-        const v = lua_tonumber(innerL, i);
-        args.push(v != null ? v : lua_tojsstring(innerL, i));
+        args.push(lua_type(innerL, i) === LUA_TNUMBER ? lua_tonumber(innerL, i) : lua_tojsstring(innerL, i));
       }
       engineBridge.command(key, args);
       return 0;
@@ -599,6 +1785,33 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   lua_setmetatable(L, -2);
   lua_setglobal(L, ls("engine"));
 
+  // ── osc ─────────────────────────────────────────────────────────────────────
+  //
+  // osc.event = fn(path, args, from)
+  //
+  // There is no OSC networking in the browser; only engine replies arrive
+  // here, from the engine's address.
+
+  lua_newtable(L);
+  lua_setglobal(L, ls("osc"));
+
+  engineBridge.setReplyHandler((path, args) => {
+    if (!_running) return;
+    lua_getglobal(L, ls("osc"));
+    if (lua_type(L, -1) !== LUA_TTABLE) { lua_pop(L, 1); return; }
+    lua_getfield(L, -1, ls("event"));
+    if (!lua_isfunction(L, -1)) { lua_pop(L, 2); return; }
+    pushValue(L, path);
+    pushValue(L, args);
+    pushValue(L, ["127.0.0.1", 57120]);
+    const status = lua_pcall(L, 3, 0, 0);
+    if (status !== LUA_OK) {
+      console.error("[lua] osc.event error:", lua_tojsstring(L, -1));
+      lua_pop(L, 1);
+    }
+    lua_pop(L, 1);
+  });
+
   // ---------------------------------------------------------------------------
   // Helper: call a named Lua global with numeric args
   function callGlobal(name, ...args) {
@@ -637,6 +1850,10 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
   // ---------------------------------------------------------------------------
   // Parse and execute the user script (defines init, redraw, key, enc globals)
 
+  // The system REVERB / COMPRESSOR params come first, as on norns, so a
+  // group the script leaves open can't swallow them
+  if (audioCtx) audio.add_params();
+
   callHook("script_pre_init");
   execLua(luaSrc, "user-script");
 
@@ -664,13 +1881,41 @@ export async function runLuaScript(luaSrc, canvas, audioCtx, { modSources = [] }
       if (_rafId) cancelAnimationFrame(_rafId);
       callHook("script_pre_cleanup");
       clock.cleanup();
+      metro.free_all();
+      grid.cleanup();
+      arc.cleanup();
       midi.cleanup();
       softcut.reset();
+      clearPolls();
+      audio.reset();
       engineBridge.cleanup();
+      params.clear();
       if (phaseRef !== LUA_NOREF) {
         luaL_unref(L, LUA_REGISTRYINDEX, phaseRef);
         phaseRef = LUA_NOREF;
       }
+      if (renderRef !== LUA_NOREF) {
+        luaL_unref(L, LUA_REGISTRYINDEX, renderRef);
+        renderRef = LUA_NOREF;
+      }
+      if (positionRef !== LUA_NOREF) {
+        luaL_unref(L, LUA_REGISTRYINDEX, positionRef);
+        positionRef = LUA_NOREF;
+      }
+      if (vuRef !== LUA_NOREF) {
+        luaL_unref(L, LUA_REGISTRYINDEX, vuRef);
+        vuRef = LUA_NOREF;
+      }
+      for (const ref of _fnRefs) luaL_unref(L, LUA_REGISTRYINDEX, ref);
+      _fnRefs.clear();
+      for (const ref of _paramRefs.values()) luaL_unref(L, LUA_REGISTRYINDEX, ref);
+      _paramRefs.clear();
+      for (const ref of _metroRefs.values()) luaL_unref(L, LUA_REGISTRYINDEX, ref);
+      _metroRefs.clear();
+      for (const ref of _pollRefs.values()) luaL_unref(L, LUA_REGISTRYINDEX, ref);
+      _pollRefs.clear();
+      for (const ref of _portRefs.values()) luaL_unref(L, LUA_REGISTRYINDEX, ref);
+      _portRefs.clear();
     },
   };
 }
@@ -0,0 +1,855 @@
+// norns-web Lua standard library
+// Pure-Lua versions of the norns lua/lib/ modules that scripts require.
+// lua-runtime.js registers each one in package.preload, so
+//   local musicutil = require 'musicutil'
+// works as on hardware. `tab` is also set as a global (norns startup does
+// tab = require 'tabutil').
+//
+// Sources are kept as strings so they load without a fetch; they follow
+// the norns originals closely enough for scripts written against them.
+
+// ---------------------------------------------------------------------------
+// tabutil — table helpers. save/load use the norns file format
+// (lua-users "Save Table to File"), read and written through vfs.js.
+
+const TABUTIL = `
+local tab = {}
+
+function tab.print(t)
+  for k, v in pairs(t) do print(k .. "\\t" .. tostring(v)) end
+end
+
+-- sorted list of keys
+function tab.sort(t)
+  local keys = {}
+  for k in pairs(t) do keys[#keys + 1] = k end
+  table.sort(keys)
+  return keys
+end
+
+function tab.count(t)
+  local c = 0
+  for _ in pairs(t) do c = c + 1 end
+  return c
+end
+
+function tab.contains(t, e)
+  for _, v in pairs(t) do
+    if v == e then return true end
+  end
+  return false
+end
+
+-- key of the first element equal to e, or nil
+function tab.key(t, e)
+  for k, v in pairs(t) do
+    if v == e then return k end
+  end
+  return nil
+end
+
+function tab.invert(t)
+  local out = {}
+  for k, v in pairs(t) do out[v] = k end
+  return out
+end
+
+function tab.lines(str)
+  local out = {}
+  for line in string.gmatch(str, "[^\\r\\n]+") do out[#out + 1] = line end
+  return out
+end
+
+function tab.split(str, sep)
+  local out = {}
+  for part in string.gmatch(str, "([^" .. sep .. "]+)") do out[#out + 1] = part end
+  return out
+end
+
+-- copy the entries of \`updates\` into \`t\`
+function tab.update(t, updates)
+  for k, v in pairs(updates) do t[k] = v end
+  return t
+end
+
+-- defaults overridden by custom values (custom keys not in defaults are dropped)
+function tab.gather(default_values, custom_values)
+  local out = {}
+  for k, v in pairs(default_values) do
+    if custom_values[k] == nil then out[k] = v else out[k] = custom_values[k] end
+  end
+  return out
+end
+
+function tab.select_values(t, condition)
+  local out = {}
+  for _, v in pairs(t) do
+    if condition(v) then out[#out + 1] = v end
+  end
+  return out
+end
+
+function tab.readonly(params)
+  local t = params.table
+  local except = params.except or {}
+  local proxy = {}
+  setmetatable(proxy, {
+    __index = function(_, k)
+      if tab.contains(except, k) then return nil end
+      return t[k]
+    end,
+    __newindex = function() error("attempt to update a read-only table", 2) end,
+    __len = function() return #t end,
+    __pairs = function() return pairs(t) end,
+  })
+  return proxy
+end
+
+local function exportstring(s)
+  return string.format("%q", s)
+end
+
+-- Write \`tbl\` (nested tables and shared references included) to \`filename\`
+function tab.save(tbl, filename)
+  local out = { "return {\\n" }
+  local function write(s) out[#out + 1] = s end
+  local tables, lookup = { tbl }, { [tbl] = 1 }
+
+  local function ref(v)
+    if not lookup[v] then
+      tables[#tables + 1] = v
+      lookup[v] = #tables
+    end
+    return "{" .. lookup[v] .. "}"
+  end
+
+  local function value(v)
+    local vt = type(v)
+    if vt == "table" then return ref(v)
+    elseif vt == "string" then return exportstring(v)
+    elseif vt == "number" or vt == "boolean" then return tostring(v) end
+    return nil
+  end
+
+  local idx = 1
+  while idx <= #tables do
+    local t = tables[idx]
+    write("-- Table: {" .. idx .. "}\\n{\\n")
+    local handled = {}
+    for i, v in ipairs(t) do
+      handled[i] = true
+      local s = value(v)
+      if s then write("   " .. s .. ",\\n") end
+    end
+    for k, v in pairs(t) do
+      if not handled[k] then
+        local key
+        if type(k) == "table" then key = "[" .. ref(k) .. "]="
+        elseif type(k) == "string" then key = "[" .. exportstring(k) .. "]="
+        elseif type(k) == "number" or type(k) == "boolean" then key = "[" .. tostring(k) .. "]=" end
+        local s = key and value(v)
+        if s then write("   " .. key .. s .. ",\\n") end
+      end
+    end
+    write("},\\n")
+    idx = idx + 1
+  end
+  write("}")
+  _vfs_write(filename, table.concat(out))
+end
+
+-- Read a table written by tab.save; returns nil, err if the file is missing
+function tab.load(sfile)
+  local ftables, err = loadfile(sfile)
+  if err then return nil, err end
+  local tables = ftables()
+  for idx = 1, #tables do
+    local tolinki = {}
+    for i, v in pairs(tables[idx]) do
+      if type(v) == "table" then tables[idx][i] = tables[v[1]] end
+      if type(i) == "table" and tables[i[1]] then
+        tolinki[#tolinki + 1] = { i, tables[i[1]] }
+      end
+    end
+    for _, v in ipairs(tolinki) do
+      tables[idx][v[2]], tables[idx][v[1]] = tables[idx][v[1]], nil
+    end
+  end
+  return tables[1]
+end
+
+return tab
+`;
+
+// ---------------------------------------------------------------------------
+// musicutil — scales, chords, note names and frequency conversion
+
+const MUSICUTIL = `
+local MusicUtil = {}
+
+MusicUtil.NOTE_NAMES = { "C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B" }
+
+MusicUtil.SCALES = {
+  { name = "Major", alt_names = { "Ionian" }, intervals = { 0, 2, 4, 5, 7, 9, 11, 12 } },
+  { name = "Natural Minor", alt_names = { "Minor", "Aeolian" }, intervals = { 0, 2, 3, 5, 7, 8, 10, 12 } },
+  { name = "Harmonic Minor", intervals = { 0, 2, 3, 5, 7, 8, 11, 12 } },
+  { name = "Melodic Minor", intervals = { 0, 2, 3, 5, 7, 9, 11, 12 } },
+  { name = "Dorian", intervals = { 0, 2, 3, 5, 7, 9, 10, 12 } },
+  { name = "Phrygian", intervals = { 0, 1, 3, 5, 7, 8, 10, 12 } },
+  { name = "Lydian", intervals = { 0, 2, 4, 6, 7, 9, 11, 12 } },
+  { name = "Mixolydian", intervals = { 0, 2, 4, 5, 7, 9, 10, 12 } },
+  { name = "Locrian", intervals = { 0, 1, 3, 5, 6, 8, 10, 12 } },
+  { name = "Whole Tone", intervals = { 0, 2, 4, 6, 8, 10, 12 } },
+  { name = "Major Pentatonic", alt_names = { "Gagaku Ryo Sen Pou" }, intervals = { 0, 2, 4, 7, 9, 12 } },
+  { name = "Minor Pentatonic", alt_names = { "Zokugaku Yo Sen Pou" }, intervals = { 0, 3, 5, 7, 10, 12 } },
+  { name = "Major Bebop", intervals = { 0, 2, 4, 5, 7, 8, 9, 11, 12 } },
+  { name = "Altered Scale", intervals = { 0, 1, 3, 4, 6, 8, 10, 12 } },
+  { name = "Dorian Bebop", intervals = { 0, 2, 3, 4, 5, 7, 9, 10, 12 } },
+  { name = "Mixolydian Bebop", intervals = { 0, 2, 4, 5, 7, 9, 10, 11, 12 } },
+  { name = "Blues Scale", alt_names = { "Blues" }, intervals = { 0, 3, 5, 6, 7, 10, 12 } },
+  { name = "Diminished Whole Half", intervals = { 0, 2, 3, 5, 6, 8, 9, 11, 12 } },
+  { name = "Diminished Half Whole", intervals = { 0, 1, 3, 4, 6, 7, 9, 10, 12 } },
+  { name = "Neapolitan Major", intervals = { 0, 1, 3, 5, 7, 9, 11, 12 } },
+  { name = "Hungarian Major", intervals = { 0, 3, 4, 6, 7, 9, 10, 12 } },
+  { name = "Harmonic Major", intervals = { 0, 2, 4, 5, 7, 8, 11, 12 } },
+  { name = "Hungarian Minor", intervals = { 0, 2, 3, 6, 7, 8, 11, 12 } },
+  { name = "Lydian Minor", intervals = { 0, 2, 4, 6, 7, 8, 10, 12 } },
+  { name = "Neapolitan Minor", alt_names = { "Byzantine" }, intervals = { 0, 1, 3, 5, 7, 8, 11, 12 } },
+  { name = "Major Locrian", intervals = { 0, 2, 4, 5, 6, 8, 10, 12 } },
+  { name = "Leading Whole Tone", intervals = { 0, 2, 4, 6, 8, 10, 11, 12 } },
+  { name = "Six Tone Symmetrical", intervals = { 0, 1, 4, 5, 8, 9, 11, 12 } },
+  { name = "Balinese", intervals = { 0, 1, 3, 7, 8, 12 } },
+  { name = "Persian", intervals = { 0, 1, 4, 5, 6, 8, 11, 12 } },
+  { name = "East Indian Purvi", intervals = { 0, 1, 4, 6, 7, 8, 11, 12 } },
+  { name = "Oriental", intervals = { 0, 1, 4, 5, 6, 9, 10, 12 } },
+  { name = "Double Harmonic", intervals = { 0, 1, 4, 5, 7, 8, 11, 12 } },
+  { name = "Enigmatic", intervals = { 0, 1, 4, 6, 8, 10, 11, 12 } },
+  { name = "Overtone", intervals = { 0, 2, 4, 6, 7, 9, 10, 12 } },
+  { name = "Eight Tone Spanish", intervals = { 0, 1, 3, 4, 5, 6, 8, 10, 12 } },
+  { name = "Prometheus", intervals = { 0, 2, 4, 6, 9, 10, 12 } },
+  { name = "Gagaku Rittsu Sen Pou", intervals = { 0, 2, 5, 7, 9, 10, 12 } },
+  { name = "In Sen Pou", intervals = { 0, 1, 5, 7, 10, 12 } },
+  { name = "Okinawa", intervals = { 0, 4, 5, 7, 11, 12 } },
+  { name = "Chromatic", intervals = { 0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12 } },
+}
+
+MusicUtil.CHORDS = {
+  { name = "Major", alt_names = { "Maj" }, intervals = { 0, 4, 7 } },
+  { name = "Major 6", alt_names = { "Maj6" }, intervals = { 0, 4, 7, 9 } },
+  { name = "Major 7", alt_names = { "Maj7" }, intervals = { 0, 4, 7, 11 } },
+  { name = "Major 69", alt_names = { "Maj69" }, intervals = { 0, 4, 7, 9, 14 } },
+  { name = "Major 9", alt_names = { "Maj9" }, intervals = { 0, 4, 7, 11, 14 } },
+  { name = "Major 11", alt_names = { "Maj11" }, intervals = { 0, 4, 7, 11, 14, 17 } },
+  { name = "Major 13", alt_names = { "Maj13" }, intervals = { 0, 4, 7, 11, 14, 17, 21 } },
+  { name = "Dominant 7", intervals = { 0, 4, 7, 10 } },
+  { name = "Ninth", intervals = { 0, 4, 7, 10, 14 } },
+  { name = "Eleventh", intervals = { 0, 4, 7, 10, 14, 17 } },
+  { name = "Thirteenth", intervals = { 0, 4, 7, 10, 14, 17, 21 } },
+  { name = "Augmented", intervals = { 0, 4, 8 } },
+  { name = "Augmented 7", intervals = { 0, 4, 8, 10 } },
+  { name = "Sus4", intervals = { 0, 5, 7 } },
+  { name = "Seventh sus4", intervals = { 0, 5, 7, 10 } },
+  { name = "Minor Major 7", alt_names = { "MinMaj7" }, intervals = { 0, 3, 7, 11 } },
+  { name = "Minor", alt_names = { "Min" }, intervals = { 0, 3, 7 } },
+  { name = "Minor 6", alt_names = { "Min6" }, intervals = { 0, 3, 7, 9 } },
+  { name = "Minor 7", alt_names = { "Min7" }, intervals = { 0, 3, 7, 10 } },
+  { name = "Minor 69", alt_names = { "Min69" }, intervals = { 0, 3, 7, 9, 14 } },
+  { name = "Minor 9", alt_names = { "Min9" }, intervals = { 0, 3, 7, 10, 14 } },
+  { name = "Minor 11", alt_names = { "Min11" }, intervals = { 0, 3, 7, 10, 14, 17 } },
+  { name = "Minor 13", alt_names = { "Min13" }, intervals = { 0, 3, 7, 10, 14, 17, 21 } },
+  { name = "Diminished", alt_names = { "Dim" }, intervals = { 0, 3, 6 } },
+  { name = "Diminished 7", alt_names = { "Dim7" }, intervals = { 0, 3, 6, 9 } },
+  { name = "Half Diminished 7", alt_names = { "Min7b5" }, intervals = { 0, 3, 6, 10 } },
+}
+
+-- Find a scale/chord by index or (case-insensitive) name / alt name
+local function lookup_data(lookup_table, search)
+  if type(search) == "string" then
+    search = string.lower(search)
+    for i = 1, #lookup_table do
+      local entry = lookup_table[i]
+      if string.lower(entry.name) == search then return entry end
+      for _, alt in ipairs(entry.alt_names or {}) do
+        if string.lower(alt) == search then return entry end
+      end
+    end
+    return nil
+  end
+  return lookup_table[search]
+end
+
+function MusicUtil.generate_scale_of_length(root_num, scale_type, length)
+  length = length or 8
+  local out = {}
+  local scale_data = lookup_data(MusicUtil.SCALES, scale_type)
+  if not scale_data then return out end
+  local intervals = scale_data.intervals
+  local scale_len = #intervals
+  local i = 0
+  while #out < length do
+    if i > 0 and i % scale_len == 0 then
+      root_num = root_num + intervals[scale_len]
+    else
+      local note_num = root_num + intervals[i % scale_len + 1]
+      if note_num > 127 then break end
+      out[#out + 1] = note_num
+    end
+    i = i + 1
+  end
+  return out
+end
+
+function MusicUtil.generate_scale(root_num, scale_type, octaves)
+  if type(octaves) ~= "number" then octaves = 1 end
+  local scale_data = lookup_data(MusicUtil.SCALES, scale_type)
+  if not scale_data then return {} end
+  local length = octaves * #scale_data.intervals - (math.floor(octaves + 0.5) - 1)
+  return MusicUtil.generate_scale_of_length(root_num, scale_type, length)
+end
+
+function MusicUtil.generate_chord(root_num, chord_type, inversion)
+  local chord_data = lookup_data(MusicUtil.CHORDS, chord_type)
+  if not chord_data then return nil end
+  local out = {}
+  for _, interval in ipairs(chord_data.intervals) do
+    local note_num = root_num + interval
+    if note_num > 127 then break end
+    out[#out + 1] = note_num
+  end
+  for _ = 1, inversion or 0 do
+    local head = table.remove(out, 1)
+    out[#out + 1] = head + 12
+  end
+  return out
+end
+
+-- Roman numeral chords relative to a scale, e.g. "I", "vi", "V7", "ii7",
+-- "viio", "viiø7", "bVII", "IV6"; inversions with a trailing "b" / "c" / "d" or figured
+-- bass ("6", "64", "65", "43", "42")
+local ROMAN = { i = 1, ii = 2, iii = 3, iv = 4, v = 5, vi = 6, vii = 7 }
+
+function MusicUtil.generate_chord_roman(root_num, scale_type, roman_chord_type)
+  local scale = MusicUtil.generate_scale_of_length(root_num, scale_type, 14)
+  local accidental, numeral, rest = string.match(roman_chord_type, "^([#b]?)([ivIV]+)(.*)$")
+  if not numeral or not ROMAN[string.lower(numeral)] then return nil end
+  local degree = ROMAN[string.lower(numeral)]
+  local chord_root = scale[degree]
+  if not chord_root then return nil end
+  if accidental == "#" then chord_root = chord_root + 1 elseif accidental == "b" then chord_root = chord_root - 1 end
+
+  local major = numeral == string.upper(numeral)
+  local inversion = 0
+  local letter = string.match(rest, "([bcd])$")
+  if letter then
+    inversion = ({ b = 1, c = 2, d = 3 })[letter]
+    rest = string.sub(rest, 1, -2)
+  end
+
+  local chord_type
+  if rest == "o" or rest == "dim" then chord_type = "Diminished"
+  elseif rest == "o7" or rest == "dim7" then chord_type = "Diminished 7"
+  elseif rest == "ø7" or rest == "m7b5" then chord_type = "Half Diminished 7"
+  elseif rest == "+" then chord_type = "Augmented"
+  elseif rest == "+7" then chord_type = "Augmented 7"
+  elseif rest == "sus4" then chord_type = "Sus4"
+  elseif rest == "7sus4" then chord_type = "Seventh sus4"
+  elseif rest == "maj7" or rest == "M7" then chord_type = major and "Major 7" or "Minor Major 7"
+  elseif rest == "7" or rest == "65" or rest == "43" or rest == "42" then
+    chord_type = major and "Dominant 7" or "Minor 7"
+    inversion = ({ ["65"] = 1, ["43"] = 2, ["42"] = 3 })[rest] or inversion
+  elseif rest == "9" then chord_type = major and "Ninth" or "Minor 9"
+  elseif rest == "6" or rest == "64" then
+    chord_type = major and "Major" or "Minor"
+    inversion = rest == "6" and 1 or 2
+  elseif rest == "" then chord_type = major and "Major" or "Minor"
+  else return nil end
+
+  return MusicUtil.generate_chord(chord_root, chord_type, inversion)
+end
+
+function MusicUtil.snap_note_to_array(note_num, snap_array)
+  local len = #snap_array
+  if len == 1 then
+    note_num = snap_array[1]
+  elseif note_num >= snap_array[len] then
+    note_num = snap_array[len]
+  else
+    local prev_delta = math.huge
+    for s = 1, len + 1 do
+      if s > len then
+        note_num = note_num + prev_delta
+        break
+      end
+      local delta = snap_array[s] - note_num
+      if delta == 0 then
+        break
+      elseif math.abs(delta) >= math.abs(prev_delta) then
+        note_num = note_num + prev_delta
+        break
+      end
+      prev_delta = delta
+    end
+  end
+  return note_num
+end
+
+function MusicUtil.snap_notes_to_array(note_nums_array, snap_array)
+  local out = {}
+  for i, n in ipairs(note_nums_array) do out[i] = MusicUtil.snap_note_to_array(n, snap_array) end
+  return out
+end
+
+function MusicUtil.note_num_to_name(note_num, include_octave)
+  local name = MusicUtil.NOTE_NAMES[note_num % 12 + 1]
+  if include_octave then name = name .. math.floor(note_num / 12 - 1) end
+  return name
+end
+
+function MusicUtil.note_nums_to_names(note_nums_array, include_octave)
+  local out = {}
+  for i, n in ipairs(note_nums_array) do out[i] = MusicUtil.note_num_to_name(n, include_octave) end
+  return out
+end
+
+function MusicUtil.note_num_to_freq(note_num)
+  return 13.75 * (2 ^ ((note_num - 9) / 12))
+end
+
+function MusicUtil.note_nums_to_freqs(note_nums_array)
+  local out = {}
+  for i, n in ipairs(note_nums_array) do out[i] = MusicUtil.note_num_to_freq(n) end
+  return out
+end
+
+function MusicUtil.freq_to_note_num(freq)
+  local n = math.floor(12 * math.log(freq / 440, 2) + 69.5)
+  return math.max(0, math.min(127, n))
+end
+
+function MusicUtil.freqs_to_note_nums(freqs_array)
+  local out = {}
+  for i, f in ipairs(freqs_array) do out[i] = MusicUtil.freq_to_note_num(f) end
+  return out
+end
+
+function MusicUtil.interval_to_ratio(interval)
+  return 2 ^ (interval / 12)
+end
+
+function MusicUtil.intervals_to_ratios(intervals_array)
+  local out = {}
+  for i, v in ipairs(intervals_array) do out[i] = MusicUtil.interval_to_ratio(v) end
+  return out
+end
+
+function MusicUtil.ratio_to_interval(ratio)
+  return 12 * math.log(ratio, 2)
+end
+
+function MusicUtil.ratios_to_intervals(ratios_array)
+  local out = {}
+  for i, v in ipairs(ratios_array) do out[i] = MusicUtil.ratio_to_interval(v) end
+  return out
+end
+
+return MusicUtil
+`;
+
+// ---------------------------------------------------------------------------
+// lattice — sprockets (tempo-synced actions) driven by one clock coroutine
+
+const LATTICE = `
+local Lattice, Sprocket = {}, {}
+
+-- Lattice:new{ auto = true, ppqn = 96, meter = 4, enabled = true }
+function Lattice:new(args)
+  local l = setmetatable({}, { __index = Lattice })
+  args = args or {}
+  l.auto = args.auto == nil and true or args.auto
+  l.ppqn = args.ppqn or 96
+  l.meter = args.meter or 4
+  l.enabled = args.enabled == nil and true or args.enabled
+  l.transport = 0
+  l.superclock_id = nil
+  l.sprocket_id_counter = 100
+  l.sprockets = {}
+  l.sprocket_ordering = { {}, {}, {}, {}, {} }
+  return l
+end
+
+function Lattice:start()
+  self.enabled = true
+  if self.auto and self.superclock_id == nil then
+    self.superclock_id = clock.run(self.auto_pulse, self)
+  end
+end
+
+function Lattice:stop()
+  self.enabled = false
+end
+
+function Lattice:toggle()
+  self.enabled = not self.enabled
+end
+
+function Lattice:reset()
+  self.transport = 0
+  local ppm = self.ppqn * self.meter
+  for _, sprocket in pairs(self.sprockets) do
+    sprocket.phase = sprocket.division * ppm * (1 - sprocket.delay)
+    sprocket.downbeat = false
+  end
+end
+
+function Lattice:hard_restart()
+  self:reset()
+  self:start()
+end
+
+function Lattice:destroy()
+  self:stop()
+  if self.superclock_id ~= nil then
+    clock.cancel(self.superclock_id)
+    self.superclock_id = nil
+  end
+  self.sprockets = {}
+  self.sprocket_ordering = { {}, {}, {}, {}, {} }
+end
+
+function Lattice:set_meter(meter)
+  self.meter = meter
+end
+
+function Lattice.auto_pulse(self)
+  while true do
+    self:pulse()
+    clock.sync(1 / self.ppqn)
+  end
+end
+
+-- Advance every enabled sprocket by one pulse (call by hand when auto = false)
+function Lattice:pulse()
+  if not self.enabled then return end
+  local ppm = self.ppqn * self.meter
+  local flagged = false
+  for i = 1, 5 do
+    for _, id in ipairs(self.sprocket_ordering[i]) do
+      local sprocket = self.sprockets[id]
+      if sprocket.flag then
+        self.sprockets[id] = nil
+        flagged = true
+      elseif sprocket.enabled then
+        sprocket.phase = sprocket.phase + 1
+        local swing = 2 * sprocket.swing / 100
+        if not sprocket.downbeat then swing = 2 - swing end
+        if sprocket.phase > sprocket.division * ppm * swing then
+          sprocket.phase = sprocket.phase - sprocket.division * ppm
+          if sprocket.delay_new ~= nil then
+            sprocket.phase = sprocket.phase - sprocket.division * ppm * (sprocket.delay_new - sprocket.delay)
+            sprocket.delay = sprocket.delay_new
+            sprocket.delay_new = nil
+          end
+          sprocket.action(self.transport)
+          sprocket.downbeat = not sprocket.downbeat
+        end
+      end
+    end
+  end
+  if flagged then self:order_sprockets() end
+  self.transport = self.transport + 1
+end
+
+-- Lattice:new_sprocket{ action = fn(t), division = 1/4, enabled = true,
+--                       swing = 50, delay = 0, order = 3 }
+function Lattice:new_sprocket(args)
+  args = args or {}
+  self.sprocket_id_counter = self.sprocket_id_counter + 1
+  args.id = self.sprocket_id_counter
+  args.order = args.order == nil and 3 or util.clamp(args.order, 1, 5)
+  args.action = args.action or function() end
+  args.division = args.division or 1 / 4
+  args.enabled = args.enabled == nil and true or args.enabled
+  args.swing = args.swing or 50
+  args.delay = args.delay or 0
+  args.phase = args.division * self.ppqn * self.meter * (1 - args.delay)
+  local sprocket = Sprocket:new(args)
+  self.sprockets[args.id] = sprocket
+  self:order_sprockets()
+  return sprocket
+end
+
+-- lattice v1 name
+Lattice.new_pattern = Lattice.new_sprocket
+
+function Lattice:order_sprockets()
+  self.sprocket_ordering = { {}, {}, {}, {}, {} }
+  for id, sprocket in pairs(self.sprockets) do
+    table.insert(self.sprocket_ordering[sprocket.order], id)
+  end
+  for i = 1, 5 do table.sort(self.sprocket_ordering[i]) end
+end
+
+function Sprocket:new(args)
+  local p = setmetatable({}, { __index = Sprocket })
+  p.id = args.id
+  p.order = args.order
+  p.division = args.division
+  p.action = args.action
+  p.enabled = args.enabled
+  p.phase = args.phase
+  p.swing = args.swing
+  p.delay = args.delay
+  p.downbeat = false
+  p.flag = false
+  return p
+end
+
+function Sprocket:start() self.enabled = true end
+function Sprocket:stop() self.enabled = false end
+function Sprocket:toggle() self.enabled = not self.enabled end
+
+-- removed on the next pulse
+function Sprocket:destroy()
+  self.enabled = false
+  self.flag = true
+end
+
+function Sprocket:set_division(n) self.division = n end
+function Sprocket:set_action(fn) self.action = fn end
+function Sprocket:set_swing(swing) self.swing = util.clamp(swing, 0, 100) end
+function Sprocket:set_delay(delay) self.delay_new = util.clamp(delay, 0, 1) end
+
+return Lattice
+`;
+
+// ---------------------------------------------------------------------------
+// sequins — nestable sequencers. s() returns the next value; nested sequins
+// step themselves, and flow modifiers decide when they produce a value:
+//   every(n)  produce on every nth visit, skip otherwise
+//   times(n)  produce on the first n visits only
+//   count(n)  produce n values in a row before returning to the parent
+//   all()     count(#s)
+//   cond(fn)  produce only when fn() is true
+//   condr(fn) as cond, and reset when fn() is false
+
+const SEQUINS = `
+local S = {}
+S.__index = S
+
+local SKIP, AGAIN = {}, {}   -- sentinels returned by nested sequins
+
+local function is_sequins(t) return getmetatable(t) == S end
+S.is_sequins = is_sequins
+
+function S.new(t)
+  local data = {}
+  for i, v in ipairs(t or {}) do data[i] = v end
+  local s = { data = data, length = #data, ix = #data, qix = nil, n = 1, flw = {}, fn = nil }
+  return setmetatable(s, S)
+end
+
+local function wrap_index(s, ix)
+  if s.length == 0 then return 1 end
+  return (ix - 1) % s.length + 1
+end
+
+-- resolve a value that may itself be a sequins (used for step sizes / args)
+local function turtle(v)
+  if is_sequins(v) then return v() end
+  return v
+end
+
+-- Step the parent: returns a value, or SKIP when this sequins has nothing
+local function do_step(s)
+  if s.length == 0 then return nil end
+  local ix = s.qix or (s.ix + turtle(s.n))
+  s.qix = nil
+  s.ix = wrap_index(s, ix)
+  return s.data[s.ix]
+end
+
+-- The value of one element: plain values pass through, nested sequins run
+-- their flow modifiers. Returns value, again(bool)
+local function resolve(v)
+  if not is_sequins(v) then return v, false end
+  local r = v:_flow()
+  if r == SKIP then return SKIP, false end
+  if r == AGAIN then return v:_produce(), true end
+  return r, false
+end
+
+function S:_produce()
+  local r = self:_next_value()
+  if self.fn then r = self.fn[1](r, table.unpack(self.fn[2])) end
+  return r
+end
+
+function S:_next_value()
+  local held = self._held
+  if held then
+    local r, again = resolve(held)
+    if not again then self._held = nil end
+    if r ~= SKIP then return r end
+  end
+  for _ = 1, math.max(self.length, 1) do
+    local v = do_step(self)
+    local r, again = resolve(v)
+    if r ~= SKIP then
+      if again then self._held = v end
+      return r
+    end
+  end
+  return nil
+end
+
+-- Flow modifiers (only meaningful on nested sequins)
+function S:_flow()
+  local f = self.flw
+  if f.every then
+    f.every.ix = f.every.ix + 1
+    if (f.every.ix - 1) % turtle(f.every.n) ~= 0 then return SKIP end
+  end
+  if f.times then
+    f.times.ix = f.times.ix + 1
+    if f.times.ix > turtle(f.times.n) then return SKIP end
+  end
+  if f.cond then
+    if not f.cond.fn() then
+      if f.cond.reset then self:reset() end
+      return SKIP
+    end
+  end
+  if f.count then
+    f.count.ix = f.count.ix + 1
+    if f.count.ix < turtle(f.count.n) then return AGAIN end
+    f.count.ix = 0
+  end
+  return self:_produce()
+end
+
+function S:every(n) self.flw.every = { n = n, ix = 0 }; return self end
+function S:times(n) self.flw.times = { n = n, ix = 0 }; return self end
+function S:count(n) self.flw.count = { n = n, ix = 0 }; return self end
+function S:all() return self:count(self.length) end
+function S:cond(fn) self.flw.cond = { fn = fn }; return self end
+function S:condr(fn) self.flw.cond = { fn = fn, reset = true }; return self end
+
+function S:next() return self:_produce() end
+
+function S:step(n) self.n = n; return self end
+
+-- the next call returns data[ix]
+function S:select(ix)
+  self.qix = ix
+  return self
+end
+
+function S:peek() return self.data[self.ix] end
+
+function S:reset()
+  self.ix = self.length
+  self.qix = nil
+  self._held = nil
+  for _, f in pairs(self.flw) do
+    if f.ix then f.ix = 0 end
+  end
+  for _, v in ipairs(self.data) do
+    if is_sequins(v) then v:reset() end
+  end
+  if is_sequins(self.n) then self.n:reset() end
+end
+
+-- replace the data, keeping the playhead (nested sequins are updated in place)
+function S:settable(t)
+  if is_sequins(t) then t = t.data end
+  local data = {}
+  for i, v in ipairs(t) do
+    if is_sequins(v) and is_sequins(self.data[i]) then
+      self.data[i]:settable(v)
+      data[i] = self.data[i]
+    else
+      data[i] = v
+    end
+  end
+  -- a fresh sequins (or one on its last element) still steps to data[1] next
+  local at_end = self.ix >= self.length
+  self.data = data
+  self.length = #data
+  self.ix = at_end and self.length or wrap_index(self, self.ix)
+end
+S.setdata = S.settable
+
+-- apply fn(value, ...) to every value produced
+function S:map(fn, ...)
+  self.fn = { fn, { ... } }
+  return self
+end
+
+function S:copy()
+  local c = S.new({})
+  for i, v in ipairs(self.data) do
+    c.data[i] = is_sequins(v) and v:copy() or v
+  end
+  c.length = self.length
+  c.ix, c.n = self.ix, self.n
+  for k, f in pairs(self.flw) do
+    local nf = {}
+    for fk, fv in pairs(f) do nf[fk] = fv end
+    c.flw[k] = nf
+  end
+  c.fn = self.fn
+  return c
+end
+
+S.__call = function(self, ...)
+  if select("#", ...) > 0 then return S.new(...) end
+  return self:_produce()
+end
+
+S.__len = function(self) return self.length end
+
+S.__index = function(self, k)
+  if type(k) == "number" then return rawget(self, "data")[k] end
+  return rawget(S, k)
+end
+
+S.__newindex = function(self, k, v)
+  if type(k) == "number" then
+    self.data[k] = v
+    self.length = #self.data
+  else
+    rawset(self, k, v)
+  end
+end
+
+-- arithmetic returns the same sequins with a transform: s + 3, s * 2, -s
+local function arith(op)
+  return function(a, b)
+    if is_sequins(a) then return a:map(function(v) return op(v, turtle(b)) end) end
+    return b:map(function(v) return op(turtle(a), v) end)
+  end
+end
+S.__add = arith(function(a, b) return a + b end)
+S.__sub = arith(function(a, b) return a - b end)
+S.__mul = arith(function(a, b) return a * b end)
+S.__div = arith(function(a, b) return a / b end)
+S.__mod = arith(function(a, b) return a % b end)
+S.__unm = function(s) return s:map(function(v) return -v end) end
+
+-- sequins{...} and sequins.new{...} both construct
+return setmetatable({ new = S.new, is_sequins = is_sequins }, {
+  __call = function(_, t) return S.new(t) end,
+})
+`;
+
+// ---------------------------------------------------------------------------
+
+// name → source, as registered in package.preload
+export const LUA_LIBS = {
+  tabutil: TABUTIL,
+  musicutil: MUSICUTIL,
+  lattice: LATTICE,
+  sequins: SEQUINS,
+};
+
+export default LUA_LIBS;
@@ -0,0 +1,224 @@
+// norns-web Menu module
+// The norns system menu, reduced to its PARAMS page. Drawn as a screen.js
+// overlay on top of the running script.
+//
+// Controls (as on norns):
+//   K1 tap   — toggle between the script and the menu
+//   E2       — scroll
+//   E3       — change the selected value
+//   K3       — enter a group / fire a trigger / press a binary
+//   K2       — leave a group
+//
+// norns-controls.js offers every key/enc event to menu.key()/menu.enc()
+// first; they return true when the menu consumed it.
+
+import screen from "./screen.js";
+import params from "./params.js";
+
+const K1_TAP_MS  = 250;  // K1 released sooner than this toggles the menu
+const REFRESH_MS = 66;   // redraw rate while open (~15 fps), keeps values live
+
+const ROW_H    = 16;
+const ROWS     = 6;
+const TOP      = 26;
+const FONT     = 12;
+const VALUE_X  = 252;
+
+let _active  = false;
+let _k1Down  = 0;
+let _pos     = 0;     // selected row
+let _group   = null;  // 0-based index of the open group param, or null
+let _groupPos = 0;    // selection to restore when leaving the group
+let _timer   = null;
+
+// ---------------------------------------------------------------------------
+// Rows visible at the current level: [{ p, index }]
+
+function _rows() {
+  const list = params.params;
+  const rows = [];
+
+  if (_group != null) {
+    const g = list[_group];
+    if (!g || g.t !== params.tGROUP) return rows;
+    for (let i = _group + 1; i <= _group + g.n && i < list.length; i++) {
+      if (!list[i].hidden) rows.push({ p: list[i], index: i });
+    }
+    return rows;
+  }
+
+  for (let i = 0; i < list.length; i++) {
+    const p = list[i];
+    if (!p.hidden) rows.push({ p, index: i });
+    if (p.t === params.tGROUP) i += p.n;
+  }
+  return rows;
+}
+
+function _value(p) {
+  switch (p.t) {
+    case params.tSEPARATOR:
+    case params.tTRIGGER:
+      return "";
+    case params.tGROUP:
+      return ">";
+    default:
+      try {
+        return p.string();
+      } catch (err) {
+        console.error(`[menu] formatter error [${p.id}]:`, err);
+        return String(p.get());
+      }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Drawing
+
+function redraw() {
+  if (!_active) return;
+  const rows = _rows();
+  _pos = Math.max(0, Math.min(_pos, rows.length - 1));
+
+  screen.draw_overlay(() => {
+    screen.clear();
+    screen.font_face(1);
+    screen.font_size(FONT);
+
+    // header
+    screen.level(4);
+    screen.move(4, 4);
+    screen.text(_group != null ? `PARAMS / ${params.params[_group].name}` : "PARAMS");
+
+    if (rows.length === 0) {
+      screen.level(4);
+      screen.move(4, TOP);
+      screen.text("no parameters");
+      return;
+    }
+
+    // keep the selection on the third line once the list scrolls
+    const first = Math.max(0, Math.min(_pos - 2, rows.length - ROWS));
+    for (let i = first; i < Math.min(rows.length, first + ROWS); i++) {
+      const { p } = rows[i];
+      const y = TOP + (i - first) * ROW_H;
+      const selected = i === _pos;
+
+      if (p.t === params.tSEPARATOR) {
+        screen.level(selected ? 15 : 10);
+        screen.move(4, y);
+        screen.text(p.name);
+        screen.level(2);
+        screen.move(screen.text_extents(p.name).w + 10, y + FONT / 2);
+        screen.line(VALUE_X, y + FONT / 2);
+        screen.stroke();
+        continue;
+      }
+
+      screen.level(selected ? 15 : 4);
+      screen.move(4, y);
+      screen.text(p.name);
+      screen.move(VALUE_X, y);
+      screen.text_right(_value(p));
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Input
+
+function _selected() {
+  return _rows()[_pos] ?? null;
+}
+
+function _k3(z) {
+  const row = _selected();
+  if (!row) return;
+  const { p, index } = row;
+
+  if (p.t === params.tGROUP) {
+    if (z !== 1) return;
+    _groupPos = _pos;
+    _group = index;
+    _pos = 0;
+  } else if (p.t === params.tTRIGGER) {
+    if (z === 1) p.set(1);
+  } else if (p.t === params.tBINARY) {
+    if (p.behavior === "momentary") p.set(z);
+    else if (z === 1) p.set(p.behavior === "toggle" ? 1 - p.get() : 1);
+  }
+}
+
+const menu = {
+  get active() {
+    return _active;
+  },
+
+  open() {
+    if (_active) return;
+    _active = true;
+    _timer = setInterval(redraw, REFRESH_MS);
+    redraw();
+  },
+
+  close() {
+    if (!_active) return;
+    _active = false;
+    clearInterval(_timer);
+    _timer = null;
+    _group = null;
+    screen.clear_overlay();
+  },
+
+  // Returns true if the event belongs to the menu (don't forward it).
+  key(n, z) {
+    if (n === 1) {
+      // K1 press/release reach whichever side the press started on
+      if (z === 1) {
+        _k1Down = performance.now();
+        return _active;
+      }
+      const wasActive = _active;
+      if (performance.now() - _k1Down < K1_TAP_MS) {
+        if (_active) menu.close();
+        else menu.open();
+      }
+      return wasActive;
+    }
+
+    if (!_active) return false;
+    try {
+      if (n === 2 && z === 1 && _group != null) {
+        _group = null;
+        _pos = _groupPos;
+      } else if (n === 3) {
+        _k3(z);
+      }
+    } catch (err) {
+      console.error("[menu] key error:", err);
+    }
+    redraw();
+    return true;
+  },
+
+  enc(n, d) {
+    if (!_active) return false;
+    try {
+      if (n === 2) {
+        _pos += d;
+      } else if (n === 3) {
+        const row = _selected();
+        if (row) row.p.delta(d);
+      }
+    } catch (err) {
+      console.error("[menu] enc error:", err);
+    }
+    redraw();
+    return true;
+  },
+
+  redraw,
+};
+
+export { menu };
+export default menu;
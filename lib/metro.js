@@ -0,0 +1,165 @@
+// norns-web Metro module
+// Port of norns lua/core/metro.lua: 36 high-resolution repeating timers,
+// of which the first 30 are handed out to scripts by metro.init().
+//
+// Usage:
+//   import metro from '../lib/metro.js';
+//   const m = metro.init((stage) => { ... }, 0.25, -1);  // every 250 ms, forever
+//   m.start();
+//   m.time = 0.125;   // takes effect from the next tick
+//   m.stop();
+//   metro.free_all();
+//
+// As on norns the first tick arrives one period after start(); `stage`
+// counts up from init_stage (default 1) and the metro stops itself after
+// `count` ticks (count < 0 → run until stopped).
+
+const NUM_METROS        = 36;
+const NUM_SCRIPT_METROS = 30;
+
+function _now() {
+  return performance.now() / 1000;
+}
+
+class Metro {
+  constructor(id) {
+    this.props = {
+      id,
+      time: 1,
+      count: -1,
+      event: null,
+      init_stage: 1,
+      is_running: false,
+    };
+    this._timer = null;
+    this._next = 0;     // target time (s) of the next tick
+    this._fired = 0;    // ticks fired since start()
+  }
+
+  get id()         { return this.props.id; }
+  get is_running() { return this.props.is_running; }
+
+  get time() { return this.props.time; }
+  set time(t) {
+    // A running metro picks up the new period from the next tick
+    const last = this._next - this.props.time;
+    this.props.time = Math.max(0.001, Number(t) || 0);
+    if (this.props.is_running) this._schedule(last);
+  }
+
+  get count()  { return this.props.count; }
+  set count(c) { this.props.count = Math.trunc(c); }
+
+  get init_stage()  { return this.props.init_stage; }
+  set init_stage(s) { this.props.init_stage = Math.trunc(s); }
+
+  get event()   { return this.props.event; }
+  set event(fn) { this.props.event = typeof fn === "function" ? fn : null; }
+
+  // m.start(time?, count?, stage?)
+  start(time, count, stage) {
+    if (time != null) this.time = time;
+    if (count != null) this.count = count;
+    if (stage != null) this.init_stage = stage;
+
+    this._clear();
+    this._fired = 0;
+    this.props.is_running = true;
+    this._schedule(_now());
+  }
+
+  stop() {
+    this._clear();
+    this.props.is_running = false;
+  }
+
+  // Arm the timer for one period after `from` (drift-free: targets are
+  // accumulated rather than measured from when the callback ran).
+  _schedule(from) {
+    clearTimeout(this._timer);
+    this._next = from + this.props.time;
+    this._timer = setTimeout(() => this._tick(), Math.max(0, (this._next - _now()) * 1000));
+  }
+
+  _tick() {
+    const { count } = this.props;
+    if (count >= 0 && this._fired >= count) {
+      this.stop();
+      return;
+    }
+
+    const stage = this.props.init_stage + this._fired++;
+    this._schedule(this._next);
+    try {
+      if (this.props.event) this.props.event(stage);
+    } catch (err) {
+      console.error(`[metro] event error [${this.props.id}]:`, err);
+    }
+
+    // Stop straight after the last tick so is_running is accurate
+    if (count >= 0 && this._fired >= count) this.stop();
+  }
+
+  _clear() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Allocation
+
+const _metros = [];
+const _available = [];
+for (let i = 1; i <= NUM_METROS; i++) {
+  _metros[i] = new Metro(i);
+  _available[i] = true;
+}
+
+const metro = {
+  num_metros: NUM_METROS,
+  num_script_metros: NUM_SCRIPT_METROS,
+
+  // 1-based: metro.metros[1] … metro.metros[36]
+  metros: _metros,
+  available: _available,
+
+  // metro.init(event, time, count) or metro.init({ event, time, count })
+  // Returns the allocated Metro, or null when all script slots are taken.
+  init(event, time, count) {
+    if (event && typeof event === "object") {
+      ({ event, time, count } = event);
+    }
+
+    for (let i = 1; i <= NUM_SCRIPT_METROS; i++) {
+      if (!_available[i]) continue;
+      const m = _metros[i];
+      _available[i] = false;
+      m.event = event ?? null;
+      m.time = time ?? 1;
+      m.count = count ?? -1;
+      m.init_stage = 1;
+      return m;
+    }
+
+    console.warn("[metro] init: nothing available");
+    return null;
+  },
+
+  // Stop a metro and return its slot to the pool
+  free(id) {
+    const m = _metros[id];
+    if (!m) return;
+    m.stop();
+    m.event = null;
+    _available[id] = true;
+  },
+
+  // Free every script metro (called when the script changes)
+  free_all() {
+    for (let i = 1; i <= NUM_SCRIPT_METROS; i++) metro.free(i);
+  },
+};
+
+export { metro, Metro };
+export default metro;
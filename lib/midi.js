@@ -46,9 +46,19 @@ class MidiPort {
     }
   }
 
-  // Send raw byte array
-  send(data) {
+  // Send raw byte array. `timestamp` (performance.now() ms, as in Web MIDI)
+  // defaults to the running clock event's time, so notes sent from a
+  // clock.sync() coroutine leave the hardware port exactly on the beat.
+  send(data, timestamp = midi.event_timestamp?.() ?? 0) {
     this._dispatch(data);
+    const hw = _deviceOutput(this.id);
+    if (hw) {
+      try {
+        hw.webOutput.send(data, timestamp);
+      } catch (err) {
+        console.warn("[midi] send failed:", err.message);
+      }
+    }
   }
 
   // --- Note messages ---
@@ -224,18 +234,42 @@ const midi = {
 // Web MIDI API bridge
 //
 // Hardware MIDI inputs are assigned to virtual port slots in connection order.
-// Port 1 = first hardware input, port 2 = second, etc.
+// Port 1 = first hardware input, port 2 = second, etc. Port n also sends to
+// the output of the device on it (the output with the same name); ports with
+// no device assigned stay virtual.
 // When a hardware input fires, it dispatches into the corresponding virtual
 // port's event callback (looked up lazily at event time, so connect order
 // between midi.connect() and midi.init() doesn't matter).
 
 let _midiAccess = null;
 const _hwInputs = []; // [{ id, name, webInput }, ...] in connection order
+const _hwOutputs = []; // [{ id, name, webOutput }, ...] in connection order
+
+// MIDI clock input: system real-time bytes (clock/start/continue/stop) from
+// hardware input `midi.clock_input` also go to `midi.on_realtime(status, time)`,
+// with `time` in seconds on the performance.now() timebase. clock.js sets
+// on_realtime while its source is "midi".
+midi.clock_input = 1;
+midi.on_realtime = null;
+
+// Scheduling hook: returns the performance.now() time (ms) that a message
+// sent right now is due at, or null for "immediately". clock.js installs it.
+midi.event_timestamp = null;
+
+// Hardware output of the device assigned to port n, if it has one
+function _deviceOutput(n) {
+  const device = _hwInputs[n - 1];
+  return device ? _hwOutputs.find((h) => h.name === device.name) : undefined;
+}
 
 function _rewireHardwareInputs() {
   _hwInputs.forEach((hw, i) => {
     const portIdx = i; // 0-based → virtual ports array index
     hw.webInput.onmidimessage = (e) => {
+      const status = e.data[0];
+      if (status >= STATUS.CLOCK && portIdx + 1 === midi.clock_input && midi.on_realtime) {
+        midi.on_realtime(status, (e.timeStamp || performance.now()) / 1000);
+      }
       const vport = ports[portIdx];
       if (vport && vport.event) {
         vport.event(Array.from(e.data));
@@ -253,10 +287,21 @@ midi.init = async function () {
     _midiAccess.inputs.forEach((input) => {
       _hwInputs.push({ id: input.id, name: input.name, webInput: input });
     });
+    _midiAccess.outputs.forEach((output) => {
+      _hwOutputs.push({ id: output.id, name: output.name, webOutput: output });
+    });
 
     _midiAccess.onstatechange = (e) => {
       const port = e.port;
-      if (port.type !== "input") return;
+      if (port.type === "output") {
+        const idx = _hwOutputs.findIndex((h) => h.id === port.id);
+        if (port.state === "connected" && idx < 0) {
+          _hwOutputs.push({ id: port.id, name: port.name, webOutput: port });
+        } else if (port.state === "disconnected" && idx >= 0) {
+          _hwOutputs.splice(idx, 1);
+        }
+        return;
+      }
       if (port.state === "connected") {
         if (!_hwInputs.find((h) => h.id === port.id)) {
           _hwInputs.push({ id: port.id, name: port.name, webInput: port });
@@ -288,5 +333,5 @@ Object.defineProperty(midi, "devices", {
   },
 });
 
-export { midi, MidiPort };
+export { midi, MidiPort, STATUS };
 export default midi;
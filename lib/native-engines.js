@@ -0,0 +1,159 @@
+// norns-web native engines
+// PolyPerc and PolySub as AudioWorklet voices (poly-processor.js), so the
+// two most common norns engines play without scsynth. engine-bridge.js picks
+// them automatically when supersonic can't boot or can't load the Sonic Pi
+// approximation, and they take the same engine.* commands as on norns.
+//
+// Timber (timber-processor.js) has no scsynth version and always runs here.
+// engine.loadSample(id, file) decodes the file as softcut.buffer_read_mono
+// does and hands the audio to the worklet.
+//
+// Engines answer like norns engines' OSC replies: set `onreply(path, args)`
+// to receive them (engine-bridge.js passes them on to Lua's osc.event).
+//
+// Usage:
+//   import nativeEngines from '../lib/native-engines.js';
+//   const eng = await nativeEngines.load("PolyPerc");  // after audio.init()
+//   eng.command("cutoff", [800]);
+//   eng.command("hz", [440], clock.event_time());
+//   eng.free();
+
+import audio from "./audio.js";
+import { readAudioFile } from "./softcut.js";
+
+let _moduleCtx = null;      // AudioContext the processor modules were added to
+const _modules = new Set(); // processor modules added to it
+
+class NativeEngine {
+  constructor(name, node) {
+    this.name = name;
+    this.node = node;
+    this.commands = NATIVE_ENGINES[name].commands;
+    this.onreply = null;
+    node.port.onmessage = ({ data }) => {
+      if (data.path) this.onreply?.(data.path, data.args);
+    };
+  }
+
+  // `when` is an AudioContext time (clock.event_time()), or null for now
+  command(cmd, args, when = null) {
+    this.node.port.postMessage({ cmd, args, when });
+  }
+
+  free() {
+    this.onreply = null;
+    this.node.port.postMessage({ cmd: "free_all", args: [] });
+    this.node.disconnect();
+  }
+}
+
+class TimberEngine extends NativeEngine {
+  command(cmd, args, when = null) {
+    if (cmd === "loadSample") {
+      super.command(cmd, [args[0]], when);
+      this._load(args[0], args[1]);
+      return;
+    }
+    super.command(cmd, args, when);
+  }
+
+  async _load(id, file) {
+    try {
+      const channels = await readAudioFile(file);
+      this.node.port.postMessage({ cmd: "sample", id, channels }, channels.map((c) => c.buffer));
+    } catch (err) {
+      console.warn(`[engine] Timber couldn't load sample ${id} (${file}):`, err.message ?? err);
+      this.onreply?.("/engineSampleLoadFailed", [id, String(err.message ?? err)]);
+    }
+  }
+}
+
+// Per-sample Timber commands: (sampleId, value)
+const TIMBER_SAMPLE_PARAMS = [
+  "transpose", "detuneCents", "startFrame", "endFrame", "playMode",
+  "loopStartFrame", "loopEndFrame", "lfo1Fade", "lfo2Fade",
+  "freqModLfo1", "freqModLfo2", "freqModEnv", "freqMultiplier",
+  "ampAttack", "ampDecay", "ampSustain", "ampRelease",
+  "modAttack", "modDecay", "modSustain", "modRelease",
+  "downSampleTo", "bitDepth",
+  "filterFreq", "filterReso", "filterType", "filterTracking",
+  "filterFreqModLfo1", "filterFreqModLfo2", "filterFreqModEnv",
+  "filterFreqModVel", "filterFreqModPressure",
+  "pan", "panModLfo1", "panModLfo2", "panModEnv",
+  "amp", "ampModLfo1", "ampModLfo2", "originalFreq",
+];
+const TIMBER_INT_PARAMS = new Set([
+  "startFrame", "endFrame", "playMode", "loopStartFrame", "loopEndFrame",
+  "downSampleTo", "bitDepth", "filterType",
+]);
+
+// Processor module, processor name, engine class, and commands with their
+// norns argument formats
+const NATIVE_ENGINES = {
+  PolyPerc: {
+    module: "./poly-processor.js",
+    processor: "polyperc-processor",
+    commands: { hz: "f", amp: "f", pw: "f", release: "f", cutoff: "f", gain: "f", pan: "f" },
+  },
+  PolySub: {
+    module: "./poly-processor.js",
+    processor: "polysub-processor",
+    commands: {
+      start: "if", stop: "i", stopAll: "",
+      level: "f", hzLag: "f", shape: "f", timbre: "f", noise: "f", width: "f",
+      cut: "f", fgain: "f", cutEnvAmt: "f", detune: "f",
+      ampAtk: "f", ampDec: "f", ampSus: "f", ampRel: "f", ampCurve: "f",
+      cutAtk: "f", cutDec: "f", cutSus: "f", cutRel: "f", cutCurve: "f",
+    },
+  },
+  Timber: {
+    module: "./timber-processor.js",
+    processor: "timber-processor",
+    engine: TimberEngine,
+    commands: {
+      noteOn: "iiff", noteOff: "i", noteOffAll: "", noteKill: "i", noteKillAll: "",
+      pitchBendVoice: "if", pitchBendSample: "if", pitchBendAll: "f",
+      pressureVoice: "if", pressureSample: "if", pressureAll: "f",
+      lfo1Freq: "f", lfo1WaveShape: "i", lfo2Freq: "f", lfo2WaveShape: "i",
+      loadSample: "is", clearSamples: "ii", moveSample: "ii",
+      copySample: "iii", copyParams: "iii", generateWaveform: "i",
+      ...Object.fromEntries(TIMBER_SAMPLE_PARAMS.map((p) => [p, TIMBER_INT_PARAMS.has(p) ? "ii" : "if"])),
+    },
+  },
+};
+
+const nativeEngines = {
+  names: Object.keys(NATIVE_ENGINES),
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(NATIVE_ENGINES, name);
+  },
+
+  // Start a native engine on the mixer's AudioContext. Resolves null when
+  // there is no such engine or audio hasn't been initialised.
+  async load(name) {
+    const ctx = audio.context;
+    if (!ctx || !nativeEngines.has(name)) return null;
+
+    const def = NATIVE_ENGINES[name];
+    if (_moduleCtx !== ctx) {
+      _moduleCtx = ctx;
+      _modules.clear();
+    }
+    if (!_modules.has(def.module)) {
+      await ctx.audioWorklet.addModule(new URL(def.module, import.meta.url).href);
+      _modules.add(def.module);
+    }
+
+    const node = new AudioWorkletNode(ctx, def.processor, {
+      numberOfInputs: 0,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+    });
+    audio.connect_engine(node);
+    return new (def.engine ?? NativeEngine)(name, node);
+  },
+};
+
+export { nativeEngines, NativeEngine, TimberEngine, NATIVE_ENGINES };
+export default nativeEngines;
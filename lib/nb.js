@@ -21,6 +21,7 @@
 //   voice.get_player().note_on(60, 0.8);  // play middle C
 
 import { Player } from "./player.js";
+import clock from "./clock.js";
 
 // ---------------------------------------------------------------------------
 // Global player registry
@@ -44,15 +45,20 @@ class MidiPlayer extends Player {
     this._bendRange = 12;  // semitones
   }
 
+  // Timestamped with the running clock event, so sequenced notes land on the beat
+  _send(data) {
+    this.output.send(data, clock.event_timestamp() ?? 0);
+  }
+
   note_on(note, vel, _properties) {
     const v = Math.max(0, Math.min(127, Math.round(127 * vel)));
     const ch = (this.channel - 1) & 0x0f;
-    this.output.send([0x90 | ch, note & 0x7f, v]);
+    this._send([0x90 | ch, note & 0x7f, v]);
   }
 
   note_off(note) {
     const ch = (this.channel - 1) & 0x0f;
-    this.output.send([0x80 | ch, note & 0x7f, 0]);
+    this._send([0x80 | ch, note & 0x7f, 0]);
   }
 
   pitch_bend(_note, amount) {
@@ -63,27 +69,27 @@ class MidiPlayer extends Player {
     const normalized = clamped / this._bendRange; // -1..1
     const raw = Math.round(((normalized + 1) / 2) * 16383);
     const ch = (this.channel - 1) & 0x0f;
-    this.output.send([0xe0 | ch, raw & 0x7f, (raw >> 7) & 0x7f]);
+    this._send([0xe0 | ch, raw & 0x7f, (raw >> 7) & 0x7f]);
   }
 
   modulate(val) {
     const v = Math.max(0, Math.min(127, Math.round(127 * val)));
     const ch = (this.channel - 1) & 0x0f;
-    this.output.send([0xb0 | ch, this._modCC & 0x7f, v]);
+    this._send([0xb0 | ch, this._modCC & 0x7f, v]);
   }
 
   modulate_note(note, key, value) {
     if (key === "pressure") {
       const v = Math.max(0, Math.min(127, Math.round(value * 127)));
       const ch = (this.channel - 1) & 0x0f;
-      this.output.send([0xa0 | ch, note & 0x7f, v]);
+      this._send([0xa0 | ch, note & 0x7f, v]);
     }
   }
 
   stop_all() {
     // All-notes-off CC (CC 123)
     const ch = (this.channel - 1) & 0x0f;
-    this.output.send([0xb0 | ch, 123, 0]);
+    this._send([0xb0 | ch, 123, 0]);
   }
 
   describe() {
@@ -11,6 +11,11 @@
 //   const controls = buildNornsControls({ loader, onLog });
 //   // later, after MIDI access is obtained:
 //   controls.setupMidi(midiAccess);
+//
+// Every key/encoder event is offered to the system menu (menu.js) first;
+// a K1 tap toggles the PARAMS menu as on hardware.
+
+import menu from './menu.js';
 
 // ── constants ─────────────────────────────────────────────────────────────────
 
@@ -117,6 +122,68 @@ function drawKnob(canvas, angle, active) {
   ctx.restore();
 }
 
+// ── drag input ────────────────────────────────────────────────────────────────
+// Vertical mouse drag, scroll wheel and touch drag → ±1 steps.
+// Shared by the encoder knobs and the arc emulator (arc.js).
+//   onStep(delta, active) — active is true while a drag is in progress
+//   onRelease()           — drag finished (e.g. redraw without highlight)
+// Returns a function that removes the document-level listeners.
+
+export function attachDrag(el, onStep, onRelease = () => {}) {
+  let dragging = false;
+  let lastY    = 0;
+
+  // Mouse drag (document-level so the drag survives leaving the element)
+  el.addEventListener('mousedown', (e) => {
+    dragging = true;
+    lastY    = e.clientY;
+    e.preventDefault();
+  });
+  const onMove = (e) => {
+    if (!dragging) return;
+    const dy = lastY - e.clientY;
+    if (Math.abs(dy) >= DRAG_PX) {
+      onStep(dy > 0 ? 1 : -1, true);
+      lastY = e.clientY;
+    }
+  };
+  const onUp = () => {
+    if (!dragging) return;
+    dragging = false;
+    onRelease();
+  };
+  document.addEventListener('mousemove', onMove);
+  document.addEventListener('mouseup', onUp);
+
+  // Scroll wheel
+  el.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    onStep(e.deltaY < 0 ? 1 : -1, false);
+  }, { passive: false });
+
+  // Touch
+  let tLastY = 0;
+  let tAccum = 0;
+  el.addEventListener('touchstart', (e) => {
+    tLastY = e.touches[0].clientY;
+    tAccum = 0;
+    e.preventDefault();
+  }, { passive: false });
+  el.addEventListener('touchmove', (e) => {
+    tAccum += tLastY - e.touches[0].clientY;
+    tLastY = e.touches[0].clientY;
+    while (tAccum >= DRAG_PX)  { onStep( 1, true); tAccum -= DRAG_PX; }
+    while (tAccum <= -DRAG_PX) { onStep(-1, true); tAccum += DRAG_PX; }
+    e.preventDefault();
+  }, { passive: false });
+  el.addEventListener('touchend', () => onRelease());
+
+  return () => {
+    document.removeEventListener('mousemove', onMove);
+    document.removeEventListener('mouseup', onUp);
+  };
+}
+
 // ── main export ───────────────────────────────────────────────────────────────
 
 export function buildNornsControls({ loader, onLog = () => {} }) {
@@ -124,27 +191,6 @@ export function buildNornsControls({ loader, onLog = () => {} }) {
   const angles     = [0, 0, 0];    // visual angle accumulator per encoder
   let learning     = null;          // { type: 'enc'|'key', idx: 0|1|2 }
   let midiReady    = false;
-  let _dragIdx     = null;
-  let _dragLastY   = 0;
-
-  // ── document-level drag handlers (shared across all knobs) ────────────────
-
-  document.addEventListener('mousemove', (e) => {
-    if (_dragIdx === null) return;
-    const dy = _dragLastY - e.clientY;
-    if (Math.abs(dy) >= DRAG_PX) {
-      const delta = dy > 0 ? 1 : -1;
-      _step(_dragIdx, delta, true);
-      _dragLastY = e.clientY;
-    }
-  });
-
-  document.addEventListener('mouseup', () => {
-    if (_dragIdx !== null) {
-      _redraw(_dragIdx, false);
-      _dragIdx = null;
-    }
-  });
 
   // ── helpers ───────────────────────────────────────────────────────────────
 
@@ -153,10 +199,18 @@ export function buildNornsControls({ loader, onLog = () => {} }) {
     if (canvas) drawKnob(canvas, angles[idx], active);
   }
 
+  function _key(n, z) {
+    if (!menu.key(n, z)) loader.current?.key(n, z);
+  }
+
+  function _enc(n, d) {
+    if (!menu.enc(n, d)) loader.current?.enc(n, d);
+  }
+
   function _step(idx, delta, active = false) {
     angles[idx] += delta * ANG_STEP;
     _redraw(idx, active);
-    loader.current?.enc(idx + 1, delta);
+    _enc(idx + 1, delta);
   }
 
   // ── encoders ──────────────────────────────────────────────────────────────
@@ -178,35 +232,7 @@ export function buildNornsControls({ loader, onLog = () => {} }) {
       canvas.style.height = KNOB_SIZE + 'px';
       canvas.title = `E${n} — drag vertically or scroll`;
 
-      // Mouse drag start
-      canvas.addEventListener('mousedown', (e) => {
-        _dragIdx   = i;
-        _dragLastY = e.clientY;
-        e.preventDefault();
-      });
-
-      // Scroll wheel
-      canvas.addEventListener('wheel', (e) => {
-        e.preventDefault();
-        _step(i, e.deltaY < 0 ? 1 : -1);
-      }, { passive: false });
-
-      // Touch
-      let tLastY = 0;
-      let tAccum = 0;
-      canvas.addEventListener('touchstart', (e) => {
-        tLastY = e.touches[0].clientY;
-        tAccum = 0;
-        e.preventDefault();
-      }, { passive: false });
-      canvas.addEventListener('touchmove', (e) => {
-        tAccum += tLastY - e.touches[0].clientY;
-        tLastY = e.touches[0].clientY;
-        while (tAccum >= DRAG_PX)  { _step(i,  1, true); tAccum -= DRAG_PX; }
-        while (tAccum <= -DRAG_PX) { _step(i, -1, true); tAccum += DRAG_PX; }
-        e.preventDefault();
-      }, { passive: false });
-      canvas.addEventListener('touchend', () => _redraw(i, false));
+      attachDrag(canvas, (delta, active) => _step(i, delta, active), () => _redraw(i, false));
 
       // Label
       const label = document.createElement('div');
@@ -262,17 +288,17 @@ export function buildNornsControls({ loader, onLog = () => {} }) {
       const btn = document.createElement('button');
       btn.id = `nc-key-${n}`;
       btn.className = 'nc-key-btn';
-      if (n === 1) btn.title = 'K1 (long-press = norns menu on hardware)';
+      if (n === 1) btn.title = 'K1 (tap = params menu)';
       // Label + keyboard shortcut hint (hidden when MIDI is assigned)
       btn.innerHTML = `K${n}<span class="nc-key-shortcut" id="nc-key-hint-${n}">${KEY_DEFAULTS[i].toUpperCase()}</span>`;
 
       const press = () => {
         btn.classList.add('pressed');
-        loader.current?.key(n, 1);
+        _key(n, 1);
       };
       const release = () => {
         btn.classList.remove('pressed');
-        loader.current?.key(n, 0);
+        _key(n, 0);
       };
 
       btn.addEventListener('mousedown', () => { pressedByMouse.add(n); press(); });
@@ -393,7 +419,7 @@ export function buildNornsControls({ loader, onLog = () => {} }) {
       const idx = map.keys.indexOf(data1);
       if (idx >= 0) {
         document.getElementById(`nc-key-${idx + 1}`)?.classList.add('pressed');
-        loader.current?.key(idx + 1, 1);
+        _key(idx + 1, 1);
       }
     }
 
@@ -402,7 +428,7 @@ export function buildNornsControls({ loader, onLog = () => {} }) {
       const idx = map.keys.indexOf(data1);
       if (idx >= 0) {
         document.getElementById(`nc-key-${idx + 1}`)?.classList.remove('pressed');
-        loader.current?.key(idx + 1, 0);
+        _key(idx + 1, 0);
       }
     }
   }
@@ -441,7 +467,7 @@ export function buildNornsControls({ loader, onLog = () => {} }) {
     if (_keysHeld.has(idx)) return;
     _keysHeld.add(idx);
     document.getElementById(`nc-key-${idx + 1}`)?.classList.add('pressed');
-    loader.current?.key(idx + 1, 1);
+    _key(idx + 1, 1);
   });
 
   document.addEventListener('keyup', (e) => {
@@ -450,7 +476,7 @@ export function buildNornsControls({ loader, onLog = () => {} }) {
     if (!_keysHeld.has(idx)) return;
     _keysHeld.delete(idx);
     document.getElementById(`nc-key-${idx + 1}`)?.classList.remove('pressed');
-    loader.current?.key(idx + 1, 0);
+    _key(idx + 1, 0);
   });
 
   // ── init ──────────────────────────────────────────────────────────────────
@@ -10,6 +10,8 @@
 //   sig   = car + mod * routing
 //   sig   = Clip(sig, -headroom, headroom)
 //   sig   = tanh(sig * gain) * level
+//
+// Triggers with a `when` (AudioContext seconds) start on that sample.
 
 // Fold x into [-1, 1]
 function fold11(x) {
@@ -41,19 +43,33 @@ class OilcanProcessor extends AudioWorkletProcessor {
       p: null,     // synthesized params object
     }));
 
+    // Timestamped triggers, sorted by frame
+    this.pending = [];
+
     this.port.onmessage = ({ data }) => {
-      if (data.cmd === "trig") {
-        const v = this.voxs[data.idx & 3];
-        v.active = true;
-        v.t = 0;
-        v.phaMod = 0;
-        v.phaCar = 0;
-        v.fbSmp = 0;
-        v.p = data.params;
+      if (data.cmd !== "trig") return;
+      const frame = data.when != null ? Math.round(data.when * sampleRate) : 0;
+      if (frame <= currentFrame) {
+        this._trig(data);
+        return;
       }
+      data.frame = frame;
+      let i = this.pending.length;
+      while (i > 0 && this.pending[i - 1].frame > frame) i--;
+      this.pending.splice(i, 0, data);
     };
   }
 
+  _trig(data) {
+    const v = this.voxs[data.idx & 3];
+    v.active = true;
+    v.t = 0;
+    v.phaMod = 0;
+    v.phaCar = 0;
+    v.fbSmp = 0;
+    v.p = data.params;
+  }
+
   process(_inputs, outputs) {
     const out = outputs[0];
     const L = out[0];
@@ -62,6 +78,10 @@ class OilcanProcessor extends AudioWorkletProcessor {
     const twoPi = 2 * Math.PI;
 
     for (let i = 0; i < L.length; i++) {
+      while (this.pending.length && this.pending[0].frame <= currentFrame + i) {
+        this._trig(this.pending.shift());
+      }
+
       let sum = 0;
 
       for (const v of this.voxs) {
@@ -9,9 +9,12 @@
 // note_on maps incoming MIDI note → timbre: timbre = (note - 1) % 7
 // Velocity scales the gain parameter.
 // modulate(v) offsets mod_ix on the next trigger (performance macro).
+// Notes played from a clock coroutine trigger on the event's exact sample.
 
 import { Player } from "./player.js";
 import nb from "./nb.js";
+import clock from "./clock.js";
+import audio from "./audio.js";
 
 // ---------------------------------------------------------------------------
 // Default kit presets — ported from zjb-s/oilcan lib/default-*.oilkit
@@ -107,7 +110,7 @@ class OilcanPlayer extends Player {
     params.gain = Math.max(0, params.gain * vel);
     params.mod_ix = Math.max(0, Math.min(1, params.mod_ix + this._modOffset));
 
-    node.port.postMessage({ cmd: "trig", idx: this.slotIdx, params });
+    node.port.postMessage({ cmd: "trig", idx: this.slotIdx, params, when: clock.event_time() });
   }
 
   // Percussive synth — no sustained note to release
@@ -164,7 +167,7 @@ export async function initOilcan(audioCtx, numPlayers = 4) {
     numberOfOutputs: 1,
     outputChannelCount: [2],
   });
-  _node.connect(audioCtx.destination);
+  audio.connect_engine(_node);
 
   // Remove any previously registered oilcan players
   for (let i = 1; i <= 4; i++) {
@@ -0,0 +1,728 @@
+// norns-web Params module
+// Port of the norns paramset system (lua/core/params/*.lua).
+// One parameter model serves both script types: JS scripts import it
+// directly, Lua scripts reach it through the `params` / `controlspec`
+// globals registered in lua-runtime.js.
+//
+// Usage:
+//   import params, { ControlSpec } from '../lib/params.js';
+//   params.add_control("cutoff", "cutoff", ControlSpec.FREQ);
+//   params.set_action("cutoff", (hz) => { ... });
+//   params.add({ type: "option", id: "shape", name: "shape", options: ["sine", "saw"] });
+//   params.bang();
+//   await params.write(1, "my preset");   // PSETs persist in IndexedDB (see pset.js)
+
+import pset from "./pset.js";
+
+// ---------------------------------------------------------------------------
+// helpers
+
+function clamp(v, lo, hi) {
+  return Math.max(Math.min(lo, hi), Math.min(Math.max(lo, hi), v));
+}
+
+function wrap(v, lo, hi) {
+  const r = hi - lo;
+  if (r === 0) return lo;
+  return lo + ((v - lo) % r + r) % r;
+}
+
+// norns util.round: quantize to the nearest multiple of `q` (q=0 → unchanged)
+function round(v, q = 1) {
+  if (!q) return v;
+  return Math.round(v / q) * q;
+}
+
+const ampdb = (a) => 20 * Math.log10(a);
+const dbamp = (db) => Math.pow(10, db / 20);
+
+// ---------------------------------------------------------------------------
+// ControlSpec — maps a normalized 0..1 value onto a range with a warp curve.
+
+const WARPS = {
+  lin: {
+    map:   (s, v) => s.minval + v * (s.maxval - s.minval),
+    unmap: (s, v) => (v - s.minval) / (s.maxval - s.minval),
+  },
+  exp: {
+    map:   (s, v) => s.minval * Math.pow(s.maxval / s.minval, v),
+    unmap: (s, v) => Math.log(v / s.minval) / Math.log(s.maxval / s.minval),
+  },
+  db: {
+    map(s, v) {
+      const range = dbamp(s.maxval) - dbamp(s.minval);
+      return range >= 0
+        ? ampdb(v * v * range + dbamp(s.minval))
+        : ampdb((1 - (1 - v) * (1 - v)) * range + dbamp(s.minval));
+    },
+    unmap(s, v) {
+      const range = dbamp(s.maxval) - dbamp(s.minval);
+      const t = (dbamp(v) - dbamp(s.minval)) / range;
+      return range >= 0 ? Math.sqrt(t) : 1 - Math.sqrt(1 - t);
+    },
+  },
+};
+
+class ControlSpec {
+  constructor(minval = 0, maxval = 1, warp = "lin", step = 0, defaultVal, units = "", quantum = 0.01, wrap = false) {
+    this.minval  = minval;
+    this.maxval  = maxval;
+    this.warp    = WARPS[warp] ? warp : "lin";
+    this.step    = step;
+    this.default = defaultVal ?? minval;
+    this.units   = units;
+    this.quantum = quantum;
+    this.wrap    = !!wrap;
+  }
+
+  // norns-style constructor: controlspec.new(min, max, warp, step, default, units, quantum, wrap)
+  static new(...args) {
+    return new ControlSpec(...args);
+  }
+
+  // Keyed constructor: controlspec.def{ min, max, warp, step, default, units, quantum, wrap }
+  static def(o = {}) {
+    return new ControlSpec(
+      o.min ?? o.minval, o.max ?? o.maxval, o.warp, o.step,
+      o.default, o.units, o.quantum, o.wrap,
+    );
+  }
+
+  // Build from a plain object (e.g. a controlspec table read from Lua)
+  static from(o) {
+    if (o instanceof ControlSpec) return o;
+    return new ControlSpec(o.minval, o.maxval, o.warp, o.step, o.default, o.units, o.quantum, o.wrap);
+  }
+
+  constrain(value) {
+    return round(clamp(value, this.minval, this.maxval), this.step);
+  }
+
+  // 0..1 → range
+  map(value) {
+    return this.constrain(WARPS[this.warp].map(this, clamp(value, 0, 1)));
+  }
+
+  // range → 0..1
+  unmap(value) {
+    return clamp(WARPS[this.warp].unmap(this, this.constrain(value)), 0, 1);
+  }
+
+  copy() {
+    return new ControlSpec(this.minval, this.maxval, this.warp, this.step,
+      this.default, this.units, this.quantum, this.wrap);
+  }
+
+  toString() {
+    return `ControlSpec(${this.minval}, ${this.maxval}, '${this.warp}', ${this.step}, ${this.default}, '${this.units}')`;
+  }
+}
+
+// Presets — same names and values as norns lua/core/controlspec.lua
+Object.assign(ControlSpec, {
+  UNIPOLAR:     new ControlSpec(0, 1, "lin", 0, 0, ""),
+  BIPOLAR:      new ControlSpec(-1, 1, "lin", 0, 0, ""),
+  FREQ:         new ControlSpec(20, 20000, "exp", 0, 440, "Hz"),
+  LOFREQ:       new ControlSpec(0.1, 100, "exp", 0, 6, "Hz"),
+  MIDFREQ:      new ControlSpec(25, 4200, "exp", 0, 440, "Hz"),
+  WIDEFREQ:     new ControlSpec(0.1, 20000, "exp", 0, 440, "Hz"),
+  PHASE:        new ControlSpec(0, Math.PI, "lin", 0, 0, "rad"),
+  RQ:           new ControlSpec(0.001, 2, "exp", 0, 0.707, ""),
+  MIDI:         new ControlSpec(0, 127, "lin", 0, 64, ""),
+  MIDINOTE:     new ControlSpec(0, 127, "lin", 1, 60, ""),
+  MIDIVELOCITY: new ControlSpec(1, 127, "lin", 1, 64, ""),
+  DB:           new ControlSpec(-60, 0, "db", 0, 0, " dB"),
+  AMP:          new ControlSpec(0, 1, "lin", 0, 0, ""),
+  BOOSTCUT:     new ControlSpec(-20, 20, "lin", 0, 0, " dB"),
+  PAN:          new ControlSpec(-1, 1, "lin", 0, 0, ""),
+  DETUNE:       new ControlSpec(-20, 20, "lin", 0, 0, " Hz"),
+  RATE:         new ControlSpec(0.125, 8, "exp", 0, 1, ""),
+  BEATS:        new ControlSpec(0, 20, "lin", 0, 0, " beats"),
+  DELAY:        new ControlSpec(0.0001, 1, "exp", 0, 0.3, " secs"),
+});
+
+const SPEC_PRESETS = [
+  "UNIPOLAR", "BIPOLAR", "FREQ", "LOFREQ", "MIDFREQ", "WIDEFREQ", "PHASE", "RQ",
+  "MIDI", "MIDINOTE", "MIDIVELOCITY", "DB", "AMP", "BOOSTCUT", "PAN", "DETUNE",
+  "RATE", "BEATS", "DELAY",
+];
+
+// ---------------------------------------------------------------------------
+// Parameter types (numeric codes match norns paramset.tXXX)
+
+const T = {
+  SEPARATOR: 0,
+  NUMBER:    1,
+  OPTION:    2,
+  CONTROL:   3,
+  FILE:      4,
+  TAPER:     5,
+  TRIGGER:   6,
+  GROUP:     7,
+  TEXT:      8,
+  BINARY:    9,
+};
+
+const noop = () => {};
+
+class Param {
+  constructor(t, id, name) {
+    this.t = t;
+    this.id = id;
+    this.name = name ?? id;
+    this.action = noop;
+    this.formatter = null;
+    this.save = true;     // included in PSET files
+    this.hidden = false;
+  }
+
+  get()      { return 0; }
+  set(_v, _silent = false) {}
+  delta(_d)  {}
+  get_raw()  { return this.get(); }
+  set_raw(v, silent = false) { this.set(v, silent); }
+  set_default() {}
+
+  string() {
+    return this.formatter ? String(this.formatter(this)) : String(this.get());
+  }
+
+  bang() {
+    this.action(this.get());
+  }
+}
+
+class NumberParam extends Param {
+  constructor(id, name, min = 0, max = 1, defaultVal = 0, formatter = null, wrapping = false) {
+    super(T.NUMBER, id, name);
+    this.min = min;
+    this.max = max;
+    this.default = defaultVal;
+    this.formatter = formatter;
+    this.wrap = !!wrapping;
+    this.value = this.default;
+  }
+
+  get() { return this.value; }
+
+  set(v, silent = false) {
+    const next = this.wrap ? wrap(v, this.min, this.max + 1) : clamp(v, this.min, this.max);
+    if (next === this.value) return;
+    this.value = next;
+    if (!silent) this.bang();
+  }
+
+  delta(d) { this.set(this.value + d); }
+
+  get_range() { return [this.min, this.max]; }
+
+  set_default() { this.set(this.default); }
+}
+
+class OptionParam extends Param {
+  constructor(id, name, options = [], defaultVal = 1) {
+    super(T.OPTION, id, name);
+    this.options = options.map(String);
+    this.count = this.options.length;
+    this.default = defaultVal;
+    this.selected = defaultVal;
+  }
+
+  get() { return this.selected; }
+
+  set(v, silent = false) {
+    const next = clamp(Math.round(v), 1, Math.max(1, this.count));
+    if (next === this.selected) return;
+    this.selected = next;
+    if (!silent) this.bang();
+  }
+
+  delta(d) { this.set(this.selected + d); }
+
+  string() {
+    return this.formatter ? String(this.formatter(this)) : (this.options[this.selected - 1] ?? "");
+  }
+
+  set_default() { this.set(this.default); }
+}
+
+class ControlParam extends Param {
+  constructor(id, name, controlspec, formatter = null) {
+    super(T.CONTROL, id, name);
+    this.controlspec = controlspec ? ControlSpec.from(controlspec) : ControlSpec.UNIPOLAR.copy();
+    this.formatter = formatter;
+    this.raw = this.controlspec.unmap(this.controlspec.default);
+  }
+
+  get() { return this.controlspec.map(this.raw); }
+
+  set(v, silent = false) { this.set_raw(this.controlspec.unmap(v), silent); }
+
+  get_raw() { return this.raw; }
+
+  set_raw(v, silent = false) {
+    const next = this.controlspec.wrap ? wrap(v, 0, 1) : clamp(v, 0, 1);
+    if (next === this.raw) return;
+    this.raw = next;
+    if (!silent) this.bang();
+  }
+
+  delta(d) { this.set_raw(this.raw + d * this.controlspec.quantum); }
+
+  get_range() { return [this.controlspec.minval, this.controlspec.maxval]; }
+
+  set_default() { this.set(this.controlspec.default); }
+
+  string() {
+    if (this.formatter) return String(this.formatter(this));
+    return `${round(this.get(), 0.01)} ${this.controlspec.units}`.trim();
+  }
+}
+
+class TaperParam extends Param {
+  constructor(id, name, min = 0, max = 1, defaultVal = 0, k = 0, units = "") {
+    super(T.TAPER, id, name);
+    this.min = min;
+    this.max = max;
+    this.k = k;
+    this.units = units;
+    this.default = defaultVal;
+    this.raw = this.unmap_value(defaultVal);
+  }
+
+  map_value(v) {
+    const t = this.k === 0 ? v : (Math.exp(v * this.k) - 1) / (Math.exp(this.k) - 1);
+    return t * (this.max - this.min) + this.min;
+  }
+
+  unmap_value(v) {
+    const t = (clamp(v, this.min, this.max) - this.min) / (this.max - this.min);
+    return this.k === 0 ? t : Math.log(t * (Math.exp(this.k) - 1) + 1) / this.k;
+  }
+
+  get() { return this.map_value(this.raw); }
+
+  set(v, silent = false) { this.set_raw(this.unmap_value(v), silent); }
+
+  get_raw() { return this.raw; }
+
+  set_raw(v, silent = false) {
+    const next = clamp(v, 0, 1);
+    if (next === this.raw) return;
+    this.raw = next;
+    if (!silent) this.bang();
+  }
+
+  delta(d) { this.set_raw(this.raw + d / 100); }
+
+  get_range() { return [this.min, this.max]; }
+
+  set_default() { this.set(this.default); }
+
+  string() {
+    if (this.formatter) return String(this.formatter(this));
+    return `${this.get().toFixed(2)} ${this.units}`.trim();
+  }
+}
+
+class BinaryParam extends Param {
+  constructor(id, name, behavior = "toggle", defaultVal = 0) {
+    super(T.BINARY, id, name);
+    this.behavior = behavior;
+    this.default = defaultVal ? 1 : 0;
+    this.value = this.default;
+    if (behavior === "trigger") this.save = false;
+  }
+
+  get() { return this.value; }
+
+  set(v, silent = false) {
+    const next = v ? 1 : 0;
+    if (this.behavior === "trigger") {
+      if (next && !silent) this.action(1);
+      return;
+    }
+    if (next === this.value) return;
+    this.value = next;
+    if (!silent) this.bang();
+  }
+
+  delta(d) {
+    if (d === 0) return;
+    if (this.behavior === "toggle") this.set(this.value ? 0 : 1);
+    else this.set(d > 0 ? 1 : 0);
+  }
+
+  set_default() { this.set(this.default); }
+}
+
+class TriggerParam extends Param {
+  constructor(id, name) {
+    super(T.TRIGGER, id, name);
+    this.save = false;
+  }
+
+  get() { return 1; }
+
+  set(_v, silent = false) {
+    if (!silent) this.bang();
+  }
+
+  delta(d) {
+    if (d !== 0) this.bang();
+  }
+
+  bang() {
+    this.action(1);
+  }
+
+  string() { return ""; }
+}
+
+class TextParam extends Param {
+  constructor(id, name, text = "") {
+    super(T.TEXT, id, name);
+    this.value = String(text);
+  }
+
+  get() { return this.value; }
+
+  set(v, silent = false) {
+    const next = String(v ?? "");
+    if (next === this.value) return;
+    this.value = next;
+    if (!silent) this.bang();
+  }
+
+  string() { return this.value; }
+}
+
+class FileParam extends Param {
+  constructor(id, name, path = "") {
+    super(T.FILE, id, name);
+    this.path = path;
+    this.value = path;
+  }
+
+  get() { return this.value; }
+
+  set(v, silent = false) {
+    const next = String(v ?? "");
+    if (next === this.value) return;
+    this.value = next;
+    if (!silent) this.bang();
+  }
+
+  string() {
+    return this.value ? this.value.split("/").pop() : "-";
+  }
+}
+
+class SeparatorParam extends Param {
+  constructor(id, name) {
+    super(T.SEPARATOR, id, name);
+    this.save = false;
+  }
+
+  bang() {}
+  string() { return ""; }
+}
+
+class GroupParam extends Param {
+  constructor(id, name, n) {
+    super(T.GROUP, id, name);
+    this.n = n;
+    this.save = false;
+  }
+
+  bang() {}
+  string() { return ""; }
+}
+
+// ---------------------------------------------------------------------------
+// ParamSet
+
+class ParamSet {
+  constructor(id = "", name = "") {
+    this.id = id;
+    this.name = name;
+    this.params = [];
+    this.lookup = {};   // id → 1-based index (norns paramset.lookup)
+    this._groupLeft = 0;
+
+    // User-settable PSET callbacks (norns signatures)
+    this.action_write  = null; // fn(filename, name, number)
+    this.action_read   = null; // fn(filename, silent, number)
+    this.action_delete = null; // fn(filename, name, number)
+  }
+
+  get count() { return this.params.length; }
+
+  // Add a param object, or build one from a norns-style table:
+  //   params.add({ type: "number", id, name, min, max, default, formatter, wrap, action })
+  add(p) {
+    if (!(p instanceof Param)) p = this._fromSpec(p);
+    if (!p) return null;
+
+    if (p.id != null && p.t !== T.SEPARATOR && p.t !== T.GROUP && this.lookup[p.id] != null) {
+      console.warn(`[params] id "${p.id}" clashes with a previously-added parameter — skipped`);
+      return null;
+    }
+
+    if (this._groupLeft > 0 && p.t !== T.GROUP) this._groupLeft--;
+    if (p.t === T.GROUP) this._groupLeft = p.n;
+
+    this.params.push(p);
+    if (p.id != null) this.lookup[p.id] = this.params.length;
+    return p;
+  }
+
+  _fromSpec(o = {}) {
+    const id = o.id;
+    const name = o.name ?? id;
+    let p;
+    switch (o.type) {
+      case "number":
+        p = new NumberParam(id, name, o.min, o.max, o.default, o.formatter, o.wrap);
+        break;
+      case "option":
+        p = new OptionParam(id, name, o.options ?? [], o.default);
+        if (o.formatter) p.formatter = o.formatter;
+        break;
+      case "control":
+        p = new ControlParam(id, name, o.controlspec, o.formatter);
+        break;
+      case "taper":
+        p = new TaperParam(id, name, o.min, o.max, o.default, o.k, o.units);
+        if (o.formatter) p.formatter = o.formatter;
+        break;
+      case "binary":
+        p = new BinaryParam(id, name, o.behavior, o.default);
+        break;
+      case "trigger":
+        p = new TriggerParam(id, name);
+        break;
+      case "text":
+        p = new TextParam(id, name, o.text);
+        break;
+      case "file":
+        p = new FileParam(id, name, o.path);
+        break;
+      case "separator":
+        p = new SeparatorParam(id, name);
+        break;
+      case "group":
+        p = new GroupParam(id, name, o.n ?? 0);
+        break;
+      default:
+        console.warn(`[params] add: unknown param type "${o.type}"`);
+        return null;
+    }
+    if (typeof o.action === "function") p.action = o.action;
+    return p;
+  }
+
+  // -- typed adders (norns argument order) --
+
+  add_number(id, name, min, max, defaultVal, formatter, wrapping) {
+    return this.add(new NumberParam(id, name, min, max, defaultVal, formatter, wrapping));
+  }
+
+  add_option(id, name, options, defaultVal) {
+    return this.add(new OptionParam(id, name, options, defaultVal));
+  }
+
+  add_control(id, name, controlspec, formatter) {
+    return this.add(new ControlParam(id, name, controlspec, formatter));
+  }
+
+  add_taper(id, name, min, max, defaultVal, k, units) {
+    return this.add(new TaperParam(id, name, min, max, defaultVal, k, units));
+  }
+
+  add_binary(id, name, behavior, defaultVal) {
+    return this.add(new BinaryParam(id, name, behavior, defaultVal));
+  }
+
+  add_trigger(id, name) {
+    return this.add(new TriggerParam(id, name));
+  }
+
+  add_text(id, name, text) {
+    return this.add(new TextParam(id, name, text));
+  }
+
+  add_file(id, name, path) {
+    return this.add(new FileParam(id, name, path));
+  }
+
+  // add_separator(id, name) — or the older add_separator(name)
+  add_separator(id, name) {
+    return this.add(new SeparatorParam(name == null ? null : id, name ?? id ?? ""));
+  }
+
+  // add_group(id, name, n) — or the older add_group(name, n)
+  add_group(id, name, n) {
+    if (typeof name === "number") return this.add(new GroupParam(null, id, name));
+    return this.add(new GroupParam(id, name, n));
+  }
+
+  // -- lookup --
+
+  // index: param id (string) or 1-based position (number)
+  lookup_param(index) {
+    const p = typeof index === "number" ? this.params[index - 1] : this.params[this.lookup[index] - 1];
+    if (!p) throw new Error(`invalid paramset index: ${index}`);
+    return p;
+  }
+
+  // -- value access --
+
+  get(index)               { return this.lookup_param(index).get(); }
+  set(index, v, silent)    { this.lookup_param(index).set(v, !!silent); }
+  get_raw(index)           { return this.lookup_param(index).get_raw(); }
+  set_raw(index, v, silent) { this.lookup_param(index).set_raw(v, !!silent); }
+  delta(index, d)          { this.lookup_param(index).delta(d); }
+  string(index)            { return this.lookup_param(index).string(); }
+  t(index)                 { return this.lookup_param(index).t; }
+  get_id(index)            { return this.lookup_param(index).id; }
+  get_name(index)          { return this.lookup_param(index).name; }
+
+  get_range(index) {
+    const p = this.lookup_param(index);
+    return typeof p.get_range === "function" ? p.get_range() : null;
+  }
+
+  set_action(index, fn) {
+    this.lookup_param(index).action = typeof fn === "function" ? fn : noop;
+  }
+
+  set_save(index, state) { this.lookup_param(index).save = !!state; }
+
+  // -- visibility (read by the params menu) --
+
+  hide(index)    { this.lookup_param(index).hidden = true; }
+  show(index)    { this.lookup_param(index).hidden = false; }
+  visible(index) { return !this.lookup_param(index).hidden; }
+
+  // -- bulk --
+
+  // Call every param's action with its current value (norns skips triggers).
+  bang() {
+    for (const p of this.params) {
+      if (p.t === T.TRIGGER) continue;
+      if (p.t === T.BINARY && p.behavior === "trigger") continue;
+      try {
+        p.bang();
+      } catch (err) {
+        console.error(`[params] action error [${p.id}]:`, err);
+      }
+    }
+  }
+
+  // Reset every param to its default value.
+  default() {
+    for (const p of this.params) p.set_default();
+  }
+
+  clear() {
+    this.params = [];
+    this.lookup = {};
+    this._groupLeft = 0;
+    this.action_write = null;
+    this.action_read = null;
+    this.action_delete = null;
+  }
+
+  // -- PSETs --
+  // `n` is a slot number (stored as <script>-NN.pset) or an explicit path.
+
+  async write(n = 1, name) {
+    const { path, number } = pset.path(n);
+    await pset.save(path, pset.format(this, name), name ?? null);
+    if (number) await pset.set_last(Number(number));
+    if (this.action_write) this.action_write(path, name, number);
+  }
+
+  // Returns false if the slot is empty. Omitting `n` reads the last slot used.
+  // Once pset.preload() has run the values (and their actions) are applied
+  // before read() returns; otherwise after IndexedDB answers.
+  read(n, silent = false) {
+    if (n == null) {
+      const last = pset.cached(`${pset.script}/pset-last.txt`);
+      if (last === undefined) return pset.get_last().then((l) => this.read(l, silent));
+      n = parseInt(last, 10) || 1;
+    }
+    const text = pset.cached(pset.path(n).path);
+    if (text === undefined) return pset.load(pset.path(n).path).then((t) => this._read(n, t, silent));
+    try {
+      return Promise.resolve(this._read(n, text, silent));
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  // Apply .pset text read for slot/path `n`
+  _read(n, text, silent) {
+    const { path, number } = pset.path(n);
+    if (text == null) {
+      console.warn(`[params] read: no pset at ${path}`);
+      return false;
+    }
+
+    const { name, values } = pset.parse(text);
+    if (name != null) this.name = name;
+    const seen = new Set();
+    for (const [id, value] of values) {
+      const index = this.lookup[id];
+      if (index == null || seen.has(index)) continue;
+      seen.add(index);
+      try {
+        this.params[index - 1].set(value, !!silent);
+      } catch (err) {
+        console.error(`[params] read error [${id}]:`, err);
+      }
+    }
+
+    if (number) pset.set_last(Number(number)).catch((err) => console.error("[params] read error:", err));
+    if (this.action_read) this.action_read(path, !!silent, number);
+    return true;
+  }
+
+  async delete(n = 1, name) {
+    const { path, number } = pset.path(n);
+    await pset.remove(path);
+    if (this.action_delete) this.action_delete(path, name, number);
+  }
+
+  list() {
+    for (const p of this.params) if (p.id != null) console.log(p.id);
+  }
+
+  print() {
+    this.params.forEach((p, i) => console.log(`${i + 1} ${p.id ?? ""} = ${p.string()}`));
+  }
+}
+
+Object.assign(ParamSet.prototype, {
+  tSEPARATOR: T.SEPARATOR,
+  tNUMBER:    T.NUMBER,
+  tOPTION:    T.OPTION,
+  tCONTROL:   T.CONTROL,
+  tFILE:      T.FILE,
+  tTAPER:     T.TAPER,
+  tTRIGGER:   T.TRIGGER,
+  tGROUP:     T.GROUP,
+  tTEXT:      T.TEXT,
+  tBINARY:    T.BINARY,
+});
+
+// The script-global paramset (norns `params`)
+const params = new ParamSet("params", "params");
+
+export {
+  params, ParamSet, ControlSpec, SPEC_PRESETS,
+  Param, NumberParam, OptionParam, ControlParam, TaperParam,
+  BinaryParam, TriggerParam, TextParam, FileParam, SeparatorParam, GroupParam,
+};
+export default params;
@@ -0,0 +1,177 @@
+// norns-web Poll module
+// Port of norns lua/core/poll.lua: named measurements reported to a
+// callback every `time` seconds.
+//
+// Usage:
+//   import poll from '../lib/poll.js';
+//   const p = poll.set("amp_in_l", (v) => { ... });
+//   p.time = 0.05;
+//   p.start();
+//   p.update();   // report one value now
+//   p.stop();
+//
+// Built-in polls:
+//   amp_in_l  amp_in_r      input peak level (0–1)
+//   amp_out_l amp_out_r     output peak level (0–1)
+//   pitch_in_l pitch_in_r   input pitch in Hz (0 when unpitched); pitch
+//                           tracking (audio.pitch_on) runs while either does
+//   softcut_phase_1 … _6    softcut voice position in seconds
+//
+// Engines add their own polls with poll.add_source(); engine-bridge.js does
+// this for the control-bus polls an engine descriptor declares.
+
+import audio from "./audio.js";
+import softcut from "./softcut.js";
+
+const DEFAULT_TIME = 0.1;  // seconds between reports
+const MIN_TIME = 0.01;
+
+class Poll {
+  constructor(name, source) {
+    this.props = {
+      name,
+      time: DEFAULT_TIME,
+      callback: null,
+      is_running: false,
+    };
+    this._source = source;
+    this._timer = null;
+    this._pending = false;  // an async read hasn't come back yet
+  }
+
+  get name()       { return this.props.name; }
+  get is_running() { return this.props.is_running; }
+
+  get time() { return this.props.time; }
+  set time(t) {
+    this.props.time = Math.max(MIN_TIME, Number(t) || 0);
+    if (this.props.is_running) this._arm();
+  }
+
+  get callback()   { return this.props.callback; }
+  set callback(fn) { this.props.callback = typeof fn === "function" ? fn : null; }
+
+  start() {
+    if (!this.props.is_running) this._source.start?.();
+    this.props.is_running = true;
+    this._arm();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+    if (this.props.is_running) this._source.stop?.();
+    this.props.is_running = false;
+  }
+
+  // Report one value now, running or not
+  update() {
+    this._read();
+  }
+
+  _arm() {
+    clearInterval(this._timer);
+    this._timer = setInterval(() => this._read(), this.props.time * 1000);
+  }
+
+  async _read() {
+    if (this._pending) return;
+    this._pending = true;
+    let value;
+    try {
+      value = await this._source.read();
+    } catch (err) {
+      console.error(`[poll] ${this.props.name} read error:`, err);
+    } finally {
+      this._pending = false;
+    }
+    if (value == null || !this.props.callback) return;
+    try {
+      this.props.callback(value);
+    } catch (err) {
+      console.error(`[poll] ${this.props.name} callback error:`, err);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Sources
+
+const _polls = new Map();  // name → Poll
+
+function _add(name, read, start = null, stop = null) {
+  _polls.get(name)?.stop();
+  const p = new Poll(name, { read, start, stop });
+  _polls.set(name, p);
+  return p;
+}
+
+_add("amp_in_l", () => audio.amp_in(1));
+_add("amp_in_r", () => audio.amp_in(2));
+_add("amp_out_l", () => audio.amp_out(1));
+_add("amp_out_r", () => audio.amp_out(2));
+// Pitch tracking is costly, so it runs only while a pitch poll does
+let _pitchPolls = 0;
+const _pitchStart = () => { if (_pitchPolls++ === 0) audio.pitch_on(); };
+const _pitchStop = () => { if (--_pitchPolls === 0) audio.pitch_off(); };
+_add("pitch_in_l", () => audio.pitch_in(1), _pitchStart, _pitchStop);
+_add("pitch_in_r", () => audio.pitch_in(2), _pitchStart, _pitchStop);
+for (let v = 1; v <= 6; v++) {
+  _add(`softcut_phase_${v}`, () => softcut.get_position(v));
+}
+
+const BUILT_IN = new Set(_polls.keys());
+
+// ---------------------------------------------------------------------------
+// public API
+
+const poll = {
+  // name → Poll
+  polls: _polls,
+
+  // Find a poll and optionally set its callback. Returns null (with a
+  // warning) for unknown names, like norns.
+  set(name, callback) {
+    const p = _polls.get(name);
+    if (!p) {
+      console.warn(`[poll] unknown poll "${name}"`);
+      return null;
+    }
+    if (callback !== undefined) p.callback = callback;
+    return p;
+  },
+
+  list_names() {
+    const names = [..._polls.keys()].sort();
+    console.log(names.join("\n"));
+    return names;
+  },
+
+  // Add a poll whose value comes from `read()` (a number, a promise of
+  // one, or null to skip a report). `start()` and `stop()` run when the
+  // poll starts and stops.
+  add_source(name, read, start = null, stop = null) {
+    if (BUILT_IN.has(name)) {
+      console.warn(`[poll] "${name}" is a built-in poll`);
+      return null;
+    }
+    return _add(name, read, start, stop);
+  },
+
+  remove_source(name) {
+    if (BUILT_IN.has(name)) return;
+    _polls.get(name)?.stop();
+    _polls.delete(name);
+  },
+
+  // Stop every poll and drop its callback (called when the script changes)
+  clear_all() {
+    for (const p of _polls.values()) {
+      p.stop();
+      p.callback = null;
+    }
+  },
+};
+
+export { poll, Poll };
+export default poll;
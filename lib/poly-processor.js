@@ -0,0 +1,236 @@
+// poly-processor — AudioWorkletProcessors
+// Native Web Audio ports of the norns PolyPerc and PolySub engines
+// (Engine_PolyPerc.sc, Engine_PolySub.sc), used by native-engines.js when
+// scsynth isn't available.
+//
+// PolyPerc, per note (engine.hz):
+//   Pulse(freq, pw) → MoogFF(cutoff, gain) → Env.perc(0.01, release) * amp
+//   → Pan2(pan)
+// Params apply to the notes that follow, as in SuperCollider.
+//
+// PolySub, per voice (engine.start / engine.stop):
+//   hz glides over hzLag; two oscillators at hz ± detune/2, each a
+//   crossfade (shape) from VarSaw to Pulse with width timbre, plus noise
+//   → spread by width → MoogFF(min(hz * cut * cutEnv, 16k), fgain)
+//   → ADSR (ampCurve) * level
+//   cutEnv = 1 - cutEnvAmt + cutEnvAmt * ADSR(cutAtk…cutRel, cutCurve)
+// Params apply to every sounding voice.
+//
+// Messages: { cmd, args, when } — cmd is the engine command, args its
+// arguments; a `when` (AudioContext seconds) applies it on that sample.
+
+import { curveShape, ADSR, TimedProcessor } from "./engine-worklet.js";
+
+const MAX_VOICES = 24;
+
+// PolyBLEP residual for a discontinuity at phase 0 (t and dt in cycles)
+function blep(t, dt) {
+  if (t < dt) {
+    t /= dt;
+    return t + t - t * t - 1;
+  }
+  if (t > 1 - dt) {
+    t = (t - 1) / dt;
+    return t * t + t + t + 1;
+  }
+  return 0;
+}
+
+// Band-limited pulse in [-1, 1] with duty cycle `width`
+function pulse(phase, dt, width) {
+  let y = phase < width ? 1 : -1;
+  y += blep(phase, dt);
+  let t = phase - width;
+  if (t < 0) t += 1;
+  y -= blep(t, dt);
+  return y;
+}
+
+// SuperCollider VarSaw: rises for `width` of the cycle, falls for the rest
+function varsaw(phase, width) {
+  const w = Math.min(0.999, Math.max(0.001, width));
+  return phase < w ? (2 * phase / w) - 1 : 1 - 2 * (phase - w) / (1 - w);
+}
+
+// MoogFF: four TPT one-pole stages with resonant feedback (gain 0–4)
+class Ladder {
+  constructor() {
+    this.s = new Float64Array(4);
+  }
+
+  process(x, fc, k) {
+    const g = Math.tan(Math.PI * Math.min(fc, sampleRate * 0.45) / sampleRate);
+    const G = g / (1 + g);
+    const s = this.s;
+    const S = (G * G * G * s[0] + G * G * s[1] + G * s[2] + s[3]) / (1 + g);
+    let u = (x - k * S) / (1 + k * G * G * G * G);
+    for (let i = 0; i < 4; i++) {
+      const v = (u - s[i]) * G;
+      const y = v + s[i];
+      s[i] = y + v;
+      u = y;
+    }
+    return u;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// PolyPerc
+
+class PolyPercProcessor extends TimedProcessor {
+  constructor() {
+    super();
+    this.params = { amp: 0.3, pw: 0.5, release: 0.5, cutoff: 1000, gain: 2, pan: 0 };
+    this.voices = [];
+  }
+
+  handle(cmd, args) {
+    if (cmd === "hz") {
+      if (this.voices.length >= MAX_VOICES) this.voices.shift();
+      const p = this.params;
+      const angle = (Math.max(-1, Math.min(1, p.pan)) + 1) * Math.PI / 4;
+      this.voices.push({
+        freq: Math.max(1, args[0]),
+        phase: 0,
+        t: 0,
+        ...p,
+        gl: Math.cos(angle),
+        gr: Math.sin(angle),
+        filter: new Ladder(),
+      });
+    } else if (cmd === "free_all") {
+      this.voices = [];
+      this.pending = [];
+      this.freed = true;
+    } else if (cmd in this.params) {
+      this.params[cmd] = args[0];
+    }
+  }
+
+  render(L, R, from, to) {
+    const dt = 1 / sampleRate;
+    const ATTACK = 0.01;
+    for (const v of this.voices) {
+      const inc = v.freq / sampleRate;
+      const k = Math.max(0, Math.min(4, v.gain));
+      const width = Math.max(0.01, Math.min(0.99, v.pw));
+      for (let i = from; i < to; i++) {
+        let env;
+        if (v.t < ATTACK) env = curveShape(v.t / ATTACK, -4);
+        else if (v.t < ATTACK + v.release) env = 1 - curveShape((v.t - ATTACK) / v.release, -4);
+        else { v.done = true; break; }
+        const x = v.filter.process(pulse(v.phase, inc, width), v.cutoff, k) * env * v.amp;
+        L[i] += x * v.gl;
+        R[i] += x * v.gr;
+        v.phase += inc;
+        if (v.phase >= 1) v.phase -= 1;
+        v.t += dt;
+      }
+    }
+    this.voices = this.voices.filter((v) => !v.done);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// PolySub
+
+class PolySubProcessor extends TimedProcessor {
+  constructor() {
+    super();
+    this.params = {
+      level: 0.2, hzLag: 0.1, shape: 0, timbre: 0.5, noise: 0, width: 0.5,
+      cut: 8, fgain: 0, cutEnvAmt: 0, detune: 0,
+      ampAtk: 0.05, ampDec: 0.1, ampSus: 1, ampRel: 1, ampCurve: -1,
+      cutAtk: 0, cutDec: 0, cutSus: 1, cutRel: 1, cutCurve: -1,
+    };
+    this.voices = new Map(); // id → voice
+  }
+
+  handle(cmd, args) {
+    switch (cmd) {
+      case "start": {
+        const [id, hz] = args;
+        let v = this.voices.get(id);
+        if (v) {
+          v.target = hz;  // glide over hzLag
+        } else {
+          if (this.voices.size >= MAX_VOICES) this._steal();
+          v = {
+            hz, target: hz,
+            phases: [0, Math.random()],
+            filters: [new Ladder(), new Ladder()],
+            amp: new ADSR(),
+            cut: new ADSR(),
+          };
+          this.voices.set(id, v);
+        }
+        v.amp.gate(true);
+        v.cut.gate(true);
+        break;
+      }
+      case "stop": {
+        const v = this.voices.get(args[0]);
+        if (v) { v.amp.gate(false); v.cut.gate(false); }
+        break;
+      }
+      case "stopAll":
+        for (const v of this.voices.values()) { v.amp.gate(false); v.cut.gate(false); }
+        break;
+      case "free_all":
+        this.voices.clear();
+        this.pending = [];
+        this.freed = true;
+        break;
+      default:
+        if (cmd in this.params) this.params[cmd] = args[0];
+    }
+  }
+
+  // Drop the quietest voice, preferring released ones
+  _steal() {
+    let victim = null;
+    let best = Infinity;
+    for (const [id, v] of this.voices) {
+      const score = v.amp.level + (v.amp.stage === "release" ? 0 : 1);
+      if (score < best) { best = score; victim = id; }
+    }
+    this.voices.delete(victim);
+  }
+
+  render(L, R, from, to) {
+    const p = this.params;
+    const dt = 1 / sampleRate;
+    const lagCoef = p.hzLag > 0 ? Math.exp(-6.907755 * dt / p.hzLag) : 0;
+    const k = Math.max(0, Math.min(4, p.fgain));
+    const width = Math.max(0.01, Math.min(0.99, p.timbre));
+    const shape = Math.max(0, Math.min(1, p.shape));
+    const spread = 0.5 + 0.5 * Math.max(0, Math.min(1, p.width));
+
+    for (const [id, v] of this.voices) {
+      for (let i = from; i < to; i++) {
+        v.hz = v.target + (v.hz - v.target) * lagCoef;
+        const aenv = v.amp.next(p.ampAtk, p.ampDec, p.ampSus, p.ampRel, p.ampCurve, dt);
+        const fenv = v.cut.next(p.cutAtk, p.cutDec, p.cutSus, p.cutRel, p.cutCurve, dt);
+        if (v.amp.done) break;
+
+        const fc = Math.min(16000, Math.max(20, v.hz * p.cut * (1 - p.cutEnvAmt + p.cutEnvAmt * fenv)));
+        const osc = [0, 0];
+        for (let o = 0; o < 2; o++) {
+          const f = Math.max(1, v.hz + (o === 0 ? 0.5 : -0.5) * p.detune);
+          const inc = f / sampleRate;
+          const ph = v.phases[o];
+          osc[o] = (1 - shape) * varsaw(ph, width) + shape * pulse(ph, inc, width) +
+            p.noise * (Math.random() * 2 - 1);
+          v.phases[o] = ph + inc >= 1 ? ph + inc - 1 : ph + inc;
+        }
+        const gain = aenv * p.level;
+        L[i] += v.filters[0].process(spread * osc[0] + (1 - spread) * osc[1], fc, k) * gain;
+        R[i] += v.filters[1].process((1 - spread) * osc[0] + spread * osc[1], fc, k) * gain;
+      }
+      if (v.amp.done) this.voices.delete(id);
+    }
+  }
+}
+
+registerProcessor("polyperc-processor", PolyPercProcessor);
+registerProcessor("polysub-processor", PolySubProcessor);
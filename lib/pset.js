@@ -0,0 +1,211 @@
+// norns-web PSET storage
+// Saves paramset snapshots in IndexedDB, one record per script and slot.
+// Records hold the norns .pset text verbatim, so a preset exported from here
+// can be copied to dust/data/<script>/ on hardware and vice versa.
+//
+// File format (norns lua/core/paramset.lua):
+//   -- optional pset name
+//   "id": value
+//   "other_id": value
+//
+// Record paths mirror the hardware layout: "<script>/<script>-01.pset".
+// The script name is set by script-loader.js before each script starts.
+
+const DB_NAME  = "norns-web";
+const DB_STORE = "psets";
+
+let _db = null;
+let _script = "untitled";
+let _cache = null;  // path → text for the current script, once preload() ran
+
+// ---------------------------------------------------------------------------
+// IndexedDB helpers
+
+function _open() {
+  if (_db) return _db;
+  _db = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(DB_STORE, { keyPath: "path" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      _db = null;
+      reject(req.error);
+    };
+  });
+  return _db;
+}
+
+async function _tx(mode, fn) {
+  const db = await _open();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, mode);
+    const req = fn(tx.objectStore(DB_STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Text format
+
+// Lua's tostring for numbers: floats always carry a decimal point
+function _luaNumber(v, isFloat) {
+  if (!Number.isFinite(v)) return v > 0 ? "inf" : v < 0 ? "-inf" : "nan";
+  if (Number.isInteger(v)) return isFloat ? `${v}.0` : String(v);
+  return String(Number(v.toPrecision(14)));
+}
+
+function _quote(s) {
+  return `"${String(s).replace(/"/g, '\\"')}"`;
+}
+
+function _unquote(s) {
+  return s.slice(1, -1).replace(/\\"/g, '"');
+}
+
+// Serialize a paramset to .pset text
+function format(ps, name) {
+  const lines = [];
+  if (name) lines.push(`-- ${name}`);
+  for (const p of ps.params) {
+    if (p.id == null || !p.save) continue;
+    if (p.t === ps.tTRIGGER || p.t === ps.tSEPARATOR || p.t === ps.tGROUP) continue;
+    const v = p.get();
+    const isFloat = p.t === ps.tCONTROL || p.t === ps.tTAPER;
+    lines.push(`${_quote(p.id)}: ${typeof v === "number" ? _luaNumber(v, isFloat) : v}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Parse .pset text → { name, values: [[id, value], ...] }
+function parse(text) {
+  let name = null;
+  const values = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith("--")) {
+      name = line.slice(3);
+      continue;
+    }
+    const m = line.match(/^(".*?")\s*:\s*(.*)$/);
+    if (!m) continue;
+    const raw = m[2];
+    let value;
+    if (raw === "inf") value = Infinity;
+    else if (raw === "-inf") value = -Infinity;
+    else if (raw.trim() !== "" && !isNaN(Number(raw))) value = Number(raw);
+    else value = raw;
+    values.push([_unquote(m[1]), value]);
+  }
+  return { name, values };
+}
+
+// ---------------------------------------------------------------------------
+// public API
+
+const pset = {
+  format,
+  parse,
+
+  // Name under which psets are stored (norns.state.shortname)
+  get script() {
+    return _script;
+  },
+
+  set_script(name) {
+    _script = String(name || "untitled").replace(/^.*\//, "").replace(/\.(lua|js)$/, "");
+    _cache = null;
+  },
+
+  // Read the current script's records into memory, so cached() can answer
+  // without waiting on IndexedDB (params.read then applies synchronously)
+  async preload() {
+    const all = await _tx("readonly", (store) => store.getAll());
+    _cache = new Map((all || [])
+      .filter((r) => r.path.startsWith(`${_script}/`))
+      .map((r) => [r.path, r.text]));
+  },
+
+  // The text at `path` from the preloaded records (null if the slot is
+  // empty), or undefined before preload()
+  cached(path) {
+    return _cache ? (_cache.get(path) ?? null) : undefined;
+  },
+
+  // Resolve a slot number or explicit path → { path, number }
+  path(n = 1) {
+    if (typeof n === "string") return { path: n, number: null };
+    const number = String(n).padStart(2, "0");
+    return { path: `${_script}/${_script}-${number}.pset`, number };
+  },
+
+  async save(path, text, name = null) {
+    _cache?.set(path, text);
+    await _tx("readwrite", (store) => store.put({
+      path, script: _script, name, text, saved_at: Date.now(),
+    }));
+  },
+
+  // Returns the .pset text, or null if the slot is empty
+  async load(path) {
+    const rec = await _tx("readonly", (store) => store.get(path));
+    return rec ? rec.text : null;
+  },
+
+  async remove(path) {
+    _cache?.delete(path);
+    await _tx("readwrite", (store) => store.delete(path));
+  },
+
+  // List saved psets for the current script: [{ path, number, name, saved_at }]
+  async list() {
+    const all = await _tx("readonly", (store) => store.getAll());
+    const prefix = `${_script}/${_script}-`;
+    return (all || [])
+      .filter((r) => r.path.startsWith(prefix) && r.path.endsWith(".pset"))
+      .map((r) => ({
+        path: r.path,
+        number: parseInt(r.path.slice(prefix.length), 10),
+        name: r.name,
+        saved_at: r.saved_at,
+      }))
+      .sort((a, b) => a.number - b.number);
+  },
+
+  // Last slot written/read (norns pset-last.txt)
+  async get_last() {
+    const path = `${_script}/pset-last.txt`;
+    const cached = pset.cached(path);
+    const text = cached !== undefined ? cached : await pset.load(path);
+    return text ? parseInt(text, 10) || 1 : 1;
+  },
+
+  async set_last(n) {
+    await pset.save(`${_script}/pset-last.txt`, String(n));
+  },
+
+  // Download a slot as a .pset file
+  async export(n = 1) {
+    const { path } = pset.path(n);
+    const text = await pset.load(path);
+    if (text == null) throw new Error(`no pset at ${path}`);
+    const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = path.split("/").pop();
+    a.click();
+    URL.revokeObjectURL(url);
+  },
+
+  // Store a .pset File/Blob (e.g. copied off hardware) into slot n
+  async import(file, n = 1) {
+    const text = await file.text();
+    const { path } = pset.path(n);
+    await pset.save(path, text, parse(text).name);
+    return path;
+  },
+};
+
+export { pset };
+export default pset;
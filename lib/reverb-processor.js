@@ -0,0 +1,139 @@
+// reverb-processor — AudioWorkletProcessor
+// Master-bus reverb for lib/audio.js: an 8-line feedback delay network
+// with the controls of the norns reverb (Zita rev1).
+//
+// Signal path:
+//   in L/R → pre-delay → lines 0,2,4,6 (L) / 1,3,5,7 (R)
+//   each line: delay → low/mid split at lf_fc, each band scaled for its
+//              rt60 → lowpass at hf_damp → Hadamard mix → back into the lines
+//   out L/R = even / odd line outputs
+//
+// Messages: { cmd: "enable", value } and { cmd: "param", name, value } with
+// name pre_del (ms), lf_fc (Hz), low_rt60 (s), mid_rt60 (s), hf_damp (Hz).
+
+const NUM_LINES = 8;
+const MAX_PRE_DEL = 0.5; // seconds
+
+// Mutually prime line lengths at 48kHz (30–77 ms)
+const LINE_LENGTHS = [1447, 1733, 2011, 2333, 2687, 2999, 3331, 3671];
+
+// One-pole lowpass coefficient for cutoff fc
+function onePole(fc) {
+  return Math.exp(-2 * Math.PI * Math.min(fc, sampleRate * 0.45) / sampleRate);
+}
+
+class ReverbProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+
+    this.enabled = false;
+    this.params = { pre_del: 60, lf_fc: 200, low_rt60: 6, mid_rt60: 6, hf_damp: 6000 };
+
+    const scale = sampleRate / 48000;
+    this.lengths = LINE_LENGTHS.map((n) => Math.round(n * scale));
+    this.lines = this.lengths.map((n) => new Float32Array(n));
+    this.pos = new Int32Array(NUM_LINES);
+    this.lowState = new Float32Array(NUM_LINES);   // crossover lowpass
+    this.dampState = new Float32Array(NUM_LINES);  // hf damping lowpass
+    this.out = new Float32Array(NUM_LINES);
+
+    this.pre = [new Float32Array(Math.ceil(MAX_PRE_DEL * sampleRate)), null];
+    this.pre[1] = new Float32Array(this.pre[0].length);
+    this.prePos = 0;
+
+    this._update();
+
+    this.port.onmessage = ({ data }) => {
+      if (data.cmd === "enable") {
+        this.enabled = !!data.value;
+        if (!this.enabled) this._clear();
+      } else if (data.cmd === "param" && data.name in this.params) {
+        this.params[data.name] = data.value;
+        this._update();
+      }
+    };
+  }
+
+  // Recompute per-line gains and filter coefficients from the params
+  _update() {
+    const p = this.params;
+    this.preDelay = Math.min(this.pre[0].length - 1, Math.round(p.pre_del * 0.001 * sampleRate));
+    this.lowCoef = onePole(Math.max(10, p.lf_fc));
+    this.dampCoef = onePole(Math.max(100, p.hf_damp));
+    // A line of n samples loses 60 dB per rt60: gain = 10^(-3·n / (rt60·sr))
+    const gain = (n, rt60) => Math.pow(10, -3 * n / (Math.max(0.1, rt60) * sampleRate));
+    this.lowGain = this.lengths.map((n) => gain(n, p.low_rt60));
+    this.midGain = this.lengths.map((n) => gain(n, p.mid_rt60));
+  }
+
+  _clear() {
+    for (const line of this.lines) line.fill(0);
+    this.pre[0].fill(0);
+    this.pre[1].fill(0);
+    this.lowState.fill(0);
+    this.dampState.fill(0);
+  }
+
+  process(inputs, outputs) {
+    const outL = outputs[0][0];
+    const outR = outputs[0][1] || outL;
+    const input = inputs[0];
+    const inL = input && input[0];
+    const inR = input && (input[1] || input[0]);
+    const n = outL.length;
+
+    if (!this.enabled) {
+      outL.fill(0);
+      outR.fill(0);
+      return true;
+    }
+
+    const { lines, lengths, pos, lowState, dampState, out, lowGain, midGain } = this;
+    const preLen = this.pre[0].length;
+
+    for (let i = 0; i < n; i++) {
+      // Pre-delay
+      const wp = this.prePos;
+      this.pre[0][wp] = inL ? inL[i] : 0;
+      this.pre[1][wp] = inR ? inR[i] : 0;
+      const rp = (wp - this.preDelay + preLen) % preLen;
+      const xl = this.pre[0][rp];
+      const xr = this.pre[1][rp];
+      this.prePos = (wp + 1) % preLen;
+
+      // Read, split into bands with their own decay, damp
+      for (let k = 0; k < NUM_LINES; k++) {
+        const y = lines[k][pos[k]];
+        lowState[k] = y + this.lowCoef * (lowState[k] - y);
+        const low = lowState[k];
+        const shaped = low * lowGain[k] + (y - low) * midGain[k];
+        dampState[k] = shaped + this.dampCoef * (dampState[k] - shaped);
+        out[k] = dampState[k];
+      }
+
+      outL[i] = (out[0] + out[2] + out[4] + out[6]) * 0.35;
+      outR[i] = (out[1] + out[3] + out[5] + out[7]) * 0.35;
+
+      // In-place fast Hadamard transform, normalized to stay lossless
+      for (let h = 1; h < NUM_LINES; h *= 2) {
+        for (let a = 0; a < NUM_LINES; a += h * 2) {
+          for (let b = a; b < a + h; b++) {
+            const u = out[b];
+            const v = out[b + h];
+            out[b] = u + v;
+            out[b + h] = u - v;
+          }
+        }
+      }
+
+      for (let k = 0; k < NUM_LINES; k++) {
+        lines[k][pos[k]] = out[k] * 0.35355339 + (k & 1 ? xr : xl);
+        pos[k] = (pos[k] + 1) % lengths[k];
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("reverb-processor", ReverbProcessor);
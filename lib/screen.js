@@ -55,6 +55,12 @@ let _fontSize = 8;
 let _fontFace = 1;
 let _fontEntry = FONT_TABLE[1] || FONT_DEFAULT;
 
+// System overlay (menu.js) — drawn into its own offscreen buffer so the
+// script's buffer survives underneath. While shown, script update() calls
+// are held back.
+let _overlayCanvas = null;
+let _overlayShown = false;
+
 function _levelToColor(l) {
   const v = Math.round(Math.max(0, Math.min(15, l)) * 255 / 15);
   return `rgb(${v},${v},${v})`;
@@ -118,6 +124,9 @@ const screen = {
     _fontEntry = FONT_TABLE[1] || FONT_DEFAULT;
     _applyFont();
 
+    _overlayCanvas = null;
+    _overlayShown = false;
+
     screen.clear();
     screen.update();
   },
@@ -136,7 +145,47 @@ const screen = {
 
   // Copy offscreen buffer to visible canvas.
   update() {
-    visibleCtx.drawImage(offCanvas, 0, 0);
+    if (_overlayShown && ctx.canvas !== _overlayCanvas) return;
+    visibleCtx.drawImage(ctx.canvas, 0, 0);
+  },
+
+  // --- System overlay ---
+
+  // Run fn() with all drawing redirected to the overlay buffer, then show it.
+  // The script's drawing state (cursor, font) is restored afterwards.
+  draw_overlay(fn) {
+    if (!ctx) return;
+    if (!_overlayCanvas) {
+      _overlayCanvas        = document.createElement("canvas");
+      _overlayCanvas.width  = _backW;
+      _overlayCanvas.height = _backH;
+      const octx = _overlayCanvas.getContext("2d");
+      octx.scale(_backW / WIDTH, _backH / HEIGHT);
+      octx.textBaseline = "top";
+    }
+
+    const saved = { ctx, _curX, _curY, _fontSize, _fontFace, _fontEntry };
+    ctx = _overlayCanvas.getContext("2d");
+    ctx.save();
+    _overlayShown = true;
+    try {
+      fn();
+      screen.update();
+    } finally {
+      ctx.restore();
+      ({ ctx, _curX, _curY, _fontSize, _fontFace, _fontEntry } = saved);
+    }
+  },
+
+  // Hide the overlay and show the script's buffer again.
+  clear_overlay() {
+    if (!_overlayShown) return;
+    _overlayShown = false;
+    if (visibleCtx) visibleCtx.drawImage(offCanvas, 0, 0);
+  },
+
+  get overlay_shown() {
+    return _overlayShown;
   },
 
   // --- Drawing state ---
@@ -5,13 +5,36 @@
 //   cleanup()                — called before switching to another script
 //
 // Lua scripts (.lua) are loaded via lua-runtime.js and return the same shape.
+// Their files are mounted in vfs.js first so include()/require() can find
+// the rest of a multi-file script; a dropped .zip mounts the whole tree.
 
 import { runLuaScript } from "./lua-runtime.js";
+import audio from "./audio.js";
+import params from "./params.js";
+import metro from "./metro.js";
+import poll from "./poll.js";
 import mods from "./mods.js";
+import pset from "./pset.js";
+import menu from "./menu.js";
+import vfs from "./vfs.js";
 
 let _currentScript = null;
 let _blobUrls = []; // track blob URLs for cleanup
 
+// Mount a Lua script's files at dust/code/<dir>/ and run its main file
+async function _runLua(tree, canvas, audioCtx) {
+  await vfs.restore();
+  const dir = vfs.mount(tree.dir, tree.files);
+  const modSources = await mods.getSources();
+  return runLuaScript(tree.files[tree.main], canvas, audioCtx, { modSources, dir });
+}
+
+// Tree for a lone .lua file: "foo/awake.lua" → dust/code/awake/awake.lua
+function _singleFile(name, source) {
+  const main = name.split("/").pop();
+  return { dir: main.replace(/\.lua$/, ""), main, files: { [main]: source } };
+}
+
 const loader = {
   // Load the script manifest
   async loadManifest(url = "./scripts/index.json") {
@@ -23,13 +46,13 @@ const loader = {
   // Load and run a script from a URL path
   async run(scriptUrl, canvas, audioCtx) {
     await loader.stop();
+    pset.set_script(scriptUrl.split("?")[0]);
 
     if (scriptUrl.endsWith(".lua")) {
       const resp = await fetch(scriptUrl);
       if (!resp.ok) throw new Error(`Failed to load lua script: ${resp.status}`);
       const src = await resp.text();
-      const modSources = await mods.getSources();
-      _currentScript = await runLuaScript(src, canvas, audioCtx, { modSources });
+      _currentScript = await _runLua(_singleFile(scriptUrl.split("?")[0], src), canvas, audioCtx);
       return _currentScript;
     }
 
@@ -47,15 +70,22 @@ const loader = {
     return mod;
   },
 
-  // Load and run a script from a dropped/selected File
+  // Load and run a script from a dropped/selected File (.js, .lua or .zip)
   async runFile(file, canvas, audioCtx) {
     await loader.stop();
 
+    if (file.name.endsWith(".zip")) {
+      const tree = await vfs.unzip(file, file.name);
+      pset.set_script(tree.main);
+      _currentScript = await _runLua(tree, canvas, audioCtx);
+      return _currentScript;
+    }
+
+    pset.set_script(file.name);
     const text = await file.text();
 
     if (file.name.endsWith(".lua")) {
-      const modSources = await mods.getSources();
-      _currentScript = await runLuaScript(text, canvas, audioCtx, { modSources });
+      _currentScript = await _runLua(_singleFile(file.name, text), canvas, audioCtx);
       return _currentScript;
     }
 
@@ -80,14 +110,16 @@ const loader = {
     return mod;
   },
 
-  // Run a script from a source string (used for catalog-installed scripts)
-  async runSource(source, name, canvas, audioCtx) {
+  // Run a script from a source string (used for catalog-installed scripts).
+  // `tree` ({ dir, main, files } from vfs.load) supplies the script's other
+  // files; without it only the source itself is mounted.
+  async runSource(source, name, canvas, audioCtx, tree = null) {
     await loader.stop();
+    pset.set_script(name);
 
     // Treat as Lua if name ends in .lua or has no JS extension
     if (!name.endsWith(".js")) {
-      const modSources = await mods.getSources();
-      _currentScript = await runLuaScript(source, canvas, audioCtx, { modSources });
+      _currentScript = await _runLua(tree ?? _singleFile(name, source), canvas, audioCtx);
       return _currentScript;
     }
 
@@ -110,8 +142,14 @@ const loader = {
 
   // Stop the current script
   async stop() {
-    if (_currentScript && typeof _currentScript.cleanup === "function") {
-      await _currentScript.cleanup();
+    menu.close();
+    if (_currentScript) {
+      if (typeof _currentScript.cleanup === "function") await _currentScript.cleanup();
+      // Shared state the script may have left behind
+      audio.close_input();
+      params.clear();
+      metro.free_all();
+      poll.clear_all();
     }
     _currentScript = null;
 
@@ -1,12 +1,157 @@
 // Softcut AudioWorklet Processor
 // Runs in the audio rendering thread. Handles 6 voices reading/writing
 // from 2 shared buffers with variable-rate playback, recording, and looping.
+// Each voice records a mix of the stereo input (level_input_cut) and the
+// other voices' outputs (level_cut_cut, one block late, as on norns).
+// Input, output and per-voice amplitudes are followed every block and
+// reported on request (query_position, poll_start_vu).
+// Voice commands with a `when` (AudioContext seconds) wait in a queue and
+// are applied on that sample frame.
 
 const NUM_VOICES = 6;
 const NUM_BUFFERS = 2;
 const SAMPLE_RATE = 48000;
 const BUF_DURATION = 350; // seconds
 const BUF_FRAMES = SAMPLE_RATE * BUF_DURATION;
+const BLOCK = 128;
+const AMP_RELEASE = 0.3; // amplitude follower fall time to -60 dB (seconds)
+
+// State-variable filter (trapezoidal / zero-delay-feedback, as in softcut's
+// Svf). All four responses come out of one pass and are mixed with the dry
+// signal by per-output levels.
+class Svf {
+  constructor(fc, rq, mix) {
+    this.fc = fc;
+    this.rq = rq;
+    this.lp = mix.lp ?? 0;
+    this.hp = mix.hp ?? 0;
+    this.bp = mix.bp ?? 0;
+    this.br = mix.br ?? 0;
+    this.dry = mix.dry ?? 0;
+    this.ic1 = 0;
+    this.ic2 = 0;
+    this._fc = -1; // cutoff the coefficients were computed for
+    this._rq = -1;
+    this.setFc(fc);
+  }
+
+  // Recompute coefficients for cutoff `fc` (Hz) and the current rq
+  setFc(fc) {
+    fc = Math.max(10, Math.min(sampleRate * 0.45, fc));
+    if (fc === this._fc && this.rq === this._rq) return;
+    this._fc = fc;
+    this._rq = this.rq;
+    const g = Math.tan(Math.PI * fc / sampleRate);
+    const k = Math.max(0.0001, this.rq);
+    this.k = k;
+    this.a1 = 1 / (1 + g * (g + k));
+    this.a2 = g * this.a1;
+    this.a3 = g * this.a2;
+  }
+
+  process(x) {
+    const v3 = x - this.ic2;
+    const v1 = this.a1 * this.ic1 + this.a2 * v3;
+    const v2 = this.ic2 + this.a2 * this.ic1 + this.a3 * v3;
+    this.ic1 = 2 * v1 - this.ic1;
+    this.ic2 = 2 * v2 - this.ic2;
+    const hp = x - this.k * v1 - v2;
+    return this.dry * x + this.lp * v2 + this.hp * hp + this.bp * v1 + this.br * (v2 + hp);
+  }
+}
+
+// norns softcut defaults: the pre filter is a gentle lowpass that tracks the
+// rate (fc_mod 1), the post filter is bypassed (dry 1)
+const newPreFilter = () => new Svf(16000, 4, { lp: 1 });
+const newPostFilter = () => new Svf(12000, 4, { dry: 1 });
+
+// Sub-head states (see _cutTo)
+const HEAD_STOPPED = 0;
+const HEAD_PLAYING = 1;
+const HEAD_FADE_IN = 2;
+const HEAD_FADE_OUT = 3;
+
+// The fade_time curve, shared by reads, writes and rec toggles:
+// equal-power, so a crossfade between two heads keeps its loudness
+function fadeCurve(x) {
+  return Math.sin(x * Math.PI * 0.5);
+}
+
+// Linearly interpolated read; silence outside the buffer
+function readBuffer(buf, phase) {
+  const idx0 = Math.floor(phase);
+  const frac = phase - idx0;
+  if (idx0 < 0 || idx0 >= BUF_FRAMES) return 0;
+  if (idx0 + 1 >= BUF_FRAMES) return buf[idx0];
+  return buf[idx0] * (1 - frac) + buf[idx0 + 1] * frac;
+}
+
+// One-pole lag coefficient reaching -60 dB in `time` seconds (softcut's slews)
+function lagCoef(time) {
+  return time > 0 ? Math.exp(-6.907755 / (time * sampleRate)) : 0;
+}
+
+// Move `cur` toward `target` by one sample of a lag with coefficient c
+function lag(cur, target, c) {
+  const next = target + c * (cur - target);
+  return Math.abs(next - target) < 1e-6 ? target : next;
+}
+
+// Largest magnitude in the first n samples (0 for a missing channel)
+function peak(buf, n) {
+  let p = 0;
+  if (!buf) return p;
+  for (let i = 0; i < n; i++) {
+    const a = Math.abs(buf[i]);
+    if (a > p) p = a;
+  }
+  return p;
+}
+
+// Voice state with norns defaults
+function newVoice(i) {
+  return {
+    enabled: 0,
+    playing: 0,
+    buffer: (i < 3) ? 0 : 1, // voices 1-3 → buf 1, 4-6 → buf 2 (norns default)
+    rate: 1.0,
+    rate_target: 1.0,
+    rate_slew_time: 0.0,
+    level: 1.0,
+    pan: 0.0, // -1 left, 0 center, 1 right
+    pan_target: 0.0,
+    pan_slew_time: 0.0,
+    position: 0.0, // in seconds
+    phase: 0.0, // active sub-head position in samples (fractional)
+    // Two sub-heads crossfade at loop points and position changes
+    heads: [
+      { phase: 0.0, fade: 1.0, state: HEAD_PLAYING },
+      { phase: 0.0, fade: 0.0, state: HEAD_STOPPED },
+    ],
+    active: 0,
+    loop: 0,
+    loop_start: 0.0, // seconds
+    loop_end: BUF_DURATION, // seconds
+    fade_time: 0.01, // sub-head crossfade and rec fade time (seconds)
+    level_slew_time: 0.0,
+    level_target: 1.0,
+    rec: 0,
+    rec_fade: 0.0, // 0..1, follows rec at the fade_time rate
+    rec_level: 1.0,
+    rec_level_target: 1.0,
+    pre_level: 0.0,
+    pre_level_target: 0.0,
+    recpre_slew_time: 0.0,
+    rec_offset: -8, // write head sits this many samples from the read head
+    // Phase reporting
+    phase_quant: 0.0, // quantum in seconds (0 = off)
+    phase_accum: 0.0, // accumulator for phase reporting
+    // Filters: pre on the record input, post on the voice output
+    pre_filter: newPreFilter(),
+    pre_filter_fc_mod: 1.0, // how far the pre cutoff follows |rate| down
+    post_filter: newPostFilter(),
+  };
+}
 
 class SoftcutProcessor extends AudioWorkletProcessor {
   constructor() {
@@ -20,34 +165,42 @@ class SoftcutProcessor extends AudioWorkletProcessor {
 
     // Voice state
     this.voices = [];
-    for (let i = 0; i < NUM_VOICES; i++) {
-      this.voices.push({
-        enabled: 0,
-        playing: 0,
-        buffer: (i < 3) ? 0 : 1, // voices 1-3 → buf 1, 4-6 → buf 2 (norns default)
-        rate: 1.0,
-        level: 1.0,
-        pan: 0.0, // -1 left, 0 center, 1 right
-        position: 0.0, // in seconds
-        phase: 0.0, // current read/write head in samples (fractional)
-        loop: 0,
-        loop_start: 0.0, // seconds
-        loop_end: BUF_DURATION, // seconds
-        fade_time: 0.01, // crossfade at loop boundaries (seconds)
-        level_slew_time: 0.0,
-        level_target: 1.0,
-        rec: 0,
-        rec_level: 1.0,
-        pre_level: 0.0,
-        // Phase reporting
-        phase_quant: 0.0, // quantum in seconds (0 = off)
-        phase_accum: 0.0, // accumulator for phase reporting
-      });
-    }
+    for (let i = 0; i < NUM_VOICES; i++) this.voices.push(newVoice(i));
+
+    // Record-input routing: [input channel][voice] and [source voice][dest voice]
+    this.levelInputCut = [new Float32Array(NUM_VOICES).fill(1), new Float32Array(NUM_VOICES)];
+    this.levelCutCut = Array.from({ length: NUM_VOICES }, () => new Float32Array(NUM_VOICES));
+
+    // Per-voice record input for this block, and each voice's output
+    // (post level, pre pan) kept for the next block's cut→cut feeds
+    this.recIn = Array.from({ length: NUM_VOICES }, () => new Float32Array(BLOCK));
+    this.cutOut = Array.from({ length: NUM_VOICES }, () => new Float32Array(BLOCK));
 
     this.phasePolling = false;
 
-    this.port.onmessage = (e) => this._handleMessage(e.data);
+    // Peak followers: stereo input, stereo output and each voice's output
+    this.ampIn = new Float32Array(2);
+    this.ampOut = new Float32Array(2);
+    this.ampVoice = new Float32Array(NUM_VOICES);
+    this.vuInterval = 0; // report period in seconds (0 = off)
+    this.vuAccum = 0;
+
+    // Timestamped commands, sorted by frame
+    this.scheduled = [];
+
+    this.port.onmessage = (e) => this._receive(e.data);
+  }
+
+  _receive(msg) {
+    const frame = msg.when != null ? Math.round(msg.when * sampleRate) : 0;
+    if (frame <= currentFrame) {
+      this._handleMessage(msg);
+      return;
+    }
+    msg.frame = frame;
+    let i = this.scheduled.length;
+    while (i > 0 && this.scheduled[i - 1].frame > frame) i--;
+    this.scheduled.splice(i, 0, msg);
   }
 
   _handleMessage(msg) {
@@ -62,7 +215,13 @@ class SoftcutProcessor extends AudioWorkletProcessor {
         this.voices[msg.voice].buffer = msg.value;
         break;
       case "rate":
-        this.voices[msg.voice].rate = msg.value;
+        this.voices[msg.voice].rate_target = msg.value;
+        if (this.voices[msg.voice].rate_slew_time <= 0) {
+          this.voices[msg.voice].rate = msg.value;
+        }
+        break;
+      case "rate_slew_time":
+        this.voices[msg.voice].rate_slew_time = msg.value;
         break;
       case "level":
         this.voices[msg.voice].level_target = msg.value;
@@ -71,10 +230,16 @@ class SoftcutProcessor extends AudioWorkletProcessor {
         }
         break;
       case "pan":
-        this.voices[msg.voice].pan = msg.value;
+        this.voices[msg.voice].pan_target = msg.value;
+        if (this.voices[msg.voice].pan_slew_time <= 0) {
+          this.voices[msg.voice].pan = msg.value;
+        }
+        break;
+      case "pan_slew_time":
+        this.voices[msg.voice].pan_slew_time = msg.value;
         break;
       case "position":
-        this.voices[msg.voice].phase = msg.value * sampleRate;
+        this._cutTo(this.voices[msg.voice], msg.value * sampleRate);
         break;
       case "loop":
         this.voices[msg.voice].loop = msg.value;
@@ -95,20 +260,80 @@ class SoftcutProcessor extends AudioWorkletProcessor {
         this.voices[msg.voice].rec = msg.value;
         break;
       case "rec_level":
-        this.voices[msg.voice].rec_level = msg.value;
+        this.voices[msg.voice].rec_level_target = msg.value;
+        if (this.voices[msg.voice].recpre_slew_time <= 0) {
+          this.voices[msg.voice].rec_level = msg.value;
+        }
         break;
       case "pre_level":
-        this.voices[msg.voice].pre_level = msg.value;
+        this.voices[msg.voice].pre_level_target = msg.value;
+        if (this.voices[msg.voice].recpre_slew_time <= 0) {
+          this.voices[msg.voice].pre_level = msg.value;
+        }
+        break;
+      case "recpre_slew_time":
+        this.voices[msg.voice].recpre_slew_time = msg.value;
+        break;
+      case "rec_offset":
+        this.voices[msg.voice].rec_offset = msg.value;
         break;
       case "phase_quant":
         this.voices[msg.voice].phase_quant = msg.value;
         break;
+      case "level_input_cut":
+        this.levelInputCut[msg.ch][msg.voice] = msg.value;
+        break;
+      case "level_cut_cut":
+        this.levelCutCut[msg.src][msg.voice] = msg.value;
+        break;
+      case "voice_sync": {
+        // Jump to the source voice's position plus an offset (seconds)
+        const src = this.voices[msg.src];
+        this._cutTo(this.voices[msg.voice], src.phase + msg.value * sampleRate);
+        break;
+      }
+      case "pre_filter_fc_mod":
+        this.voices[msg.voice].pre_filter_fc_mod = msg.value;
+        break;
+      case "pre_filter_fc":
+      case "pre_filter_rq":
+      case "pre_filter_lp":
+      case "pre_filter_hp":
+      case "pre_filter_bp":
+      case "pre_filter_br":
+      case "pre_filter_dry":
+        this.voices[msg.voice].pre_filter[msg.cmd.slice(11)] = msg.value;
+        break;
+      case "post_filter_fc":
+      case "post_filter_rq":
+      case "post_filter_lp":
+      case "post_filter_hp":
+      case "post_filter_bp":
+      case "post_filter_br":
+      case "post_filter_dry":
+        this.voices[msg.voice].post_filter[msg.cmd.slice(12)] = msg.value;
+        break;
       case "poll_start_phase":
         this.phasePolling = true;
         break;
       case "poll_stop_phase":
         this.phasePolling = false;
         break;
+      case "query_position":
+        this.port.postMessage({
+          type: "position",
+          voice: msg.voice,
+          pos: this.voices[msg.voice].phase / sampleRate,
+          tag: msg.tag,
+        });
+        break;
+      case "poll_start_vu":
+        this.vuInterval = Math.max(0, msg.value);
+        this.vuAccum = 0;
+        break;
+      case "poll_stop_vu":
+        this.vuInterval = 0;
+        break;
       case "buffer_clear":
         this.buffers[0].fill(0);
         this.buffers[1].fill(0);
@@ -136,6 +361,39 @@ class SoftcutProcessor extends AudioWorkletProcessor {
         }
         break;
       }
+      case "buffer_copy": {
+        // Region copy with an optional fade at both ends. Overlapping
+        // regions in one buffer are walked in the direction that reads each
+        // source frame before it's overwritten; only a reversed overlapping
+        // copy needs a snapshot of the source.
+        const srcStart = Math.max(0, Math.floor(msg.start_src * sampleRate));
+        const dstStart = Math.max(0, Math.floor(msg.start_dst * sampleRate));
+        let frames = msg.dur < 0 ? BUF_FRAMES : Math.floor(msg.dur * sampleRate);
+        frames = Math.min(frames, BUF_FRAMES - srcStart, BUF_FRAMES - dstStart);
+        if (frames <= 0) break;
+        const dst = this.buffers[msg.dst];
+        const overlap = msg.src === msg.dst &&
+          srcStart < dstStart + frames && dstStart < srcStart + frames;
+        let src = this.buffers[msg.src];
+        let from = srcStart;
+        if (overlap && msg.reverse) {
+          src = src.slice(srcStart, srcStart + frames);
+          from = 0;
+        }
+        const backwards = overlap && !msg.reverse && dstStart > srcStart;
+        const fadeFrames = Math.min(Math.floor(msg.fade_time * sampleRate), frames >> 1);
+        for (let n = 0; n < frames; n++) {
+          const i = backwards ? frames - 1 - n : n;
+          const x = src[from + (msg.reverse ? frames - 1 - i : i)];
+          const edge = Math.min(i, frames - 1 - i);
+          const g = edge < fadeFrames ? fadeCurve(edge / fadeFrames) : 1;
+          // Outside the fades the copy replaces dst scaled by preserve;
+          // inside them it crossfades with the untouched material
+          const j = dstStart + i;
+          dst[j] = dst[j] * (1 - g * (1 - msg.preserve)) + x * g;
+        }
+        break;
+      }
       case "buffer_read": {
         // Read buffer data back to main thread
         const readStart = Math.floor(msg.start * sampleRate);
@@ -144,31 +402,43 @@ class SoftcutProcessor extends AudioWorkletProcessor {
         this.port.postMessage({ type: "buffer_data", ch: msg.ch, data }, [data.buffer]);
         break;
       }
+      case "render": {
+        // Peak summary for waveform display: `samples` windows over the
+        // region, each reduced to its largest-magnitude (signed) value
+        const buf = this.buffers[msg.ch];
+        const start = Math.max(0, Math.floor(msg.start * sampleRate));
+        const frames = Math.min(
+          msg.dur < 0 ? BUF_FRAMES : Math.floor(msg.dur * sampleRate),
+          BUF_FRAMES - start
+        );
+        const n = Math.max(1, Math.floor(msg.samples));
+        const data = new Float32Array(n);
+        const step = Math.max(0, frames) / n;
+        for (let i = 0; i < n; i++) {
+          const from = start + Math.floor(i * step);
+          const to = Math.max(from + 1, start + Math.floor((i + 1) * step));
+          let peak = 0;
+          for (let j = from; j < to && j < BUF_FRAMES; j++) {
+            if (Math.abs(buf[j]) > Math.abs(peak)) peak = buf[j];
+          }
+          data[i] = peak;
+        }
+        this.port.postMessage({
+          type: "render", ch: msg.ch, start: start / sampleRate,
+          sec_per_sample: step / sampleRate, data,
+        }, [data.buffer]);
+        break;
+      }
       case "reset":
+        this.scheduled.length = 0;
         this.buffers[0].fill(0);
         this.buffers[1].fill(0);
-        for (let i = 0; i < NUM_VOICES; i++) {
-          const v = this.voices[i];
-          v.enabled = 0;
-          v.playing = 0;
-          v.buffer = (i < 3) ? 0 : 1;
-          v.rate = 1.0;
-          v.level = 1.0;
-          v.level_target = 1.0;
-          v.pan = 0.0;
-          v.position = 0.0;
-          v.phase = 0.0;
-          v.loop = 0;
-          v.loop_start = 0.0;
-          v.loop_end = BUF_DURATION;
-          v.fade_time = 0.01;
-          v.level_slew_time = 0.0;
-          v.rec = 0;
-          v.rec_level = 1.0;
-          v.pre_level = 0.0;
-          v.phase_quant = 0.0;
-          v.phase_accum = 0.0;
-        }
+        for (let i = 0; i < NUM_VOICES; i++) this.voices[i] = newVoice(i);
+        this.levelInputCut[0].fill(1);
+        this.levelInputCut[1].fill(0);
+        for (const row of this.levelCutCut) row.fill(0);
+        this.phasePolling = false;
+        this.vuInterval = 0;
         break;
     }
   }
@@ -179,120 +449,256 @@ class SoftcutProcessor extends AudioWorkletProcessor {
     const outR = output[1];
     const blockSize = outL.length;
 
-    // Get mono input (for recording)
+    // Stereo input; a mono source feeds both channels
     const input = inputs[0];
-    const inMono = input && input[0] ? input[0] : null;
+    const inL = input && input[0] ? input[0] : null;
+    const inR = input && input[1] ? input[1] : inL;
 
     for (let i = 0; i < blockSize; i++) {
       outL[i] = 0;
       outR[i] = 0;
     }
 
+    this._mixRecordInputs(inL, inR, blockSize);
+
+    // Scheduled commands falling inside this block
+    let due = 0;
+    while (due < this.scheduled.length && this.scheduled[due].frame < currentFrame + blockSize) due++;
+    const events = due > 0 ? this.scheduled.splice(0, due) : null;
+
     for (let v = 0; v < NUM_VOICES; v++) {
-      const voice = this.voices[v];
-      if (!voice.enabled) continue;
+      // Render up to each of this voice's events, apply it, carry on
+      let from = 0;
+      if (events) {
+        for (const msg of events) {
+          if (msg.voice !== v) continue;
+          const at = Math.max(0, msg.frame - currentFrame);
+          this._renderVoice(v, from, at, outL, outR);
+          this._handleMessage(msg);
+          from = at;
+        }
+      }
+      this._renderVoice(v, from, blockSize, outL, outR);
+    }
+
+    this._followAmplitudes(inL, inR, outL, outR, blockSize);
+
+    return true;
+  }
+
+  // Update the peak followers from this block, and report them every
+  // vuInterval seconds while VU polling is on
+  _followAmplitudes(inL, inR, outL, outR, blockSize) {
+    const fall = Math.exp(-6.907755 * blockSize / (AMP_RELEASE * sampleRate));
+    const follow = (env, i, p) => { env[i] = Math.max(p, env[i] * fall); };
+    follow(this.ampIn, 0, peak(inL, blockSize));
+    follow(this.ampIn, 1, peak(inR, blockSize));
+    follow(this.ampOut, 0, peak(outL, blockSize));
+    follow(this.ampOut, 1, peak(outR, blockSize));
+    for (let v = 0; v < NUM_VOICES; v++) {
+      follow(this.ampVoice, v, peak(this.cutOut[v], blockSize));
+    }
+
+    if (this.vuInterval <= 0) return;
+    this.vuAccum += blockSize;
+    if (this.vuAccum < this.vuInterval * sampleRate) return;
+    this.vuAccum = 0;
+    this.port.postMessage({
+      type: "vu",
+      in: Array.from(this.ampIn),
+      out: Array.from(this.ampOut),
+      voices: Array.from(this.ampVoice),
+    });
+  }
+
+  // Build each voice's record input from the routing levels, then clear
+  // the cut outputs for this block
+  _mixRecordInputs(inL, inR, blockSize) {
+    for (let dst = 0; dst < NUM_VOICES; dst++) {
+      const rec = this.recIn[dst];
+      rec.fill(0);
+      const gl = this.levelInputCut[0][dst];
+      const gr = this.levelInputCut[1][dst];
+      if (inL && gl !== 0) for (let i = 0; i < blockSize; i++) rec[i] += gl * inL[i];
+      if (inR && gr !== 0) for (let i = 0; i < blockSize; i++) rec[i] += gr * inR[i];
+      for (let src = 0; src < NUM_VOICES; src++) {
+        const g = this.levelCutCut[src][dst];
+        if (g === 0) continue;
+        const out = this.cutOut[src];
+        for (let i = 0; i < blockSize; i++) rec[i] += g * out[i];
+      }
+    }
+    for (const out of this.cutOut) out.fill(0);
+  }
+
+  // Crossfade voice to buffer position `pos` (samples): the active sub-head
+  // fades out where it is while the other one fades in at pos. Without a
+  // fade time, or while stopped, it just jumps.
+  _cutTo(voice, pos) {
+    const old = voice.heads[voice.active];
+    const next = voice.heads[1 - voice.active];
+    if (voice.fade_time > 0 && voice.playing) {
+      if (old.state !== HEAD_STOPPED) old.state = HEAD_FADE_OUT;
+      next.fade = 0;
+      next.state = HEAD_FADE_IN;
+    } else {
+      old.state = HEAD_STOPPED;
+      old.fade = 0;
+      next.fade = 1;
+      next.state = HEAD_PLAYING;
+    }
+    next.phase = pos;
+    voice.active = 1 - voice.active;
+    voice.phase = pos;
+  }
+
+  // Render frames [from, to) of one voice into the output block
+  _renderVoice(v, from, to, outL, outR) {
+    const voice = this.voices[v];
+    if (!voice.enabled || from >= to) return;
+
+    const recIn = this.recIn[v];
+    const cutOut = this.cutOut[v];
 
-      const buf = this.buffers[voice.buffer];
-      const loopStartSamp = voice.loop_start * sampleRate;
-      const loopEndSamp = voice.loop_end * sampleRate;
-      const loopLen = loopEndSamp - loopStartSamp;
-      const fadeSamples = voice.fade_time * sampleRate;
+    const buf = this.buffers[voice.buffer];
+    const loopStartSamp = voice.loop_start * sampleRate;
+    const loopEndSamp = voice.loop_end * sampleRate;
+    const loopLen = loopEndSamp - loopStartSamp;
 
+    // Sub-head and record fades all move at the fade_time rate
+    const fadeInc = voice.fade_time > 0 ? 1 / (voice.fade_time * sampleRate) : 1;
+
+    // Level slew
+    const slewRate = voice.level_slew_time > 0
+      ? 1.0 / (voice.level_slew_time * sampleRate)
+      : 1.0;
+
+    // Rate, pan and rec/pre slews
+    const rateCoef = lagCoef(voice.rate_slew_time);
+    const panCoef = lagCoef(voice.pan_slew_time);
+    const recpreCoef = lagCoef(voice.recpre_slew_time);
+    const recOffset = voice.rec_offset;
+
+    // Pan gains (equal-power), recomputed while the pan slews
+    let panNorm = (voice.pan + 1) * 0.5; // 0..1
+    let gainL = Math.cos(panNorm * Math.PI * 0.5);
+    let gainR = Math.sin(panNorm * Math.PI * 0.5);
+
+    // Filter cutoffs; the pre filter drops with the rate (fc_mod) so
+    // slowed-down recording doesn't alias
+    const pre = voice.pre_filter;
+    const post = voice.post_filter;
+    const fcRate = Math.min(pre.fc, pre.fc * Math.abs(voice.rate));
+    pre.setFc(pre.fc + voice.pre_filter_fc_mod * (fcRate - pre.fc));
+    post.setFc(post.fc);
+
+    for (let i = from; i < to; i++) {
       // Level slew
-      const slewRate = voice.level_slew_time > 0
-        ? 1.0 / (voice.level_slew_time * sampleRate)
-        : 1.0;
-
-      // Pan gains (equal-power)
-      const panNorm = (voice.pan + 1) * 0.5; // 0..1
-      const gainL = Math.cos(panNorm * Math.PI * 0.5);
-      const gainR = Math.sin(panNorm * Math.PI * 0.5);
-
-      for (let i = 0; i < blockSize; i++) {
-        // Level slew
-        if (voice.level !== voice.level_target) {
-          const diff = voice.level_target - voice.level;
-          if (Math.abs(diff) < slewRate) {
-            voice.level = voice.level_target;
-          } else {
-            voice.level += Math.sign(diff) * slewRate;
-          }
+      if (voice.level !== voice.level_target) {
+        const diff = voice.level_target - voice.level;
+        if (Math.abs(diff) < slewRate) {
+          voice.level = voice.level_target;
+        } else {
+          voice.level += Math.sign(diff) * slewRate;
         }
+      }
 
-        if (!voice.playing) continue;
+      if (voice.pan !== voice.pan_target) {
+        voice.pan = lag(voice.pan, voice.pan_target, panCoef);
+        panNorm = (voice.pan + 1) * 0.5;
+        gainL = Math.cos(panNorm * Math.PI * 0.5);
+        gainR = Math.sin(panNorm * Math.PI * 0.5);
+      }
+      if (voice.rate !== voice.rate_target) {
+        voice.rate = lag(voice.rate, voice.rate_target, rateCoef);
+      }
+      if (voice.rec_level !== voice.rec_level_target) {
+        voice.rec_level = lag(voice.rec_level, voice.rec_level_target, recpreCoef);
+      }
+      if (voice.pre_level !== voice.pre_level_target) {
+        voice.pre_level = lag(voice.pre_level, voice.pre_level_target, recpreCoef);
+      }
 
-        // Read with linear interpolation
-        const phase = voice.phase;
-        const idx0 = Math.floor(phase);
-        const frac = phase - idx0;
-        const idx1 = idx0 + 1;
+      if (!voice.playing) continue;
 
-        let sample = 0;
-        if (idx0 >= 0 && idx1 < BUF_FRAMES) {
-          sample = buf[idx0] * (1 - frac) + buf[idx1] * frac;
-        } else if (idx0 >= 0 && idx0 < BUF_FRAMES) {
-          sample = buf[idx0];
-        }
+      // Record fade: toggling rec ramps recording in and out
+      if (voice.rec_fade !== voice.rec) {
+        voice.rec_fade = voice.rec
+          ? Math.min(1, voice.rec_fade + fadeInc)
+          : Math.max(0, voice.rec_fade - fadeInc);
+      }
+      const recording = voice.rec_fade > 0;
+      const input = recording ? pre.process(recIn[i]) * voice.rec_level : 0;
+      const recGain = fadeCurve(voice.rec_fade);
+
+      // Both sub-heads read, write and move; each is weighted by its fade
+      let sample = 0;
+      for (const head of voice.heads) {
+        if (head.state === HEAD_STOPPED) continue;
+        const g = fadeCurve(head.fade);
+        sample += readBuffer(buf, head.phase) * g;
 
-        // Crossfade at loop boundaries
-        let fadeGain = 1.0;
-        if (voice.loop && fadeSamples > 0 && loopLen > 0) {
-          const distFromStart = phase - loopStartSamp;
-          const distFromEnd = loopEndSamp - phase;
-          if (distFromStart >= 0 && distFromStart < fadeSamples) {
-            fadeGain = distFromStart / fadeSamples;
-          } else if (distFromEnd >= 0 && distFromEnd < fadeSamples) {
-            fadeGain = distFromEnd / fadeSamples;
+        // A fading head writes proportionally less and keeps proportionally
+        // more of what's there: buf = buf·lerp(1, pre, w) + in·w
+        if (recording) {
+          const p = head.phase;
+          let idx = Math.floor(p + recOffset);
+          if (voice.loop && loopLen > 0 && p >= loopStartSamp && p < loopEndSamp) {
+            if (idx < loopStartSamp) idx += Math.floor(loopLen);
+            else if (idx >= loopEndSamp) idx -= Math.floor(loopLen);
+          }
+          if (idx >= 0 && idx < BUF_FRAMES) {
+            const w = g * recGain;
+            buf[idx] = buf[idx] * (1 - w * (1 - voice.pre_level)) + input * w;
           }
         }
 
-        const out = sample * voice.level * fadeGain;
-        outL[i] += out * gainL;
-        outR[i] += out * gainR;
-
-        // Recording
-        if (voice.rec) {
-          const recIdx = Math.floor(phase);
-          if (recIdx >= 0 && recIdx < BUF_FRAMES) {
-            const inputSample = inMono ? inMono[i] : 0;
-            buf[recIdx] = voice.rec_level * inputSample + voice.pre_level * buf[recIdx];
-          }
+        head.phase += voice.rate;
+        if (head.state === HEAD_FADE_IN) {
+          head.fade += fadeInc;
+          if (head.fade >= 1) { head.fade = 1; head.state = HEAD_PLAYING; }
+        } else if (head.state === HEAD_FADE_OUT) {
+          head.fade -= fadeInc;
+          if (head.fade <= 0) { head.fade = 0; head.state = HEAD_STOPPED; }
         }
+      }
 
-        // Advance phase
-        voice.phase += voice.rate;
+      const out = post.process(sample) * voice.level;
+      cutOut[i] = out;
+      outL[i] += out * gainL;
+      outR[i] += out * gainR;
 
-        // Loop / boundary handling
-        if (voice.loop && loopLen > 0) {
-          if (voice.rate > 0 && voice.phase >= loopEndSamp) {
-            voice.phase = loopStartSamp + (voice.phase - loopEndSamp);
-          } else if (voice.rate < 0 && voice.phase < loopStartSamp) {
-            voice.phase = loopEndSamp - (loopStartSamp - voice.phase);
-          }
-        } else {
-          // Non-looping: stop at boundaries
-          if (voice.phase >= BUF_FRAMES || voice.phase < 0) {
-            voice.playing = 0;
+      // Loop points: the active head crosses one and crossfades to the other
+      // end; without looping it fades out there (one-shot playback)
+      const head = voice.heads[voice.active];
+      if (head.state === HEAD_PLAYING || head.state === HEAD_FADE_IN) {
+        const p = head.phase;
+        const pastEnd = voice.rate > 0 && p >= loopEndSamp;
+        const pastStart = voice.rate < 0 && p < loopStartSamp;
+        if (pastEnd || pastStart) {
+          if (voice.loop && loopLen > 0) {
+            this._cutTo(voice, pastEnd ? loopStartSamp + (p - loopEndSamp) : loopEndSamp - (loopStartSamp - p));
+          } else {
+            head.state = HEAD_FADE_OUT;
           }
         }
+      }
+      voice.phase = voice.heads[voice.active].phase;
 
-        // Phase reporting accumulator
-        if (this.phasePolling && voice.phase_quant > 0) {
-          voice.phase_accum += Math.abs(voice.rate);
-          const quantSamples = voice.phase_quant * sampleRate;
-          if (voice.phase_accum >= quantSamples) {
-            voice.phase_accum -= quantSamples;
-            this.port.postMessage({
-              type: "phase",
-              voice: v,
-              phase: voice.phase / sampleRate,
-            });
-          }
+      // Phase reporting accumulator
+      if (this.phasePolling && voice.phase_quant > 0) {
+        voice.phase_accum += Math.abs(voice.rate);
+        const quantSamples = voice.phase_quant * sampleRate;
+        if (voice.phase_accum >= quantSamples) {
+          voice.phase_accum -= quantSamples;
+          this.port.postMessage({
+            type: "phase",
+            voice: v,
+            phase: voice.phase / sampleRate,
+          });
         }
       }
     }
-
-    return true;
   }
 }
 
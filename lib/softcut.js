@@ -1,6 +1,10 @@
 // norns-web Softcut module
 // Main-thread API that manages AudioContext and communicates with the
 // SoftcutProcessor AudioWorklet.
+// Voice commands issued from a clock coroutine carry the event's audio time
+// (`when`) and take effect on that exact sample in the worklet.
+
+import clock from "./clock.js";
 
 const NUM_VOICES = 6;
 
@@ -11,6 +15,19 @@ let ready = false;
 // Phase event callback: fn(voice, phase)
 let _phaseCallback = null;
 
+// Position query callback: fn(voice, pos)
+let _positionCallback = null;
+
+// get_position() requests waiting for their reply, by tag
+const _positionRequests = new Map();
+let _positionTag = 0;
+
+// Amplitude report callback: fn(in_l, in_r, out_l, out_r, voices)
+let _vuCallback = null;
+
+// Render event callback: fn(ch, start, sec_per_sample, samples)
+let _renderCallback = null;
+
 // Pending buffer read resolve
 let _bufferReadResolve = null;
 
@@ -24,8 +41,12 @@ function _send(msg, transfer) {
   }
 }
 
-function _sendVoice(cmd, voice, value) {
-  _send({ cmd, voice: voice - 1, value });
+// `extra` carries any further (0-based) indices, e.g. { src } or { ch }
+function _sendVoice(cmd, voice, value, extra = null) {
+  const msg = { cmd, voice: voice - 1, value, ...extra };
+  const when = clock.event_time();
+  if (when !== null) msg.when = when;
+  _send(msg);
 }
 
 const softcut = {
@@ -56,6 +77,15 @@ const softcut = {
       const msg = e.data;
       if (msg.type === "phase" && _phaseCallback) {
         _phaseCallback(msg.voice + 1, msg.phase);
+      } else if (msg.type === "position" && msg.tag != null) {
+        _positionRequests.get(msg.tag)?.(msg.pos);
+        _positionRequests.delete(msg.tag);
+      } else if (msg.type === "position" && _positionCallback) {
+        _positionCallback(msg.voice + 1, msg.pos);
+      } else if (msg.type === "vu" && _vuCallback) {
+        _vuCallback(msg.in[0], msg.in[1], msg.out[0], msg.out[1], msg.voices);
+      } else if (msg.type === "render" && _renderCallback) {
+        _renderCallback(msg.ch + 1, msg.start, msg.sec_per_sample, msg.data);
       } else if (msg.type === "buffer_data" && _bufferReadResolve) {
         _bufferReadResolve(msg);
         _bufferReadResolve = null;
@@ -124,6 +154,19 @@ const softcut = {
     _sendVoice("level_slew_time", voice, time);
   },
 
+  // Rate, pan and rec/pre level changes glide over `time` seconds
+  rate_slew_time(voice, time) {
+    _sendVoice("rate_slew_time", voice, time);
+  },
+
+  pan_slew_time(voice, time) {
+    _sendVoice("pan_slew_time", voice, time);
+  },
+
+  recpre_slew_time(voice, time) {
+    _sendVoice("recpre_slew_time", voice, time);
+  },
+
   // --- Recording ---
 
   rec(voice, state) {
@@ -138,6 +181,93 @@ const softcut = {
     _sendVoice("pre_level", voice, amp);
   },
 
+  // Offset of the write head from the read head, in samples (default -8)
+  rec_offset(voice, samples) {
+    _sendVoice("rec_offset", voice, samples);
+  },
+
+  // --- Filters ---
+  // Each voice has a state-variable filter on its record input (pre) and one
+  // on its output (post). fc in Hz, rq = 1/Q, the rest are mix levels;
+  // pre_filter_fc_mod (0–1) lets the pre cutoff follow the rate down.
+
+  pre_filter_fc(voice, value) {
+    _sendVoice("pre_filter_fc", voice, value);
+  },
+
+  pre_filter_fc_mod(voice, value) {
+    _sendVoice("pre_filter_fc_mod", voice, value);
+  },
+
+  pre_filter_rq(voice, value) {
+    _sendVoice("pre_filter_rq", voice, value);
+  },
+
+  pre_filter_lp(voice, value) {
+    _sendVoice("pre_filter_lp", voice, value);
+  },
+
+  pre_filter_hp(voice, value) {
+    _sendVoice("pre_filter_hp", voice, value);
+  },
+
+  pre_filter_bp(voice, value) {
+    _sendVoice("pre_filter_bp", voice, value);
+  },
+
+  pre_filter_br(voice, value) {
+    _sendVoice("pre_filter_br", voice, value);
+  },
+
+  pre_filter_dry(voice, value) {
+    _sendVoice("pre_filter_dry", voice, value);
+  },
+
+  post_filter_fc(voice, value) {
+    _sendVoice("post_filter_fc", voice, value);
+  },
+
+  post_filter_rq(voice, value) {
+    _sendVoice("post_filter_rq", voice, value);
+  },
+
+  post_filter_lp(voice, value) {
+    _sendVoice("post_filter_lp", voice, value);
+  },
+
+  post_filter_hp(voice, value) {
+    _sendVoice("post_filter_hp", voice, value);
+  },
+
+  post_filter_bp(voice, value) {
+    _sendVoice("post_filter_bp", voice, value);
+  },
+
+  post_filter_br(voice, value) {
+    _sendVoice("post_filter_br", voice, value);
+  },
+
+  post_filter_dry(voice, value) {
+    _sendVoice("post_filter_dry", voice, value);
+  },
+
+  // --- Routing ---
+
+  // Input channel ch (1 = left, 2 = right) → voice record level
+  level_input_cut(ch, voice, amp) {
+    _sendVoice("level_input_cut", voice, amp, { ch: ch - 1 });
+  },
+
+  // Voice src output → voice dst record level (feedback and delay networks)
+  level_cut_cut(src, dst, amp) {
+    _sendVoice("level_cut_cut", dst, amp, { src: src - 1 });
+  },
+
+  // Move voice dst to voice src's position plus offset seconds
+  voice_sync(dst, src, offset = 0) {
+    _sendVoice("voice_sync", dst, offset, { src: src - 1 });
+  },
+
   // --- Buffer operations ---
 
   buffer_clear() {
@@ -156,67 +286,66 @@ const softcut = {
   // file: URL string or File/Blob
   // ch_src: source channel (1-based), ch_dst: destination buffer (1-based)
   async buffer_read_mono(file, start_src = 0, start_dst = 0, dur = -1, ch_src = 1, ch_dst = 1) {
-    if (!audioCtx) throw new Error("softcut not initialized");
-
-    let arrayBuf;
-    if (typeof file === "string") {
-      const resp = await fetch(file);
-      arrayBuf = await resp.arrayBuffer();
-    } else if (file instanceof Blob) {
-      arrayBuf = await file.arrayBuffer();
-    } else {
-      arrayBuf = file; // assume ArrayBuffer
-    }
-
-    const audioBuf = await audioCtx.decodeAudioData(arrayBuf);
-    const srcChannel = audioBuf.getChannelData(Math.min(ch_src - 1, audioBuf.numberOfChannels - 1));
-
-    const srcStart = Math.floor(start_src * audioBuf.sampleRate);
-    const srcLen = dur < 0 ? srcChannel.length - srcStart : Math.floor(dur * audioBuf.sampleRate);
-    const srcSlice = srcChannel.slice(srcStart, srcStart + srcLen);
-
-    // Resample if needed (simple linear interpolation)
-    let data;
-    if (audioBuf.sampleRate !== 48000) {
-      const ratio = audioBuf.sampleRate / 48000;
-      const outLen = Math.floor(srcSlice.length / ratio);
-      data = new Float32Array(outLen);
-      for (let i = 0; i < outLen; i++) {
-        const srcIdx = i * ratio;
-        const idx0 = Math.floor(srcIdx);
-        const frac = srcIdx - idx0;
-        const idx1 = Math.min(idx0 + 1, srcSlice.length - 1);
-        data[i] = srcSlice[idx0] * (1 - frac) + srcSlice[idx1] * frac;
-      }
-    } else {
-      data = srcSlice;
-    }
-
+    const audioBuf = await _decodeFile(file);
+    const data = _readChannel(audioBuf, ch_src - 1, start_src, dur);
     _send(
       { cmd: "buffer_load", ch: ch_dst - 1, start_dst, data },
       [data.buffer]
     );
   },
 
+  // Load the first two channels of a file into buffers 1 and 2.
+  // A mono file goes into both.
+  async buffer_read_stereo(file, start_src = 0, start_dst = 0, dur = -1) {
+    const audioBuf = await _decodeFile(file);
+    for (let ch = 0; ch < 2; ch++) {
+      const data = _readChannel(audioBuf, ch, start_src, dur);
+      _send({ cmd: "buffer_load", ch, start_dst, data }, [data.buffer]);
+    }
+  },
+
   // Export buffer region as a WAV Blob download.
   async buffer_write_mono(filename, start = 0, dur = -1, ch = 1) {
-    const readDur = dur < 0 ? 350 : dur;
-    _send({ cmd: "buffer_read", ch: ch - 1, start, dur: readDur });
+    const samples = await _readBuffer(ch - 1, start, dur);
+    _download(_encodeWav([samples], 48000), filename);
+  },
 
-    const msg = await new Promise((resolve) => {
-      _bufferReadResolve = resolve;
+  // Export the same region of both buffers as a stereo WAV download.
+  async buffer_write_stereo(filename, start = 0, dur = -1) {
+    const left = await _readBuffer(0, start, dur);
+    const right = await _readBuffer(1, start, dur);
+    _download(_encodeWav([left, right], 48000), filename);
+  },
+
+  // Copy a region from one buffer to another (or within one buffer).
+  // fade_time: ramp at both ends of the copied region (seconds)
+  // preserve: level of the existing material under the copy
+  // reverse: nonzero to copy the region backwards
+  buffer_copy_mono(src_ch, dst_ch, start_src, start_dst, dur, fade_time = 0, preserve = 0, reverse = 0) {
+    _send({
+      cmd: "buffer_copy", src: src_ch - 1, dst: dst_ch - 1,
+      start_src, start_dst, dur, fade_time, preserve, reverse: reverse ? 1 : 0,
     });
+  },
+
+  // Same region copy applied to both buffers
+  buffer_copy_stereo(start_src, start_dst, dur, fade_time = 0, preserve = 0, reverse = 0) {
+    for (let ch = 1; ch <= 2; ch++) {
+      softcut.buffer_copy_mono(ch, ch, start_src, start_dst, dur, fade_time, preserve, reverse);
+    }
+  },
+
+  // --- Waveform rendering ---
 
-    const samples = msg.data;
-    const wavBlob = _encodeWav(samples, 48000);
+  // Summarize a buffer region as `samples` peak values; the result arrives
+  // at the event_render callback. dur of -1 renders to the end of the buffer.
+  render_buffer(ch, start = 0, dur = -1, samples = 128) {
+    _send({ cmd: "render", ch: ch - 1, start, dur, samples });
+  },
 
-    // Trigger download
-    const url = URL.createObjectURL(wavBlob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename || "softcut-export.wav";
-    a.click();
-    URL.revokeObjectURL(url);
+  // fn(ch, start, sec_per_sample, samples) — samples is a Float32Array
+  event_render(fn) {
+    _renderCallback = fn;
   },
 
   // --- Phase polling ---
@@ -237,42 +366,157 @@ const softcut = {
     _phaseCallback = fn;
   },
 
+  // --- Position and amplitude ---
+
+  // Report one voice's position (seconds) once, to the event_position callback
+  query_position(voice) {
+    _sendVoice("query_position", voice, 0);
+  },
+
+  event_position(fn) {
+    _positionCallback = fn;
+  },
+
+  // Resolve with one voice's position (seconds) without going through the
+  // event_position callback (used by poll.js)
+  get_position(voice) {
+    if (!ready) return Promise.resolve(0);
+    const tag = ++_positionTag;
+    return new Promise((resolve) => {
+      _positionRequests.set(tag, resolve);
+      _send({ cmd: "query_position", voice: voice - 1, value: 0, tag });
+    });
+  },
+
+  // Report peak amplitudes (0–1, ~0.3 s fall) every `interval` seconds:
+  // softcut's stereo input and output, and each voice's output
+  poll_start_vu(interval = 0.05) {
+    _send({ cmd: "poll_start_vu", value: interval });
+  },
+
+  poll_stop_vu() {
+    _send({ cmd: "poll_stop_vu" });
+  },
+
+  // fn(in_l, in_r, out_l, out_r, voices) — voices[0..5] are voices 1–6
+  event_vu(fn) {
+    _vuCallback = fn;
+  },
+
   // --- Reset ---
 
   reset() {
     _send({ cmd: "reset" });
     _phaseCallback = null;
+    _renderCallback = null;
+    _positionCallback = null;
+    _vuCallback = null;
   },
 };
 
-// Encode Float32Array samples as a 16-bit PCM WAV Blob
-function _encodeWav(samples, sr) {
-  const numSamples = samples.length;
-  const buffer = new ArrayBuffer(44 + numSamples * 2);
+// Fetch (URL) or read (File/Blob/ArrayBuffer) and decode an audio file
+async function _decodeFile(file) {
+  if (!audioCtx) throw new Error("softcut not initialized");
+
+  let arrayBuf;
+  if (typeof file === "string") {
+    const resp = await fetch(file);
+    arrayBuf = await resp.arrayBuffer();
+  } else if (file instanceof Blob) {
+    arrayBuf = await file.arrayBuffer();
+  } else {
+    arrayBuf = file; // assume ArrayBuffer
+  }
+
+  return audioCtx.decodeAudioData(arrayBuf);
+}
+
+// Slice one channel (0-based, clamped to the file's channels) of a decoded
+// file and resample it to 48kHz
+function _readChannel(audioBuf, ch, start_src, dur) {
+  const srcChannel = audioBuf.getChannelData(Math.min(ch, audioBuf.numberOfChannels - 1));
+
+  const srcStart = Math.floor(start_src * audioBuf.sampleRate);
+  const srcLen = dur < 0 ? srcChannel.length - srcStart : Math.floor(dur * audioBuf.sampleRate);
+  const srcSlice = srcChannel.slice(srcStart, srcStart + srcLen);
+
+  // Resample if needed (simple linear interpolation)
+  if (audioBuf.sampleRate === 48000) return srcSlice;
+  const ratio = audioBuf.sampleRate / 48000;
+  const outLen = Math.floor(srcSlice.length / ratio);
+  const data = new Float32Array(outLen);
+  for (let i = 0; i < outLen; i++) {
+    const srcIdx = i * ratio;
+    const idx0 = Math.floor(srcIdx);
+    const frac = srcIdx - idx0;
+    const idx1 = Math.min(idx0 + 1, srcSlice.length - 1);
+    data[i] = srcSlice[idx0] * (1 - frac) + srcSlice[idx1] * frac;
+  }
+  return data;
+}
+
+// Decode a whole file into its first `maxChannels` channels at 48kHz, the
+// way buffer_read_* read it. The Timber engine loads its samples with this.
+async function readAudioFile(file, maxChannels = 2) {
+  const audioBuf = await _decodeFile(file);
+  const n = Math.min(maxChannels, audioBuf.numberOfChannels);
+  return Array.from({ length: n }, (_, ch) => _readChannel(audioBuf, ch, 0, -1));
+}
+
+// Ask the worklet for a region of one buffer (0-based)
+async function _readBuffer(ch, start, dur) {
+  const readDur = dur < 0 ? 350 : dur;
+  _send({ cmd: "buffer_read", ch, start, dur: readDur });
+
+  const msg = await new Promise((resolve) => {
+    _bufferReadResolve = resolve;
+  });
+  return msg.data;
+}
+
+function _download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename || "softcut-export.wav";
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Encode equal-length Float32Array channels as a 16-bit PCM WAV Blob
+function _encodeWav(channels, sr) {
+  const numChannels = channels.length;
+  const numFrames = channels[0].length;
+  const dataSize = numFrames * numChannels * 2;
+  const buffer = new ArrayBuffer(44 + dataSize);
   const view = new DataView(buffer);
 
   // RIFF header
   _writeString(view, 0, "RIFF");
-  view.setUint32(4, 36 + numSamples * 2, true);
+  view.setUint32(4, 36 + dataSize, true);
   _writeString(view, 8, "WAVE");
 
   // fmt chunk
   _writeString(view, 12, "fmt ");
   view.setUint32(16, 16, true); // chunk size
   view.setUint16(20, 1, true); // PCM
-  view.setUint16(22, 1, true); // mono
+  view.setUint16(22, numChannels, true);
   view.setUint32(24, sr, true); // sample rate
-  view.setUint32(28, sr * 2, true); // byte rate
-  view.setUint16(32, 2, true); // block align
+  view.setUint32(28, sr * numChannels * 2, true); // byte rate
+  view.setUint16(32, numChannels * 2, true); // block align
   view.setUint16(34, 16, true); // bits per sample
 
-  // data chunk
+  // data chunk (interleaved)
   _writeString(view, 36, "data");
-  view.setUint32(40, numSamples * 2, true);
-
-  for (let i = 0; i < numSamples; i++) {
-    const s = Math.max(-1, Math.min(1, samples[i]));
-    view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < numFrames; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const s = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      offset += 2;
+    }
   }
 
   return new Blob([buffer], { type: "audio/wav" });
@@ -284,5 +528,5 @@ function _writeString(view, offset, str) {
   }
 }
 
-export { softcut };
+export { softcut, readAudioFile };
 export default softcut;
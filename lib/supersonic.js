@@ -5,29 +5,130 @@
 //
 // Only scsynth runs here — not sclang. SynthDefs must be pre-compiled to
 // binary .scsyndef files offline and loaded via loadSynthDef().
-// The 128 Sonic Pi built-in synthdefs are available by name from the CDN.
+// The 128 Sonic Pi built-in synthdefs are available by name.
+//
+// The four supersonic-scsynth packages are pinned to VERSIONS and each is
+// loaded from the first source that has it: the local copy installed by
+// `npm install` (node_modules/), then unpkg. supersonic.configure() changes
+// the local path or turns the CDN off. supersonic.checkSynthDefs() reports
+// which synthdefs can be loaded.
 //
 // Usage:
 //   import supersonic from '../lib/supersonic.js';
+//   supersonic.configure({ localBase: "./vendor/", cdnBase: null });  // optional
 //   await supersonic.init();
 //   await supersonic.loadSynthDef('sonic-pi-prophet');
 //   const id = supersonic.nextNodeId();
 //   supersonic.send('/s_new', 'sonic-pi-prophet', id, 0, 0, 'note', 60, 'amp', 0.7);
+//
+// newNode / setNode / freeNode take an optional `time` — a performance.now()
+// timestamp (ms), e.g. clock.event_timestamp(). The message then goes out as
+// an OSC bundle with that NTP time tag and scsynth runs it on time.
+//
+// Once the audio mixer is up (audio.init), scsynth runs on its AudioContext
+// and plays through the engine levels instead of its own output.
+
+import audio from "./audio.js";
+
+// Pinned package versions; keep in step with package.json
+const VERSIONS = {
+  "supersonic-scsynth":           "0.59.0",
+  "supersonic-scsynth-core":      "0.59.0",
+  "supersonic-scsynth-synthdefs": "0.59.0",
+  "supersonic-scsynth-samples":   "0.84.2",
+};
 
-// CDN URLs — all four supersonic-scsynth packages on unpkg
-const PKG     = "https://unpkg.com/supersonic-scsynth@latest";
-const CORE    = "https://unpkg.com/supersonic-scsynth-core@latest";
-const DEFS    = "https://unpkg.com/supersonic-scsynth-synthdefs@latest/synthdefs/";
-const SAMPLES = "https://unpkg.com/supersonic-scsynth-samples@latest/samples/";
+// Where each package keeps the files SuperSonic asks for
+const PACKAGE_DIRS = {
+  "supersonic-scsynth":           "dist/",
+  "supersonic-scsynth-core":      "",
+  "supersonic-scsynth-synthdefs": "synthdefs/",
+  "supersonic-scsynth-samples":   "samples/",
+};
+
+const DEFAULT_LOCAL_BASE = new URL("../node_modules/", import.meta.url).href;
+const DEFAULT_CDN_BASE   = "https://unpkg.com/";
+
+let _localBase = DEFAULT_LOCAL_BASE;   // {base}{package}/ — null to skip
+let _cdnBase   = DEFAULT_CDN_BASE;     // {base}{package}@{version}/ — null to skip
+let _sources   = null;                 // package → { url, from: "local" | "cdn" }
+const _synthDefChecks = new Map();     // synthdef name → Promise<boolean>
 
 let _sonic       = null;
 let _ready       = false;
 let _initPromise = null;
 let _nodeCounter = 1000;
 
+// Pending control bus reads: bus index → resolvers waiting for /c_set
+const _busReads = new Map();
+let _busListening = false;
+const BUS_READ_TIMEOUT = 500; // ms before a read gives up and resolves null
+
+// Seconds between the NTP epoch (1900) and the Unix epoch (1970)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+// Pick a source for one package: the local copy if its package.json is
+// there, otherwise the pinned CDN release.
+async function _resolvePackage(name) {
+  const version = VERSIONS[name];
+  if (_localBase) {
+    const url = new URL(`${name}/`, new URL(_localBase, location.href)).href;
+    try {
+      const resp = await fetch(`${url}package.json`);
+      if (resp.ok) {
+        const pkg = await resp.json();
+        if (pkg.version !== version) {
+          console.warn(`[supersonic] local ${name} is ${pkg.version}, expected ${version}`);
+        }
+        return { url, from: "local" };
+      }
+    } catch { /* not vendored — fall through */ }
+  }
+  if (_cdnBase) return { url: `${_cdnBase}${name}@${version}/`, from: "cdn" };
+  return null;
+}
+
+async function _resolveSources() {
+  const sources = {};
+  for (const name of Object.keys(VERSIONS)) {
+    sources[name] = await _resolvePackage(name);
+  }
+  const missing = Object.keys(sources).filter((name) => !sources[name]);
+  if (missing.includes("supersonic-scsynth") || missing.includes("supersonic-scsynth-core")) {
+    throw new Error(`supersonic: ${missing.join(", ")} not found locally and the CDN is off`);
+  }
+  for (const name of missing) console.warn(`[supersonic] ${name} not found locally and the CDN is off`);
+  return sources;
+}
+
+function _dir(name) {
+  const src = _sources?.[name];
+  return src ? `${src.url}${PACKAGE_DIRS[name]}` : undefined;
+}
+
 const supersonic = {
   get ready() { return _ready; },
 
+  // Where each package was loaded from: { package: { url, from } }
+  get sources() { return _sources; },
+
+  get versions() { return { ...VERSIONS }; },
+
+  // Change where the packages come from. Call before init().
+  //   localBase — directory holding the packages (default node_modules/);
+  //               null to skip the local copy
+  //   cdnBase   — CDN root serving {package}@{version}/ (default unpkg);
+  //               null to stay offline
+  configure({ localBase, cdnBase } = {}) {
+    if (_initPromise) {
+      console.warn("[supersonic] configure() after init() has no effect until destroy()");
+    }
+    if (localBase !== undefined) _localBase = localBase;
+    if (cdnBase !== undefined) _cdnBase = cdnBase;
+    _sources = null;
+    _synthDefChecks.clear();
+  },
+
   // Boot scsynth. Must be called after a user gesture (AudioContext policy).
   // Safe to call multiple times — returns the same promise if already starting.
   async init() {
@@ -35,20 +136,32 @@ const supersonic = {
     if (_initPromise) return _initPromise;
 
     _initPromise = (async () => {
-      // Dynamically import SuperSonic from CDN so the lib itself has no
-      // hard dependency — the CDN fetch only happens when init() is called.
-      const { SuperSonic } = await import(/* @vite-ignore */ PKG);
+      // Import SuperSonic dynamically so the lib itself has no hard
+      // dependency — nothing is fetched until init() is called.
+      _sources ??= await _resolveSources();
+      const { SuperSonic } = await import(/* @vite-ignore */ `${_dir("supersonic-scsynth")}supersonic.js`);
 
+      const ctx = audio.context;
       _sonic = new SuperSonic({
-        baseURL:       `${PKG}/dist/`,
-        coreBaseURL:   `${CORE}/`,
-        synthdefBaseURL: DEFS,
-        sampleBaseURL:   SAMPLES,
+        baseURL:         _dir("supersonic-scsynth"),
+        coreBaseURL:     _dir("supersonic-scsynth-core"),
+        synthdefBaseURL: _dir("supersonic-scsynth-synthdefs"),
+        sampleBaseURL:   _dir("supersonic-scsynth-samples"),
+        ...(ctx && { audioContext: ctx, autoConnect: false }),
       });
 
       await _sonic.init();
+      if (ctx) audio.connect_engine(_sonic.node);
       _ready = true;
-    })();
+
+      const from = Object.entries(_sources)
+        .map(([name, src]) => `${name} ${src?.from ?? "missing"}`)
+        .join(", ");
+      console.log(`[supersonic] booted (${from})`);
+    })().catch((err) => {
+      _initPromise = null;
+      throw err;
+    });
 
     return _initPromise;
   },
@@ -61,6 +174,34 @@ const supersonic = {
     _sonic       = null;
     _ready       = false;
     _initPromise = null;
+    _sources     = null;
+    _synthDefChecks.clear();
+    _busListening = false;
+    for (const resolvers of _busReads.values()) for (const r of resolvers) r(null);
+    _busReads.clear();
+  },
+
+  // Report which Sonic Pi synthdefs can be loaded, without booting scsynth.
+  // Resolves with { name: true | false }. Lookups are cached until
+  // configure() or destroy(), and logged the first time.
+  async checkSynthDefs(names) {
+    _sources ??= await _resolveSources();
+    const base = _dir("supersonic-scsynth-synthdefs");
+    const found = {};
+    const fresh = names.some((name) => !_synthDefChecks.has(name));
+    await Promise.all(names.map(async (name) => {
+      if (!_synthDefChecks.has(name)) {
+        _synthDefChecks.set(name, base
+          ? fetch(`${base}${name}.scsyndef`, { method: "HEAD" }).then((r) => r.ok, () => false)
+          : Promise.resolve(false));
+      }
+      found[name] = await _synthDefChecks.get(name);
+    }));
+    if (!fresh) return found;
+    const from = _sources["supersonic-scsynth-synthdefs"]?.from ?? "missing";
+    const list = names.map((n) => `${n} ${found[n] ? "✓" : "✗"}`).join(", ");
+    console.log(`[supersonic] synthdefs (${from}): ${list}`);
+    return found;
   },
 
   // Allocate a unique node ID.
@@ -99,35 +240,77 @@ const supersonic = {
   },
 
   // Register for incoming OSC messages from scsynth.
-  // event: 'in'  callback: (address, ...args) => {}
+  // event: 'in'  callback: ([address, ...args]) => {}
+  // Returns a function that removes the listener.
   on(event, callback) {
     _assertReady();
-    _sonic.on(event, callback);
+    return _sonic.on(event, callback);
+  },
+
+  // Read a control bus value (/c_get → /c_set). Resolves with the value,
+  // or null if scsynth doesn't answer within BUS_READ_TIMEOUT.
+  getControlBus(bus) {
+    _assertReady();
+    if (!_busListening) {
+      _busListening = true;
+      _sonic.on("in", (msg) => {
+        if (msg[0] !== "/c_set") return;
+        for (let i = 1; i + 1 < msg.length; i += 2) {
+          const resolvers = _busReads.get(msg[i]);
+          if (!resolvers) continue;
+          _busReads.delete(msg[i]);
+          for (const r of resolvers) r(msg[i + 1]);
+        }
+      });
+    }
+
+    return new Promise((resolve) => {
+      const resolvers = _busReads.get(bus) ?? [];
+      const timer = setTimeout(() => {
+        const i = resolvers.indexOf(done);
+        if (i >= 0) resolvers.splice(i, 1);
+        resolve(null);
+      }, BUS_READ_TIMEOUT);
+      const done = (v) => { clearTimeout(timer); resolve(v); };
+      resolvers.push(done);
+      _busReads.set(bus, resolvers);
+      if (resolvers.length === 1) _sonic.send("/c_get", bus);
+    });
+  },
+
+  // Send an OSC message at performance time `time` (ms); null sends now.
+  sendAt(time, address, ...args) {
+    _assertReady();
+    if (time == null || typeof _sonic.sendOSC !== "function") {
+      _sonic.send(address, ...args);
+      return;
+    }
+    _sonic.sendOSC(_bundle(time, _message(address, args)));
   },
 
   // Convenience: spawn a new synth node. Returns the node ID.
   // params is a flat {key: value, ...} object.
-  newNode(synthName, params = {}) {
+  newNode(synthName, params = {}, time = null) {
     _assertReady();
     const id = this.nextNodeId();
-    const args = ["/s_new", synthName, id, 0, 0];
+    const args = [synthName, id, 0, 0];
     for (const [k, v] of Object.entries(params)) args.push(k, v);
-    _sonic.send(...args);
+    this.sendAt(time, "/s_new", ...args);
     return id;
   },
 
   // Convenience: update params on a running node.
-  setNode(nodeId, params) {
+  setNode(nodeId, params, time = null) {
     _assertReady();
-    const args = ["/n_set", nodeId];
+    const args = [nodeId];
     for (const [k, v] of Object.entries(params)) args.push(k, v);
-    _sonic.send(...args);
+    this.sendAt(time, "/n_set", ...args);
   },
 
-  // Convenience: free a node immediately.
-  freeNode(nodeId) {
+  // Convenience: free a node (immediately, or at `time`).
+  freeNode(nodeId, time = null) {
     _assertReady();
-    _sonic.send("/n_free", nodeId);
+    this.sendAt(time, "/n_free", nodeId);
   },
 
   // Convenience: free all nodes in the default group.
@@ -137,6 +320,58 @@ const supersonic = {
   },
 };
 
+// ---------------------------------------------------------------------------
+// OSC encoding, for time-tagged bundles
+
+function _pad4(n) {
+  return (n + 3) & ~3;
+}
+
+function _oscString(str) {
+  const bytes = new TextEncoder().encode(str);
+  const out = new Uint8Array(_pad4(bytes.length + 1));
+  out.set(bytes);
+  return out;
+}
+
+// Integers go as int32 ('i'), other numbers as float32 ('f'), the rest as strings
+function _message(address, args) {
+  let tags = ",";
+  const parts = [_oscString(address)];
+  for (const a of args) {
+    if (typeof a === "number") {
+      const b = new DataView(new ArrayBuffer(4));
+      if (Number.isInteger(a)) { tags += "i"; b.setInt32(0, a); }
+      else { tags += "f"; b.setFloat32(0, a); }
+      parts.push(new Uint8Array(b.buffer));
+    } else {
+      tags += "s";
+      parts.push(_oscString(String(a)));
+    }
+  }
+  parts.splice(1, 0, _oscString(tags));
+  return _concat(parts);
+}
+
+function _bundle(time, message) {
+  const secs = (performance.timeOrigin + time) / 1000 + NTP_EPOCH_OFFSET;
+  const head = new DataView(new ArrayBuffer(12));
+  head.setUint32(0, Math.floor(secs));
+  head.setUint32(4, Math.floor((secs % 1) * 0x100000000));
+  head.setInt32(8, message.length);
+  return _concat([_oscString("#bundle"), new Uint8Array(head.buffer), message]);
+}
+
+function _concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+}
+
 function _assertReady() {
   if (!_ready) throw new Error("supersonic: call init() first");
 }
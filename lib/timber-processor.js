@@ -0,0 +1,410 @@
+// timber-processor — AudioWorkletProcessor
+// Native Web Audio port of the Timber sample player (markwheeler/timber,
+// Engine_Timber.sc), used by native-engines.js.
+//
+// Samples sit in numbered slots, each with its own params. A voice plays one
+// sample (engine.noteOn(voiceId, sampleId, freq, vel)):
+//   rate = freq / originalFreq · 2^((transpose + detuneCents / 100) / 12)
+//          · freqMultiplier · pitch bend · 2^(freq mod)
+//   → downSampleTo / bitDepth → filter (filterType 0 lowpass, 1 highpass;
+//     filterFreq follows the note by filterTracking) → amp ADSR · amp (dB)
+//     · vel → pan
+// Freq, filter, pan and amp are modulated by the two global LFOs (wave
+// shape 0 sine, 1 triangle, 2 saw, 3 square, 4 random; faded in or, when
+// negative, out over lfoNFade) and the mod ADSR. Freq and filter mod
+// amounts are in octaves.
+//
+// playMode: 0 loop between the loop points while held, then play to the end
+//           1 loop until the release has finished
+//           2 play once; note off releases
+//           3 play once; note off is ignored
+// A startFrame after endFrame plays the sample backwards.
+//
+// Messages: { cmd, args, when } for engine commands — a `when` (AudioContext
+// seconds) applies it on that sample — and { cmd: "sample", id, channels }
+// to fill a slot with decoded 48kHz audio. loadSample (sampleId) arrives when
+// the load starts; frame params set after it survive the fill, the rest are
+// reset to the whole sample.
+// Replies are { path, args }, as the engine's OSC replies:
+//   /engineSampleLoaded   sampleId, streaming (0), frames, channels, sampleRate
+//   /enginePlayPosition   sampleId, voiceId, position (0–1)
+//   /engineVoiceFreed     sampleId, voiceId
+// generateWaveform is accepted but sends no waveform.
+
+import { ADSR, TimedProcessor } from "./engine-worklet.js";
+
+const MAX_VOICES = 7;
+const SAMPLE_RATE = 48000;    // rate samples are decoded at
+const KILL_TIME = 0.01;       // fade for killed and stolen voices, seconds
+const REPORT_INTERVAL = 1 / 15;
+
+// Per-sample params, as the engine's defaults
+const SAMPLE_DEFAULTS = {
+  transpose: 0, detuneCents: 0, startFrame: 0, endFrame: 0, playMode: 0,
+  loopStartFrame: 0, loopEndFrame: 0, lfo1Fade: 0, lfo2Fade: 0,
+  freqModLfo1: 0, freqModLfo2: 0, freqModEnv: 0, freqMultiplier: 1,
+  ampAttack: 0, ampDecay: 1, ampSustain: 1, ampRelease: 0.003,
+  modAttack: 1, modDecay: 2, modSustain: 0.65, modRelease: 1,
+  downSampleTo: 48000, bitDepth: 24,
+  filterFreq: 20000, filterReso: 0, filterType: 0, filterTracking: 1,
+  filterFreqModLfo1: 0, filterFreqModLfo2: 0, filterFreqModEnv: 0,
+  filterFreqModVel: 0, filterFreqModPressure: 0,
+  pan: 0, panModLfo1: 0, panModLfo2: 0, panModEnv: 0,
+  amp: 0, ampModLfo1: 0, ampModLfo2: 0,
+  originalFreq: 261.6256,
+};
+
+// Sample params that default to the whole sample when it's filled
+const FRAME_PARAMS = { startFrame: 0, endFrame: 1, loopStartFrame: 0, loopEndFrame: 1 };
+
+// Global LFO in [-1, 1]
+class LFO {
+  constructor(freq) {
+    this.freq = freq;
+    this.shape = 0;
+    this.phase = 0;
+    this.held = 0;   // current value of the random shape
+    this.value = 0;
+  }
+
+  advance(frames) {
+    this.phase += this.freq * frames / sampleRate;
+    if (this.phase >= 1) {
+      this.phase %= 1;
+      this.held = Math.random() * 2 - 1;
+    }
+    const ph = this.phase;
+    switch (this.shape) {
+      case 1: this.value = ph < 0.5 ? 4 * ph - 1 : 3 - 4 * ph; break;
+      case 2: this.value = 2 * ph - 1; break;
+      case 3: this.value = ph < 0.5 ? 1 : -1; break;
+      case 4: this.value = this.held; break;
+      default: this.value = Math.sin(2 * Math.PI * ph);
+    }
+  }
+}
+
+// LFO depth over a voice's life: fade in over `fade` seconds, or out when
+// negative
+function lfoFade(t, fade) {
+  if (fade > 0) return Math.min(1, t / fade);
+  if (fade < 0) return Math.max(0, 1 + t / fade);
+  return 1;
+}
+
+class TimberProcessor extends TimedProcessor {
+  constructor() {
+    super();
+    this.slots = new Map();  // sampleId → { channels, frames, params }
+    this.voices = [];
+    this.lfos = [new LFO(4.5), new LFO(0.5)];
+    this.untilReport = 0;
+  }
+
+  receive(data) {
+    if (data.cmd === "sample") this._fill(data.id, data.channels);
+    else super.receive(data);
+  }
+
+  _slot(id) {
+    let slot = this.slots.get(id);
+    if (!slot) {
+      slot = { channels: null, frames: 0, params: { ...SAMPLE_DEFAULTS }, set: new Set() };
+      this.slots.set(id, slot);
+    }
+    return slot;
+  }
+
+  _fill(id, channels) {
+    this._killSample(id);
+    const slot = this._slot(id);
+    slot.channels = channels;
+    slot.frames = channels[0].length;
+    for (const [key, end] of Object.entries(FRAME_PARAMS)) {
+      if (!slot.set.has(key)) slot.params[key] = end * slot.frames;
+    }
+    this.port.postMessage({
+      path: "/engineSampleLoaded",
+      args: [id, 0, slot.frames, channels.length, SAMPLE_RATE],
+    });
+  }
+
+  // Sounding voices, optionally only those with this voice or sample id
+  _live(key = null, id = null) {
+    return this.voices.filter((v) => !v.killed && (key === null || v[key] === id));
+  }
+
+  _kill(v) {
+    v.killed = true;
+    v.fade = Math.round(KILL_TIME * sampleRate);
+  }
+
+  _killSample(sampleId) {
+    for (const v of this._live("sampleId", sampleId)) this._kill(v);
+  }
+
+  _noteOn(voiceId, sampleId, freq, vel) {
+    const slot = this.slots.get(sampleId);
+    if (!slot?.channels) return;
+
+    for (const v of this._live("id", voiceId)) this._kill(v);
+    const live = this._live();
+    if (live.length >= MAX_VOICES) this._kill(live[0]);
+
+    const amp = new ADSR();
+    const mod = new ADSR();
+    amp.gate(true);
+    mod.gate(true);
+    this.voices.push({
+      id: voiceId,
+      sampleId,
+      slot,
+      freq: Math.max(1, freq),
+      vel: Math.max(0, Math.min(1, vel)),
+      pos: Math.max(0, Math.min(slot.frames - 1, slot.params.startFrame)),
+      held: true,
+      bend: 1,
+      pressure: 0,
+      t: 0,
+      amp,
+      mod,
+      killed: false,
+      fade: 0,
+      crush: [0, 0],   // held output of the downsampler
+      crushPhase: 1,
+      ic1: [0, 0],     // filter state per channel
+      ic2: [0, 0],
+    });
+  }
+
+  _noteOff(v) {
+    v.held = false;
+    const mode = v.slot.params.playMode;
+    if (mode === 1 || mode === 3) return;
+    v.amp.gate(false);
+    v.mod.gate(false);
+  }
+
+  handle(cmd, args) {
+    const [a, b, c] = args;
+    switch (cmd) {
+      case "noteOn":
+        this._noteOn(a, b, c, args[3]);
+        break;
+      case "noteOff":
+        for (const v of this._live("id", a)) this._noteOff(v);
+        break;
+      case "noteOffAll":
+        for (const v of this._live()) this._noteOff(v);
+        break;
+      case "noteKill":
+        for (const v of this._live("id", a)) this._kill(v);
+        break;
+      case "noteKillAll":
+        for (const v of this._live()) this._kill(v);
+        break;
+      case "pitchBendVoice":
+        for (const v of this._live("id", a)) v.bend = b;
+        break;
+      case "pitchBendSample":
+        for (const v of this._live("sampleId", a)) v.bend = b;
+        break;
+      case "pitchBendAll":
+        for (const v of this._live()) v.bend = a;
+        break;
+      case "pressureVoice":
+        for (const v of this._live("id", a)) v.pressure = b;
+        break;
+      case "pressureSample":
+        for (const v of this._live("sampleId", a)) v.pressure = b;
+        break;
+      case "pressureAll":
+        for (const v of this._live()) v.pressure = a;
+        break;
+      case "lfo1Freq":
+      case "lfo2Freq":
+        this.lfos[cmd[3] - 1].freq = Math.max(0, a);
+        break;
+      case "lfo1WaveShape":
+      case "lfo2WaveShape":
+        this.lfos[cmd[3] - 1].shape = a;
+        break;
+      case "loadSample":
+        this._slot(a).set.clear();
+        break;
+      case "clearSamples":
+        for (let id = a; id <= b; id++) {
+          this._killSample(id);
+          this.slots.delete(id);
+        }
+        break;
+      case "moveSample": {
+        this._killSample(a);
+        this._killSample(b);
+        const slot = this.slots.get(a);
+        this.slots.delete(a);
+        if (slot) this.slots.set(b, slot);
+        else this.slots.delete(b);
+        break;
+      }
+      case "copySample":
+      case "copyParams": {
+        const from = this.slots.get(a);
+        if (!from) break;
+        for (let id = b; id <= c; id++) {
+          if (id === a) continue;
+          const slot = this._slot(id);
+          slot.params = { ...from.params };
+          slot.set = new Set(from.set);
+          if (cmd === "copySample") {
+            this._killSample(id);
+            slot.channels = from.channels;
+            slot.frames = from.frames;
+          }
+        }
+        break;
+      }
+      case "free_all":
+        this.voices = [];
+        this.slots.clear();
+        this.pending = [];
+        this.freed = true;
+        break;
+      default:
+        if (cmd in SAMPLE_DEFAULTS) {
+          const slot = this._slot(a);
+          slot.params[cmd] = b;
+          slot.set.add(cmd);
+        }
+    }
+  }
+
+  // Render the block, then report play positions every REPORT_INTERVAL
+  process(inputs, outputs) {
+    const alive = super.process(inputs, outputs);
+    this.untilReport -= outputs[0][0].length / sampleRate;
+    if (this.untilReport <= 0) {
+      this.untilReport = REPORT_INTERVAL;
+      for (const v of this._live()) {
+        this.port.postMessage({ path: "/enginePlayPosition", args: [v.sampleId, v.id, v.pos / v.slot.frames] });
+      }
+    }
+    return alive;
+  }
+
+  render(L, R, from, to) {
+    const [lfo1, lfo2] = this.lfos.map((l) => l.value);
+    const runTime = (to - from) / sampleRate;
+    const dt = 1 / sampleRate;
+
+    for (const v of this.voices) {
+      const p = v.slot.params;
+      const { channels, frames } = v.slot;
+
+      // Control-rate modulation, once per run
+      const env = v.mod.next(p.modAttack, p.modDecay, p.modSustain, p.modRelease, -4, runTime);
+      const m1 = lfo1 * lfoFade(v.t, p.lfo1Fade);
+      const m2 = lfo2 * lfoFade(v.t, p.lfo2Fade);
+      v.t += runTime;
+
+      const ratio = v.freq / Math.max(1, p.originalFreq);
+      const rate = ratio * Math.pow(2, (p.transpose + p.detuneCents / 100) / 12) *
+        p.freqMultiplier * v.bend *
+        Math.pow(2, m1 * p.freqModLfo1 + m2 * p.freqModLfo2 + env * p.freqModEnv) *
+        SAMPLE_RATE / sampleRate;
+
+      const fc = Math.max(20, Math.min(20000, sampleRate * 0.45,
+        p.filterFreq * Math.pow(ratio, p.filterTracking) * Math.pow(2,
+          m1 * p.filterFreqModLfo1 + m2 * p.filterFreqModLfo2 + env * p.filterFreqModEnv +
+          v.vel * p.filterFreqModVel + v.pressure * p.filterFreqModPressure)));
+      const g = Math.tan(Math.PI * fc / sampleRate);
+      const k = Math.SQRT2 * (1 - 0.97 * Math.max(0, Math.min(1, p.filterReso)));
+      const a1 = 1 / (1 + g * (g + k));
+      const a2 = g * a1;
+      const a3 = g * a2;
+      const highpass = p.filterType === 1;
+
+      const pan = Math.max(-1, Math.min(1, p.pan + m1 * p.panModLfo1 + m2 * p.panModLfo2 + env * p.panModEnv));
+      let gl, gr;
+      if (channels.length > 1) {
+        gl = Math.min(1, 1 - pan);    // Balance2
+        gr = Math.min(1, 1 + pan);
+      } else {
+        const angle = (pan + 1) * Math.PI / 4;
+        gl = Math.cos(angle);
+        gr = Math.sin(angle);
+      }
+      const level = Math.pow(10, p.amp / 20) * v.vel *
+        Math.max(0, 1 - p.ampModLfo1 * (1 - m1) / 2 - p.ampModLfo2 * (1 - m2) / 2);
+
+      const crushInc = Math.min(1, Math.max(0, p.downSampleTo) / sampleRate);
+      const steps = p.bitDepth < 24 ? Math.pow(2, Math.max(1, p.bitDepth) - 1) : 0;
+
+      // Play region and direction
+      const start = Math.max(0, Math.min(frames, p.startFrame));
+      const stop = Math.max(0, Math.min(frames, p.endFrame));
+      const dir = stop >= start ? 1 : -1;
+      const loopStart = Math.max(0, Math.min(frames, p.loopStartFrame));
+      const loopEnd = Math.max(0, Math.min(frames, p.loopEndFrame));
+      const loopLen = loopEnd - loopStart;
+
+      for (let i = from; i < to; i++) {
+        const aenv = v.amp.next(p.ampAttack, p.ampDecay, p.ampSustain, p.ampRelease, -4, dt);
+        if (v.amp.done || (v.killed && v.fade <= 0)) {
+          v.done = true;
+          break;
+        }
+
+        const looping = loopLen > 0 && (p.playMode === 1 || (p.playMode === 0 && v.held));
+        if (dir > 0) {
+          if (looping && v.pos >= loopEnd) v.pos -= loopLen;
+          else if (!looping && v.pos >= stop) { v.done = true; break; }
+        } else {
+          if (looping && v.pos < loopStart) v.pos += loopLen;
+          else if (!looping && v.pos < stop) { v.done = true; break; }
+        }
+
+        if (crushInc >= 1 || (v.crushPhase += crushInc) >= 1) {
+          v.crushPhase -= Math.floor(v.crushPhase);
+          const idx = Math.floor(v.pos);
+          const frac = v.pos - idx;
+          const next = Math.min(frames - 1, idx + 1);
+          for (let ch = 0; ch < 2; ch++) {
+            const data = channels[Math.min(ch, channels.length - 1)];
+            let x = data[idx] + (data[next] - data[idx]) * frac;
+            if (steps) x = Math.round(x * steps) / steps;
+            v.crush[ch] = x;
+          }
+        }
+
+        let gain = aenv * level;
+        if (v.killed) gain *= v.fade-- / (KILL_TIME * sampleRate);
+
+        for (let ch = 0; ch < 2; ch++) {
+          // TPT state-variable filter
+          const x = v.crush[ch];
+          const v3 = x - v.ic2[ch];
+          const v1 = a1 * v.ic1[ch] + a2 * v3;
+          const v2 = v.ic2[ch] + a2 * v.ic1[ch] + a3 * v3;
+          v.ic1[ch] = 2 * v1 - v.ic1[ch];
+          v.ic2[ch] = 2 * v2 - v.ic2[ch];
+          const y = (highpass ? x - k * v1 - v2 : v2) * gain;
+          if (ch === 0) L[i] += y * gl;
+          else R[i] += y * gr;
+        }
+
+        v.pos += rate * dir;
+      }
+    }
+
+    if (this.voices.some((v) => v.done)) {
+      for (const v of this.voices) {
+        if (v.done) this.port.postMessage({ path: "/engineVoiceFreed", args: [v.sampleId, v.id] });
+      }
+      this.voices = this.voices.filter((v) => !v.done);
+    }
+    for (const lfo of this.lfos) lfo.advance(to - from);
+  }
+}
+
+registerProcessor("timber-processor", TimberProcessor);
@@ -0,0 +1,309 @@
+// norns-web virtual filesystem
+// An in-memory dust/ tree so multi-file scripts can include() and require()
+// their own lib/ files. Paths mirror norns hardware: a script installed as
+// "awake" lives in /home/we/dust/code/awake/ and its data in
+// /home/we/dust/data/awake/.
+//
+// Usage:
+//   import vfs from '../lib/vfs.js';
+//   const dir = vfs.mount("awake", { "awake.lua": src, "lib/pattern.lua": lib });
+//   vfs.read(dir + "lib/pattern.lua");   // → string
+//
+// Installed file trees are kept in IndexedDB (one record per catalog id) so
+// the player page can mount them again later:
+//   await vfs.save(id, { dir, main, files });
+//   const tree = await vfs.load(id);      // → { id, dir, main, files } | null
+//
+// Files written under dust/data/ (tab.save, script state) are persisted too
+// and come back with vfs.restore().
+//
+// Trees come from a GitHub repo (vfs.fetchRepo) or a dropped .zip (vfs.unzip).
+
+const DB_NAME    = "norns-web-vfs";
+const DB_STORE   = "trees";
+const DATA_STORE = "data";
+
+const HOME = "/home/we/";
+const DUST = HOME + "dust/";
+const CODE = DUST + "code/";
+const DATA = DUST + "data/";
+
+// Files pulled from a repo or zip; everything else (audio, images, docs) is skipped
+const TEXT_EXT  = /\.(lua|txt|json|csv)$/i;
+const MAX_FILES = 200;
+const MAX_BYTES = 4 * 1024 * 1024;
+
+const _files = new Map();   // absolute path → string
+let _db = null;
+let _restored = null;
+
+// ---------------------------------------------------------------------------
+// IndexedDB helpers (same pattern as pset.js)
+
+function _open() {
+  if (_db) return _db;
+  _db = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 2);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(DB_STORE)) db.createObjectStore(DB_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(DATA_STORE)) db.createObjectStore(DATA_STORE, { keyPath: "path" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      _db = null;
+      reject(req.error);
+    };
+  });
+  return _db;
+}
+
+async function _tx(mode, fn, storeName = DB_STORE) {
+  const db = await _open();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Paths
+
+// Collapse "//", "./" and "../" segments
+function _normalize(path) {
+  const out = [];
+  for (const seg of String(path).split("/")) {
+    if (seg === "" || seg === ".") continue;
+    if (seg === "..") out.pop();
+    else out.push(seg);
+  }
+  return "/" + out.join("/");
+}
+
+// "orca.lua" → "orca"
+function _basename(file) {
+  return String(file).split("/").pop().replace(/\.lua$/i, "");
+}
+
+// Pick the entry script of a tree: <dir>.lua, else the only top-level .lua
+function _findMain(files, dir) {
+  const names = Object.keys(files);
+  if (dir && names.includes(`${dir}.lua`)) return `${dir}.lua`;
+  const top = names.filter((n) => !n.includes("/") && n.endsWith(".lua"));
+  return top.length === 1 ? top[0] : null;
+}
+
+// ---------------------------------------------------------------------------
+// Zip reader — enough for archives from GitHub's "Download ZIP" and the OS
+// file manager: stored (0) and deflate (8) entries, no zip64, no encryption.
+
+async function _inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function _unzipEntries(buf) {
+  const bytes = new Uint8Array(buf);
+  const view = new DataView(buf);
+
+  // End of central directory record: scan back over a possible comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("not a zip file");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const utf8 = new TextDecoder();
+  const entries = [];
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("corrupt zip directory");
+    const method   = view.getUint16(p + 10, true);
+    const size     = view.getUint32(p + 20, true);
+    const nameLen  = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const noteLen  = view.getUint16(p + 32, true);
+    const local    = view.getUint32(p + 42, true);
+    const name     = utf8.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + noteLen;
+
+    if (name.endsWith("/")) continue;
+    const dataAt = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    entries.push({ name, method, size, data: bytes.subarray(dataAt, dataAt + size) });
+  }
+  return entries;
+}
+
+// ---------------------------------------------------------------------------
+// public API
+
+const vfs = {
+  HOME,
+  DUST,
+  CODE,
+  DATA,
+
+  // Mount a script tree at dust/code/<dir>/, replacing anything already there.
+  // `files` maps paths relative to the script dir to their text.
+  // Returns the script dir (with trailing slash).
+  mount(dir, files = {}) {
+    const root = CODE + dir + "/";
+    for (const path of [..._files.keys()]) {
+      if (path.startsWith(root)) _files.delete(path);
+    }
+    for (const [rel, text] of Object.entries(files)) {
+      _files.set(_normalize(root + rel), String(text));
+    }
+    return root;
+  },
+
+  // Forget every mounted file
+  clear() {
+    _files.clear();
+  },
+
+  read(path) {
+    return _files.get(_normalize(path)) ?? null;
+  },
+
+  write(path, text) {
+    path = _normalize(path);
+    _files.set(path, String(text));
+    if (path.startsWith(DATA)) {
+      _tx("readwrite", (store) => store.put({ path, text: String(text) }), DATA_STORE)
+        .catch((err) => console.warn("[vfs] could not persist", path, err));
+    }
+  },
+
+  exists(path) {
+    return _files.has(_normalize(path));
+  },
+
+  // Files directly inside a directory (names only, like util.scandir)
+  list(dir) {
+    const root = _normalize(dir) + "/";
+    const names = new Set();
+    for (const path of _files.keys()) {
+      if (!path.startsWith(root)) continue;
+      const rest = path.slice(root.length);
+      const slash = rest.indexOf("/");
+      names.add(slash < 0 ? rest : rest.slice(0, slash + 1));
+    }
+    return [...names].sort();
+  },
+
+  // ---- persistence ----------------------------------------------------------
+
+  // Load persisted dust/data/ files into memory (once per page)
+  restore() {
+    _restored ??= _tx("readonly", (store) => store.getAll(), DATA_STORE)
+      .then((records) => {
+        for (const { path, text } of records) _files.set(path, text);
+      })
+      .catch((err) => console.warn("[vfs] could not restore data files:", err));
+    return _restored;
+  },
+
+  // Installed script trees, keyed by catalog id
+  async save(id, { dir, main, files }) {
+    await _tx("readwrite", (store) => store.put({ id, dir, main, files }));
+  },
+
+  async load(id) {
+    return (await _tx("readonly", (store) => store.get(id))) ?? null;
+  },
+
+  async remove(id) {
+    await _tx("readwrite", (store) => store.delete(id));
+  },
+
+  // ---- sources ---------------------------------------------------------------
+
+  // Read a .zip (File, Blob or ArrayBuffer) into a tree. A single top-level
+  // folder (as in GitHub's "<repo>-main/") is stripped and names the script dir.
+  async unzip(zip, name = "script") {
+    const buf = zip instanceof ArrayBuffer ? zip : await zip.arrayBuffer();
+    const entries = (await _unzipEntries(buf))
+      .filter((e) => TEXT_EXT.test(e.name) && !e.name.startsWith("__MACOSX/"));
+
+    const tops = new Set(entries.map((e) => e.name.split("/")[0]));
+    const nested = tops.size === 1 && entries.every((e) => e.name.includes("/"));
+    let dir = _basename(name).replace(/\.zip$/i, "");
+    if (nested) dir = [...tops][0].replace(/-(main|master)$/, "");
+
+    const utf8 = new TextDecoder();
+    const files = {};
+    let total = 0;
+    for (const e of entries.slice(0, MAX_FILES)) {
+      if (e.method !== 0 && e.method !== 8) {
+        console.warn(`[vfs] unsupported zip method ${e.method}: ${e.name}`);
+        continue;
+      }
+      const data = e.method === 8 ? await _inflate(e.data) : e.data;
+      total += data.length;
+      if (total > MAX_BYTES) {
+        console.warn("[vfs] zip too large, remaining files skipped");
+        break;
+      }
+      const rel = nested ? e.name.slice(e.name.indexOf("/") + 1) : e.name;
+      files[rel] = utf8.decode(data);
+    }
+
+    const main = _findMain(files, dir);
+    if (!main) throw new Error("no main .lua script found in zip");
+    return { dir, main, files };
+  },
+
+  // Fetch a script's repo from its raw.githubusercontent.com URL: the
+  // tree listing comes from the GitHub API, files from the raw host.
+  // Falls back to the single raw file if the listing is unavailable
+  // (API rate limit, non-GitHub URL).
+  async fetchRepo(rawUrl) {
+    const m = /^https:\/\/raw\.githubusercontent\.com\/([^/]+)\/([^/]+)\/([^/]+)\/(.+)$/.exec(rawUrl);
+
+    const single = async () => {
+      const resp = await fetch(rawUrl);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const main = rawUrl.split("/").pop();
+      return { dir: _basename(main), main, files: { [main]: await resp.text() } };
+    };
+    if (!m) return single();
+
+    const [, owner, repo, ref, mainPath] = m;
+    let listing;
+    try {
+      const resp = await fetch(`https://api.github.com/repos/${owner}/${repo}/git/trees/${ref}?recursive=1`);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      listing = await resp.json();
+    } catch (err) {
+      console.warn("[vfs] repo listing failed, installing main file only:", err.message);
+      return single();
+    }
+
+    const paths = listing.tree
+      .filter((t) => t.type === "blob" && TEXT_EXT.test(t.path) && t.size <= MAX_BYTES)
+      .map((t) => t.path)
+      .slice(0, MAX_FILES);
+    if (!paths.includes(mainPath)) paths.unshift(mainPath);
+
+    const files = {};
+    const base = `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/`;
+    for (const path of paths) {
+      const resp = await fetch(base + path);
+      if (!resp.ok) {
+        if (path === mainPath) throw new Error(`HTTP ${resp.status}`);
+        console.warn(`[vfs] skipped ${path}: HTTP ${resp.status}`);
+        continue;
+      }
+      files[path] = await resp.text();
+    }
+    return { dir: repo, main: mainPath, files };
+  },
+};
+
+export { vfs };
+export default vfs;
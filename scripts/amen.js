@@ -17,6 +17,7 @@
 //
 import screen from "../lib/screen.js";
 import softcut from "../lib/softcut.js";
+import audio from "../lib/audio.js";
 import clock from "../lib/clock.js";
 
 // -- constants --
@@ -126,49 +127,29 @@ function refreshWaveform() {
   const start = mode === "maker" ? makerWindow[0] : 0;
   const dur = mode === "maker" ? makerWindow[1] - makerWindow[0] : sampleDuration;
   if (dur <= 0) return;
-  softcut.node.port.postMessage({
-    cmd: "buffer_read",
-    ch: buf - 1,
-    start: Math.floor(start * 48000),
-    dur: dur,
-  });
+  softcut.render_buffer(buf, start, dur, DISPLAY_W);
 }
 
-function handleWorkletMessage(origHandler) {
-  return (e) => {
-    const msg = e.data;
-    if (msg.type === "buffer_data") {
-      const data = msg.data;
-      const samplesPerPixel = Math.floor(data.length / DISPLAY_W);
-      if (samplesPerPixel < 1) return;
-      let maxVal = 0;
-      for (let i = 0; i < DISPLAY_W; i++) {
-        let maxAmp = 0;
-        const offset = i * samplesPerPixel;
-        for (let j = 0; j < samplesPerPixel; j++) {
-          const v = Math.abs(data[offset + j] || 0);
-          if (v > maxAmp) maxAmp = v;
-        }
-        waveform[i] = maxAmp;
-        if (maxAmp > maxVal) maxVal = maxAmp;
-      }
-      // Normalize
-      if (maxVal > 0) {
-        for (let i = 0; i < DISPLAY_W; i++) {
-          waveform[i] /= maxVal;
-        }
-      }
-      waveformReady = true;
+function onRender(ch, start, secPerSample, samples) {
+  let maxVal = 0;
+  for (let i = 0; i < DISPLAY_W; i++) {
+    waveform[i] = Math.abs(samples[i]);
+    if (waveform[i] > maxVal) maxVal = waveform[i];
+  }
+  // Normalize
+  if (maxVal > 0) {
+    for (let i = 0; i < DISPLAY_W; i++) {
+      waveform[i] /= maxVal;
     }
-    if (origHandler) origHandler(e);
-  };
+  }
+  waveformReady = true;
 }
 
 // -- effect chain setup --
 function setupEffectChain() {
   if (effectsConnected) return;
 
-  // Disconnect softcut from destination
+  // Disconnect softcut from the mixer
   softcut.node.disconnect();
 
   // Create effect nodes
@@ -188,12 +169,12 @@ function setupEffectChain() {
   masterGain = audioCtx.createGain();
   masterGain.gain.value = 1;
 
-  // Chain: softcut → LPF → HPF → strobe → master → destination
+  // Chain: softcut → LPF → HPF → strobe → master → mixer
   softcut.node.connect(lpfNode);
   lpfNode.connect(hpfNode);
   hpfNode.connect(strobeGain);
   strobeGain.connect(masterGain);
-  masterGain.connect(audioCtx.destination);
+  audio.connect_cut(masterGain);
 
   effectsConnected = true;
 }
@@ -207,7 +188,7 @@ function teardownEffectChain() {
     if (strobeGain) strobeGain.disconnect();
     if (masterGain) masterGain.disconnect();
     if (strobeLfo) { strobeLfo.stop(); strobeLfo.disconnect(); strobeLfo = null; }
-    softcut.node.connect(audioCtx.destination);
+    audio.connect_cut(softcut.node);
   } catch (_) {}
   effectsConnected = false;
 }
@@ -692,22 +673,15 @@ function printMessage(msg) {
 }
 
 // -- maker mode functions --
-let inputSource = null;
-let inputStream = null;
-
 async function makerRecordStart() {
   if (recording) return;
 
-  // Request mic if needed
-  if (!inputStream) {
-    try {
-      inputStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      inputSource = audioCtx.createMediaStreamSource(inputStream);
-      inputSource.connect(softcut.node);
-    } catch (err) {
-      printMessage("mic denied");
-      return;
-    }
+  // Shared input (asks for the mic the first time)
+  try {
+    await audio.open_input();
+  } catch (err) {
+    printMessage("mic denied");
+    return;
   }
 
   recording = true;
@@ -1115,12 +1089,11 @@ export async function init(canvas, ctx) {
     await audioCtx.resume();
   }
 
-  // Init softcut
-  await softcut.init(audioCtx);
+  // Init softcut and the mixer
+  await audio.init(audioCtx);
 
-  // Hook worklet messages for waveform data
-  const origHandler = softcut.node.port.onmessage;
-  softcut.node.port.onmessage = handleWorkletMessage(origHandler);
+  // Waveform summaries from render_buffer
+  softcut.event_render(onRender);
 
   // Phase callback
   softcut.event_phase((voice, ph) => {
@@ -1198,14 +1171,4 @@ export function cleanup() {
     fileInput.remove();
     fileInput = null;
   }
-
-  // Cleanup mic
-  if (inputSource) {
-    inputSource.disconnect();
-    inputSource = null;
-  }
-  if (inputStream) {
-    inputStream.getTracks().forEach((t) => t.stop());
-    inputStream = null;
-  }
 }
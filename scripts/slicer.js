@@ -7,6 +7,7 @@
 //
 import screen from "../lib/screen.js";
 import softcut from "../lib/softcut.js";
+import audio from "../lib/audio.js";
 
 // -- config --
 const BUF = 1;
@@ -23,8 +24,6 @@ let animId = null;
 let waveformRefreshId = null;
 let retrigId = null;
 let recTimeoutId = null;
-let inputSource = null;
-let inputStream = null;
 let state = "waiting"; // waiting | recording | playing | error
 let statusMsg = "";
 let recPhase = 0;
@@ -280,7 +279,7 @@ export async function init(canvas, audioCtx) {
   }
 
   statusMsg = "loading engine...";
-  await softcut.init(audioCtx);
+  await audio.init(audioCtx);
 
   // Hook worklet messages for waveform data
   const origHandler = softcut.node.port.onmessage;
@@ -301,9 +300,7 @@ export async function init(canvas, audioCtx) {
   // Request mic
   statusMsg = "requesting mic...";
   try {
-    inputStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    inputSource = audioCtx.createMediaStreamSource(inputStream);
-    inputSource.connect(softcut.node);
+    await audio.open_input();
   } catch (err) {
     state = "error";
     statusMsg = "mic denied - allow mic access and retry";
@@ -366,14 +363,6 @@ export function cleanup() {
     clearInterval(waveformRefreshId);
     waveformRefreshId = null;
   }
-  if (inputSource) {
-    inputSource.disconnect();
-    inputSource = null;
-  }
-  if (inputStream) {
-    inputStream.getTracks().forEach((t) => t.stop());
-    inputStream = null;
-  }
   for (let v = 1; v <= 6; v++) {
     softcut.rec(v, 0);
     softcut.play(v, 0);
@@ -81,16 +81,10 @@ function redraw() {
   animId = requestAnimationFrame(redraw);
 }
 
-// Request waveform data from the worklet for display
+// Ask the worklet for a peak summary of the loop, one value per pixel
 function refreshWaveform() {
   if (!softcut.node) return;
-
-  softcut.node.port.postMessage({
-    cmd: "buffer_read",
-    ch: BUF - 1,
-    start: 0,
-    dur: DUR,
-  });
+  softcut.render_buffer(BUF, 0, DUR, DISPLAY_WIDTH);
 }
 
 export async function init(canvas, audioCtx) {
@@ -99,28 +93,10 @@ export async function init(canvas, audioCtx) {
   if (audioCtx) {
     await softcut.init(audioCtx);
 
-    // Listen for buffer data from the worklet
-    const origHandler = softcut.node.port.onmessage;
-    softcut.node.port.onmessage = (e) => {
-      const msg = e.data;
-      if (msg.type === "buffer_data") {
-        // Downsample to display width
-        const data = msg.data;
-        const samplesPerPixel = Math.floor(data.length / DISPLAY_WIDTH);
-        for (let i = 0; i < DISPLAY_WIDTH; i++) {
-          let maxAmp = 0;
-          const start = i * samplesPerPixel;
-          for (let j = 0; j < samplesPerPixel; j++) {
-            const v = Math.abs(data[start + j] || 0);
-            if (v > maxAmp) maxAmp = v;
-          }
-          waveform[i] = maxAmp;
-        }
-        waveformReady = true;
-      }
-      // Forward to original handler (for phase events etc)
-      if (origHandler) origHandler(e);
-    };
+    softcut.event_render((ch, start, secPerSample, samples) => {
+      waveform.set(samples);
+      waveformReady = true;
+    });
 
     // Generate a test tone: 2s of 220Hz sine + 2s of 330Hz sine
     const numSamples = SR * DUR;